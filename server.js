@@ -1,149 +1,449 @@
 import express from "express";
 import cron from "node-cron";
 import { ethers } from "ethers";
-import fs from "fs";
+import crypto from "crypto";
+import os from "os";
 import path from "path";
+import { isDeepStrictEqual } from "util";
 import { fileURLToPath } from "url";
+import {
+  ACTIVE_RUN_STATUSES,
+  createRunJournal,
+  getLeafBatches,
+  getRunCost,
+  getRunDurationMs,
+  getRunGasSavings,
+  getRunProgress,
+} from "./services/runJournal.js";
+import {
+  collectBulkClaimables,
+  collectClaimables,
+  mapWithConcurrency,
+  readUserStakes,
+  summarizeClaimables,
+} from "./services/claimables.js";
+import { createTransactionManager } from "./services/txManager.js";
+import { createRpcPool, redactRpcUrl } from "./services/rpcPool.js";
+import {
+  createSimulatedSafeMint,
+  SIMULATED_RPC_URL,
+} from "./services/simulatedChain.js";
+import { createAuth } from "./services/auth.js";
+import { createAuditLog } from "./services/auditLog.js";
+import { createMetrics } from "./services/metrics.js";
+import { createNotifier } from "./services/notifier.js";
+import { createEventIndexer } from "./services/eventIndexer.js";
+import { readUserPortfolio } from "./services/userPortfolio.js";
+import { createMulticall } from "./services/multicall.js";
+import { createSigner, describeMissingSigner } from "./services/signer.js";
+import { findPayableUsers, planBatchRanges } from "./services/batchPlanner.js";
+import { createLeaderElector } from "./services/leaderElection.js";
+import {
+  compareSnapshots,
+  createReconciliationStore,
+  snapshotUsers,
+  summarizeReconciliation,
+} from "./services/reconciliation.js";
+import {
+  createScheduleMatcher,
+  createScheduleState,
+  isTimeZone,
+} from "./services/schedule.js";
+import {
+  ADMIN_ACTIONS,
+  createProposalStore,
+  IN_FLIGHT_STATUSES,
+} from "./services/adminProposals.js";
+import {
+  configureLogger,
+  logger,
+  setLogContext,
+  withLogContext,
+} from "./services/logger.js";
+import {
+  CONFIG_SCHEMA,
+  describeConfig,
+  loadConfig,
+  RELOADABLE_SETTINGS,
+  TARGET_SETTINGS,
+  targetSettingName,
+} from "./services/config.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load environment variables
-const loadEnvConfig = () => {
-  try {
-    const envPath = path.join(__dirname, "config.env");
-    if (fs.existsSync(envPath)) {
-      const envContent = fs.readFileSync(envPath, "utf8");
-      const envVars = {};
-      envContent.split("\n").forEach((line) => {
-        try {
-          const [key, value] = line.split("=");
-          if (key && value) {
-            envVars[key.trim()] = value.trim();
-          }
-        } catch (lineError) {
-          console.warn(
-            `⚠️  Warning: Failed to parse config line: ${line}`,
-            lineError.message
-          );
-        }
-      });
-      console.log("✅ Environment configuration loaded successfully");
-      return envVars;
-    }
-    console.warn("⚠️  Warning: config.env file not found, using defaults");
-    return {};
-  } catch (error) {
-    console.error("❌ Error loading environment configuration:", error.message);
-    console.log("📝 Using default configuration values");
-    return {};
-  }
-};
-
-const config = loadEnvConfig();
-
-// Configuration with validation and fallbacks
-const getConfig = () => {
-  try {
-    let PORT = parseInt(config.PORT) || 3001;
-    const RPC_URL =
-      config.RPC_URL || "https://bsc-dataseed1.binance.org/";
-    const CONTRACT_ADDRESS =
-      config.CONTRACT_ADDRESS || "0x222Ace7B7B91D777A468B37aA9793341f4fa0a4e";
-    const PRIVATE_KEY = config.PRIVATE_KEY || process.env.PRIVATE_KEY;
-    const CRON_SCHEDULE = config.CRON_SCHEDULE || "0 0 * * *"; // Every 1 day at midnight (12 AM)
-    let BATCH_SIZE = parseInt(config.BATCH_SIZE) || 100;
-
-    // Validate configuration with warnings instead of errors
-    if (PORT < 1 || PORT > 65535) {
-      console.warn(`⚠️  Invalid PORT: ${PORT}. Using default port 3001`);
-      PORT = 3001;
-    }
-    if (BATCH_SIZE < 1 || BATCH_SIZE > 1000) {
-      console.warn(
-        `⚠️  Invalid BATCH_SIZE: ${BATCH_SIZE}. Using default batch size 100`
-      );
-      BATCH_SIZE = 100;
-    }
-
-    return {
-      PORT,
-      RPC_URL,
-      CONTRACT_ADDRESS,
-      PRIVATE_KEY,
-      CRON_SCHEDULE,
-      BATCH_SIZE,
-    };
-  } catch (configError) {
-    console.error("❌ Configuration validation failed:", configError.message);
-    console.log("📝 Using default configuration values");
-    return {
-      PORT: 3001,
-      RPC_URL: "https://bsc-dataseed1.binance.org/",
-      CONTRACT_ADDRESS: "0x222Ace7B7B91D777A468B37aA9793341f4fa0a4e",
-      PRIVATE_KEY: process.env.PRIVATE_KEY,
-      CRON_SCHEDULE: "0 0 * * *",
-      BATCH_SIZE: 100,
-    };
-  }
-};
+// Load configuration: process environment, then config.env, then defaults.
+// An invalid contract address, RPC URL or cron schedule stops startup.
+// CONFIG_FILE points at another file, e.g. the one the tests write.
+const CONFIG_PATH = process.env.CONFIG_FILE
+  ? path.resolve(process.env.CONFIG_FILE)
+  : path.join(__dirname, "config.env");
+let configState;
+try {
+  configState = loadConfig({ configPath: CONFIG_PATH, baseDir: __dirname });
+} catch (error) {
+  logger.error("Invalid configuration", {
+    error,
+    problems: error.problems,
+  });
+  process.exit(1);
+}
+
+// Log level and format are reloadable; the file is fixed until a restart
+const logSecrets = (values) => [
+  ...values.targets.flatMap((target) => [
+    target.PRIVATE_KEY,
+    target.KEYSTORE_PASSWORD,
+  ]),
+  ...values.API_KEYS.map((key) => key.secret),
+];
+configureLogger({
+  level: configState.values.LOG_LEVEL,
+  format: configState.values.LOG_FORMAT,
+  file: configState.values.LOG_FILE,
+  maxBytes: configState.values.LOG_MAX_BYTES,
+  maxFiles: configState.values.LOG_MAX_FILES,
+  secrets: logSecrets(configState.values),
+});
+logger.info("Configuration loaded", {
+  targets: configState.values.targets.map((target) => target.id),
+});
 
-// Get configuration with proper validation
-const configValues = getConfig();
+// Settings that need a restart to change. Chain, contract, signer, batch
+// size and schedule are set per target, see configState.values.targets.
 const {
   PORT,
-  RPC_URL,
-  CONTRACT_ADDRESS,
-  PRIVATE_KEY,
-  CRON_SCHEDULE,
-  BATCH_SIZE,
-} = configValues;
+  RPC_STALL_TIMEOUT_MS,
+  RPC_HEALTH_INTERVAL_MS,
+  DATA_DIR,
+  DEFAULT_TARGET,
+  LEADER_ELECTION,
+  LEADER_LEASE_PATH,
+  LEADER_LEASE_MS,
+  LEADER_RENEW_INTERVAL_MS,
+  INSTANCE_ID,
+  TX_STUCK_TIMEOUT_MS,
+  TX_CONFIRMATION_TIMEOUT_MS,
+  TX_POLL_INTERVAL_MS,
+  REMOTE_SIGNER_TIMEOUT_MS,
+  GAS_BUMP_PERCENT,
+  MAX_GAS_PRICE_GWEI,
+  MAX_TX_REPLACEMENTS,
+  API_KEYS,
+  RATE_LIMIT_PER_MINUTE,
+  AUTH_FAILURES_PER_MINUTE,
+  TRUST_PROXY,
+  WEBHOOKS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  INDEXER_CONFIRMATIONS,
+  INDEXER_CHUNK_SIZE,
+  INDEXER_POLL_INTERVAL_MS,
+  MULTICALL_ADDRESS,
+  MULTICALL_CHUNK_SIZE,
+  ADMIN_PROPOSAL_TTL_MS,
+  ADMIN_FOUR_EYES,
+  SIMULATOR_USERS,
+  SIMULATOR_CLAIMABLE,
+  SIMULATOR_REVERTING_INDICES,
+  SIMULATOR_EXPIRED_INDICES,
+  SIMULATOR_CONFIRMATION_DELAY_MS,
+  SIMULATOR_DROPPED_TXS,
+} = configState.values;
+
+// Settings a SIGHUP reload can change, see reloadConfig
+let {
+  READ_CONCURRENCY,
+  LOW_BALANCE_BNB,
+  BULK_MAX_ADDRESSES,
+  SOLVENCY_CHECK,
+  SOLVENCY_MIN_COVERAGE_PERCENT,
+  FUNDING_CHECK,
+  FUNDING_BUFFER_PERCENT,
+  BNB_USD_RATE,
+  BATCH_DELAY_MS,
+} = configState.values;
 
 // Contract ABI (from contract.js)
 const ABI =[{"inputs":[{"internalType":"address","name":"initialOwner","type":"address"},{"internalType":"address","name":"_token","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"package","type":"uint256"}],"name":"LevelPurchased","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"}],"name":"Registration","type":"event"},{"inputs":[],"name":"MAX_ROI","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"buyDiamondPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyElitePack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyGalaxyPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyGoldPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyInfinityPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyLegendPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyMegaPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyPlatinumPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyPremiumPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyProPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyRoyalPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buySilverPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyStaterPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"buyTitanPack","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint256","name":"_index","type":"uint256"}],"name":"calculateClaimAbles","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"_directIncome","type":"uint256"}],"name":"changeDirectPercentage","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"contractPercent","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"directIncome","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"startIndex","type":"uint256"},{"internalType":"uint256","name":"endIndex","type":"uint256"}],"name":"distributeRewardsToAll","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"distributor","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getContractBalance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getUSersLengh","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserReferrers","outputs":[{"internalType":"address[]","name":"","type":"address[]"},{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getallstakereward","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"liquidity","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"packagePrice","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"percentDivider","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"ref","type":"address"}],"name":"registration","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"roiPercent","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"stakeRecord","outputs":[{"internalType":"uint256","name":"packageIndex","type":"uint256"},{"internalType":"uint256","name":"lasClaimTime","type":"uint256"},{"internalType":"uint256","name":"rewardClaimed","type":"uint256"},{"internalType":"uint256","name":"claimable","type":"uint256"},{"internalType":"uint256","name":"maxRoi","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"uniqueUsers","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_distributor","type":"address"}],"name":"updateDistributor","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"index","type":"uint256"},{"internalType":"uint256","name":"newPercent","type":"uint256"}],"name":"updateRoiPercent","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"userRecord","outputs":[{"internalType":"uint256","name":"totalInvestment","type":"uint256"},{"internalType":"uint256","name":"directBusiness","type":"uint256"},{"internalType":"address","name":"referrer","type":"address"},{"internalType":"uint256","name":"referrerBonus","type":"uint256"},{"internalType":"uint256","name":"totalWithdrawn","type":"uint256"},{"internalType":"bool","name":"isRegistered","type":"bool"},{"internalType":"uint256","name":"stakeCount","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"_index","type":"uint256"}],"name":"withdraw","outputs":[],"stateMutability":"nonpayable","type":"function"},{"stateMutability":"payable","type":"receive"}];
 
+// Audit trail and API key authentication for privileged endpoints
+const auditLog = createAuditLog({ dataDir: DATA_DIR });
+const auth = createAuth({
+  apiKeys: API_KEYS,
+  rateLimitPerMinute: RATE_LIMIT_PER_MINUTE,
+  failureLimitPerMinute: AUTH_FAILURES_PER_MINUTE,
+  auditLog,
+});
+const { requireRole } = auth;
+
+// Only the leader runs schedules and accepts distribution triggers, so
+// replicas sharing a contract never send the same batches twice
+const leader = createLeaderElector({
+  backend: LEADER_ELECTION,
+  leasePath: LEADER_LEASE_PATH,
+  instanceId: INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+  leaseMs: LEADER_LEASE_MS,
+  renewIntervalMs: LEADER_RENEW_INTERVAL_MS,
+  onAcquired: () => {
+    for (const target of targets.values()) {
+      withLogContext({ target: target.id }, () => {
+        recoverInterruptedRuns(target);
+        recoverStuckProposals(target).catch((error) =>
+          logger.error("Recovering interrupted admin proposals failed", { error })
+        );
+        // Pick up a schedule the previous leader changed
+        restartCronJob(target);
+      });
+    }
+  },
+});
+
+// Distribution targets. Each has its own chain connection, signer, run
+// journal, admin proposals and schedule; the Web3 fields are filled in by
+// initializeWeb3.
+const createTargetState = (config) => ({
+  id: config.id,
+  config,
+  // Run journal keeps every distribution run and batch on disk
+  runJournal: createRunJournal({ dataDir: config.DATA_DIR }),
+  // How far the cron schedule has been handled, for missed-run catch-up
+  scheduleState: createScheduleState({ dataDir: config.DATA_DIR }),
+  // Per-user before/after reports of confirmed batches
+  reconciliation: createReconciliationStore({ dataDir: config.DATA_DIR }),
+  // Two-step owner changes made through the admin API
+  proposals: createProposalStore({
+    dataDir: config.DATA_DIR,
+    ttlMs: ADMIN_PROPOSAL_TTL_MS,
+  }),
+  provider: null,
+  // In-process chain for CHAIN_ADAPTER=simulated. Created on first connect
+  // unless one was set beforehand, e.g. by a test.
+  simulator: null,
+  // Unlocked signer from the target's SIGNER settings; `wallet` is the
+  // same signer connected to the provider
+  signer: null,
+  wallet: null,
+  contract: null,
+  txManager: null,
+  rpcPool: null,
+  eventIndexer: null,
+  multicall: null,
+  // Single-flight lock: only one distribution may run at a time
+  activeRunId: null,
+  // Proposal whose admin transaction is being sent. Runs wait for it, as
+  // both use the wallet's nonces.
+  activeProposalId: null,
+  lowBalanceNotified: false,
+  cronTask: null,
+  initError: null,
+});
+
+const targets = new Map(
+  configState.values.targets.map((config) => [
+    config.id,
+    createTargetState(config),
+  ])
+);
+const defaultTarget = targets.get(DEFAULT_TARGET);
+
+// Outbound webhook notifications for run and wallet events
+const notifier = createNotifier({
+  webhooks: WEBHOOKS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+});
+
+// Notifications about one target carry its ID, and name it in the title
+// when more than one target is configured
+const notifyTarget = (target, event, { title, data, ...rest }) =>
+  notifier.notify(event, {
+    ...rest,
+    title: targets.size > 1 ? `[${target.id}] ${title}` : title,
+    data: { target: target.id, ...data },
+  });
+
+// Prometheus metrics; chain gauges are read from each contract on a scrape
+const metrics = createMetrics({
+  readChainState: () =>
+    Promise.all(
+      [...targets.values()]
+        .filter((target) => target.contract)
+        .map(async ({ id, provider, wallet, contract }) => {
+          const [walletBalance, totalUsers, contractBalance] =
+            await Promise.all([
+              provider.getBalance(wallet.address),
+              contract.getUSersLengh(),
+              contract.getContractBalance(),
+            ]);
+          return {
+            target: id,
+            walletBalance: Number(ethers.formatEther(walletBalance)),
+            totalUsers: Number(totalUsers),
+            contractBalance: Number(ethers.formatEther(contractBalance)),
+          };
+        })
+    ),
+});
+
 // Initialize Express app
 const app = express();
 
+// Use X-Forwarded-For for client IPs when running behind a proxy
+app.set("trust proxy", TRUST_PROXY);
+
 // Middleware
-app.use(express.json());
+// Bulk lookups post a few thousand addresses, well over the 100kb default
+app.use(express.json({ limit: "1mb", verify: auth.captureRawBody }));
+
+// Tag every request with an ID, taken from X-Request-Id when the caller or
+// a proxy set one, and log it once the response is sent. Registered after
+// body parsing so the ID stays attached in the route handlers.
+app.use((req, res, next) => {
+  const given = req.get("x-request-id");
+  const requestId =
+    given && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  const startedAt = Date.now();
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    logger[res.statusCode >= 500 ? "error" : "info"]("HTTP request", {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      keyId: req.auth ? req.auth.keyId : undefined,
+    });
+  });
+  withLogContext({ requestId }, next);
+});
 
-// Web3 Setup
-let provider, wallet, contract;
+// Routes scoped to one target, served under /targets/:targetId and, for
+// the default target, without a prefix
+const targetRoutes = express.Router({ mergeParams: true });
+
+// Full path of a target-scoped route, for logs
+const targetPath = (target, route) => `/targets/${target.id}${route}`;
+
+// Name of a per-target setting in config.env
+const targetSettingLabel = (target, key) =>
+  configState.values.TARGETS.length > 0
+    ? targetSettingName(target.id, key)
+    : key;
+
+// Simulated SafeMint for targets with CHAIN_ADAPTER=simulated, owned by
+// the target's signer
+const createTargetSimulator = (target, owner) =>
+  createSimulatedSafeMint({
+    abi: ABI,
+    contractAddress: target.config.CONTRACT_ADDRESS,
+    owner,
+    chainId: target.config.CHAIN_ID ?? undefined,
+    userCount: SIMULATOR_USERS,
+    claimable: SIMULATOR_CLAIMABLE,
+    revertingIndices: SIMULATOR_REVERTING_INDICES,
+    expiredIndices: SIMULATOR_EXPIRED_INDICES,
+    confirmationDelayMs: SIMULATOR_CONFIRMATION_DELAY_MS,
+    droppedTransactions: SIMULATOR_DROPPED_TXS,
+    multicallAddress: MULTICALL_ADDRESS,
+  });
 
-const initializeWeb3 = async (retryCount = 0, maxRetries = 3) => {
+// Web3 Setup
+const initializeWeb3 = async (target, retryCount = 0, maxRetries = 3) => {
+  const { RPC_QUORUM, CHAIN_ADAPTER, CHAIN_ID, CONTRACT_ADDRESS } =
+    target.config;
+  const simulated = CHAIN_ADAPTER === "simulated";
+  const RPC_ENDPOINTS = simulated
+    ? [{ url: SIMULATED_RPC_URL, priority: 1 }]
+    : target.config.RPC_ENDPOINTS;
   try {
-    if (!PRIVATE_KEY || PRIVATE_KEY === "your_private_key_here") {
-      console.warn(
-        "⚠️  Private key not provided or using placeholder. Web3 features will be limited."
-      );
-      console.log(
-        "📝 To enable full functionality, set a valid PRIVATE_KEY in config.env"
-      );
+    const missingSigner = describeMissingSigner(target.config, (key) =>
+      targetSettingLabel(target, key)
+    );
+    if (missingSigner) {
+      logger.warn(missingSigner);
       return false;
     }
 
-    console.log(
-      `🔄 Initializing Web3 connection (attempt ${retryCount + 1}/${
-        maxRetries + 1
-      })...`
-    );
+    logger.info("Initializing Web3 connection", {
+      attempt: retryCount + 1,
+      maxAttempts: maxRetries + 1,
+    });
+
+    // Kept across attempts: unlocking a keystore takes a few seconds
+    if (!target.signer) {
+      target.signer = await createSigner(target.config, {
+        timeoutMs: REMOTE_SIGNER_TIMEOUT_MS,
+      });
+      logger.info("Signer ready", {
+        signer: target.config.SIGNER,
+        address: await target.signer.getAddress(),
+      });
+    }
 
-    provider = new ethers.JsonRpcProvider(RPC_URL);
+    if (simulated && !target.simulator) {
+      target.simulator = createTargetSimulator(
+        target,
+        await target.signer.getAddress()
+      );
+    }
+
+    // Drop the pool from a failed previous attempt
+    if (target.rpcPool) target.rpcPool.destroy();
+    const rpcPool = await createRpcPool({
+      endpoints: RPC_ENDPOINTS,
+      quorum: simulated ? null : RPC_QUORUM,
+      expectedChainId: CHAIN_ID,
+      stallTimeoutMs: RPC_STALL_TIMEOUT_MS,
+      healthCheckIntervalMs: RPC_HEALTH_INTERVAL_MS,
+      onRpcError: (url, method) =>
+        metrics.recordRpcError(target.id, redactRpcUrl(url), method),
+      transport: simulated ? target.simulator.transport : null,
+    });
+    const { provider } = rpcPool;
+    target.rpcPool = rpcPool;
+    target.provider = provider;
 
     // Test connection with a simple call
     const network = await provider.getNetwork();
-    console.log(
-      `🌐 Connected to network: ${network.name} (Chain ID: ${network.chainId})`
-    );
-
-    wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-    contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
+    logger.info(`Connected to network ${network.name}`, {
+      chainId: network.chainId,
+    });
+    await rpcPool.checkEndpoints();
+    rpcPool.startHealthChecks();
+
+    const wallet = target.signer.connect(provider);
+    const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, wallet);
+    target.multicall = createMulticall({
+      provider,
+      address: MULTICALL_ADDRESS,
+      chunkSize: MULTICALL_CHUNK_SIZE,
+    });
+    target.txManager = createTransactionManager({
+      wallet,
+      provider,
+      broadcast: (signed) => rpcPool.broadcastTransaction(signed),
+      getPendingNonce: () =>
+        rpcPool.withWriteProvider((writeProvider) =>
+          writeProvider.getTransactionCount(wallet.address, "pending")
+        ),
+      stuckAfterMs: TX_STUCK_TIMEOUT_MS,
+      confirmationTimeoutMs: TX_CONFIRMATION_TIMEOUT_MS,
+      pollIntervalMs: TX_POLL_INTERVAL_MS,
+      bumpPercent: GAS_BUMP_PERCENT,
+      maxGasPrice: ethers.parseUnits(MAX_GAS_PRICE_GWEI, "gwei"),
+      maxReplacements: MAX_TX_REPLACEMENTS,
+    });
+    target.wallet = wallet;
+    target.contract = contract;
 
-    console.log("✅ Web3 initialized successfully");
-    console.log(`📱 Connected to: ${RPC_URL}`);
-    console.log(`👤 Wallet address: ${wallet.address}`);
-    console.log(`📄 Contract address: ${CONTRACT_ADDRESS}`);
+    logger.info("Web3 initialized", {
+      adapter: CHAIN_ADAPTER,
+      endpoints: RPC_ENDPOINTS.map((e) => redactRpcUrl(e.url)),
+      readQuorum: rpcPool.quorum,
+      wallet: wallet.address,
+      contract: CONTRACT_ADDRESS,
+    });
 
     // Verify contract ownership with timeout
     const owner = await Promise.race([
@@ -152,40 +452,545 @@ const initializeWeb3 = async (retryCount = 0, maxRetries = 3) => {
         setTimeout(() => reject(new Error("Contract call timeout")), 10000)
       ),
     ]);
-    console.log(`🔑 Contract owner: ${owner}`);
-
     if (owner.toLowerCase() !== wallet.address.toLowerCase()) {
-      console.warn("⚠️  Warning: Wallet is not the contract owner");
+      logger.warn("Wallet is not the contract owner", { owner });
     }
 
+    await checkWalletBalance(target);
+
+    target.initError = null;
     return true;
   } catch (error) {
-    console.error(
-      `❌ Web3 initialization failed (attempt ${retryCount + 1}):`,
-      error.message
-    );
+    logger.error("Web3 initialization failed", {
+      attempt: retryCount + 1,
+      error,
+    });
 
-    if (retryCount < maxRetries) {
+    // Endpoints on the wrong chain or a wrong passphrase will not fix
+    // themselves
+    const permanent = ["CHAIN_MISMATCH", "SIGNER_CONFIG"].includes(error.code);
+    if (retryCount < maxRetries && !permanent) {
       const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
-      console.log(`⏳ Retrying in ${delay}ms...`);
+      logger.info(`Retrying in ${delay}ms`);
       await new Promise((resolve) => setTimeout(resolve, delay));
-      return initializeWeb3(retryCount + 1, maxRetries);
+      return initializeWeb3(target, retryCount + 1, maxRetries);
     }
 
-    console.error(
-      "💥 Max retries reached. Web3 initialization failed permanently."
-    );
-    console.log(
-      "⚠️  Server will start in limited mode - Web3 features unavailable"
+    target.initError = error.message;
+    notifyTarget(target, "web3.init_failed", {
+      severity: "critical",
+      title: "Web3 initialization failed",
+      message: `Gave up after ${retryCount + 1} attempts; distributions are unavailable`,
+      data: { error: error.message, contract: CONTRACT_ADDRESS },
+    });
+    logger.error(
+      "Web3 initialization failed permanently, distributions are unavailable"
     );
     return false;
   }
 };
 
-// Batch processing function
-const distributeRewardsInBatches = async () => {
+// Store the outcome of a mined batch transaction in the run journal
+const recordBatchReceipt = (target, run, batch, receipt) => {
+  const confirmed = receipt.status === 1;
+  target.runJournal.updateBatch(run.id, batch.batchIndex, {
+    status: confirmed ? "confirmed" : "reverted",
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    error: confirmed ? null : "Transaction failed",
+  });
+  metrics.recordBatch(target.id, confirmed ? "confirmed" : "reverted", {
+    gas: Number(receipt.gasUsed),
+    feeBnb: Number(ethers.formatEther(receipt.gasUsed * receipt.gasPrice)),
+    confirmationMs: batch.submittedAt
+      ? Date.now() - new Date(batch.submittedAt).getTime()
+      : null,
+  });
+  return confirmed;
+};
+
+// Snapshot the users of a batch about to be sent. The snapshot is kept
+// until the batch is mined so reconcileBatchCredits can tell what it changed.
+const snapshotBatchUsers = async (target, run, batch) => {
+  if (!target.config.RECONCILIATION) return;
+  try {
+    const snapshot = await snapshotUsers(
+      target.contract,
+      target.multicall,
+      batch.startIndex,
+      batch.endIndex
+    );
+    target.reconciliation.saveSnapshot(run.id, batch.batchIndex, snapshot);
+  } catch (error) {
+    logger.warn(`Batch ${batch.label} users could not be snapshotted`, {
+      error,
+    });
+  }
+};
+
+// Compare the users of a confirmed batch with their snapshot from before it
+// was sent and store the report. The users are read again at the block that
+// mined the batch, so an endpoint still behind it can not report them as
+// not credited. A failure only costs the report.
+const reconcileBatchCredits = async (target, run, batch, receipt) => {
+  const { reconciliation } = target;
+  const before = reconciliation.getSnapshot(run.id, batch.batchIndex);
+  if (!before) return null;
+  try {
+    const after = await snapshotUsers(
+      target.contract,
+      target.multicall,
+      batch.startIndex,
+      batch.endIndex,
+      { blockTag: receipt.blockNumber }
+    );
+    const report = {
+      batchIndex: batch.batchIndex,
+      label: batch.label,
+      startIndex: batch.startIndex,
+      endIndex: batch.endIndex,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      ...compareSnapshots(before, after),
+    };
+    reconciliation.saveBatch(run.id, report);
+    reconciliation.dropSnapshot(run.id, batch.batchIndex);
+
+    const notAdvanced = report.users
+      .filter((user) => user.status === "not_advanced")
+      .map((user) => user.index);
+    if (notAdvanced.length > 0) {
+      logger.warn(
+        `Batch ${batch.label} left ${notAdvanced.length} users with rewards due uncredited`,
+        { indices: notAdvanced }
+      );
+    }
+    return report;
+  } catch (error) {
+    logger.warn(`Batch ${batch.label} could not be reconciled`, { error });
+    return null;
+  }
+};
+
+// Warn once each time a distributor wallet drops below LOW_BALANCE_BNB
+const checkWalletBalance = async (target) => {
+  const { provider, wallet } = target;
+  try {
+    const balance = await provider.getBalance(wallet.address);
+    const threshold = ethers.parseEther(LOW_BALANCE_BNB);
+    if (balance >= threshold) {
+      target.lowBalanceNotified = false;
+      return;
+    }
+    logger.warn("Wallet balance is low", {
+      wallet: wallet.address,
+      balanceBNB: ethers.formatEther(balance),
+      thresholdBNB: LOW_BALANCE_BNB,
+    });
+    if (target.lowBalanceNotified) return;
+    target.lowBalanceNotified = true;
+    notifyTarget(target, "wallet.low_balance", {
+      severity: "warning",
+      title: "Distributor wallet balance is low",
+      message: `${ethers.formatEther(balance)} BNB left, threshold is ${LOW_BALANCE_BNB} BNB`,
+      data: {
+        wallet: wallet.address,
+        balance: ethers.formatEther(balance),
+        threshold: LOW_BALANCE_BNB,
+      },
+    });
+  } catch (error) {
+    logger.warn("Wallet balance check failed", { error });
+  }
+};
+
+const notifyBatchFailed = (target, run, batch, status, error) =>
+  notifyTarget(target, "batch.failed", {
+    severity: "warning",
+    title: `Batch ${batch.label} ${status}`,
+    message: error,
+    data: {
+      runId: run.id,
+      batch: batch.label,
+      startIndex: batch.startIndex,
+      endIndex: batch.endIndex,
+      status,
+      txHash: batch.txHash,
+    },
+  });
+
+// Mark a batch as failed without a mined transaction
+const markBatchFailed = (target, run, batch, error) => {
+  target.runJournal.updateBatch(run.id, batch.batchIndex, {
+    status: "failed",
+    error,
+  });
+  metrics.recordBatch(target.id, "failed");
+  notifyBatchFailed(target, run, batch, "failed", error);
+};
+
+// Every hash sent for a batch: the current one plus any it replaced
+const batchTxHashes = (batch) => [
+  ...(batch.replacedTxHashes || []),
+  batch.txHash,
+];
+
+// Keep the journal pointing at the newest replacement of a batch transaction
+const recordReplacement = (target, run, batch) => (hash, gasPrice) => {
+  target.runJournal.updateBatch(run.id, batch.batchIndex, {
+    replacedTxHashes: batchTxHashes(batch),
+    txHash: hash,
+    gasPrice: gasPrice.toString(),
+  });
+};
+
+// Wait for a submitted batch and record the receipt. Confirmation timeouts
+// leave the batch "submitted" so it is looked at again on resume.
+const confirmBatch = async (target, run, batch, tracked) => {
+  const { runJournal, txManager } = target;
   try {
-    console.log("\n🚀 Starting reward distribution process...");
+    const receipt = await txManager.waitForConfirmation(tracked, {
+      onReplacement: recordReplacement(target, run, batch),
+    });
+    if (receipt.hash !== batch.txHash) {
+      logger.info(`Batch ${batch.label} was mined as a replacement`, {
+        txHash: receipt.hash,
+      });
+      setLogContext({ txHash: receipt.hash });
+      runJournal.updateBatch(run.id, batch.batchIndex, {
+        txHash: receipt.hash,
+      });
+    }
+    return receipt;
+  } catch (waitError) {
+    if (waitError.code === "NONCE_CONSUMED") {
+      // None of our transactions can be mined any more, so send it again
+      txManager.resyncNonce();
+      runJournal.updateBatch(run.id, batch.batchIndex, {
+        status: "pending",
+        replacedTxHashes: batchTxHashes(batch),
+        txHash: null,
+        nonce: null,
+        error: waitError.message,
+      });
+    } else {
+      runJournal.updateBatch(run.id, batch.batchIndex, {
+        error: waitError.message,
+      });
+    }
+    throw waitError;
+  }
+};
+
+// Find out what happened to batches whose transaction was sent before the
+// previous process stopped, so a resumed run never pays the same range twice.
+// Transactions still pending are waited on (and fee-bumped if stuck).
+const reconcileSubmittedBatch = async (target, run, batch) => {
+  const { contract, txManager } = target;
+  setLogContext({ batchIndex: batch.batchIndex, txHash: batch.txHash });
+  logger.info(`Checking batch ${batch.label} transaction`);
+
+  const tracked = txManager.track({
+    request: await contract.distributeRewardsToAll.populateTransaction(
+      batch.startIndex,
+      batch.endIndex,
+      { gasLimit: batch.gasLimit ? BigInt(batch.gasLimit) : undefined }
+    ),
+    nonce: batch.nonce,
+    hashes: batchTxHashes(batch),
+    gasPrice: batch.gasPrice,
+  });
+
+  try {
+    const receipt = await confirmBatch(target, run, batch, tracked);
+    if (recordBatchReceipt(target, run, batch, receipt)) {
+      await reconcileBatchCredits(target, run, batch, receipt);
+    } else {
+      target.reconciliation.dropSnapshot(run.id, batch.batchIndex);
+    }
+    logger.info(`Batch ${batch.label} was mined`, {
+      blockNumber: receipt.blockNumber,
+    });
+  } catch {
+    if (batch.status === "pending") {
+      logger.info(
+        `Batch ${batch.label} transaction was never mined, it will be resent`
+      );
+    } else {
+      logger.warn(
+        `Batch ${batch.label} still unconfirmed, leaving it for a later resume`
+      );
+    }
+  } finally {
+    setLogContext({ batchIndex: undefined, txHash: undefined });
+  }
+};
+
+// Summarize a run from the batch records in its journal. Split batches are
+// left out: their halves are counted instead.
+const buildRunSummary = (run) => {
+  const batches = getLeafBatches(run);
+  const totalBatches = batches.length;
+  const successCount = batches.filter((b) => b.status === "confirmed").length;
+  const failedBatches = batches
+    .filter((b) => b.status !== "confirmed")
+    .map((b) => ({
+      batch: b.label,
+      startIndex: b.startIndex,
+      endIndex: b.endIndex,
+      status: b.status,
+      error: b.error,
+    }));
+  // Single-index batches that still failed point at the offending users
+  const isolatedIndices = batches
+    .filter(
+      (b) =>
+        b.startIndex === b.endIndex && ["failed", "reverted"].includes(b.status)
+    )
+    .map((b) => ({ index: b.startIndex, status: b.status, error: b.error }));
+
+  return {
+    success: successCount > 0,
+    runId: run.id,
+    totalBatches,
+    successCount,
+    failureCount: failedBatches.length,
+    failedBatches,
+    splitCount: run.batches.length - batches.length,
+    isolatedIndices,
+    gasSavings: getRunGasSavings(run),
+    message: `${successCount}/${totalBatches} batches completed successfully`,
+  };
+};
+
+// Errors caused by the contents of a range (a revert or running out of gas)
+// rather than by the network, so bisecting the range can isolate the cause
+const isRangeError = (error) =>
+  error.code === "CALL_EXCEPTION" ||
+  /revert|out of gas|gas required exceeds|exceeds block gas limit/i.test(
+    error.message
+  );
+
+// Bisect a failed range so the users around the offending index still get
+// paid. Single-index ranges are final and recorded as failed.
+const splitOrFail = (target, run, batch, status, error) => {
+  if (batch.startIndex < batch.endIndex) {
+    const halves = target.runJournal.splitBatch(run.id, batch.batchIndex, error);
+    logger.info(
+      `Splitting batch ${batch.label} into ${halves
+        .map((h) => `${h.label} (${h.startIndex}-${h.endIndex})`)
+        .join(" and ")}`
+    );
+    return;
+  }
+  if (status === "failed") {
+    markBatchFailed(target, run, batch, error);
+  } else {
+    target.runJournal.updateBatch(run.id, batch.batchIndex, { status, error });
+    notifyBatchFailed(target, run, batch, status, error);
+  }
+  logger.warn(`User index ${batch.startIndex} isolated as failing`, {
+    userIndex: batch.startIndex,
+    error,
+  });
+};
+
+// Can the contract cover what users are owed? Compares getContractBalance
+// with the claimables of every user, reusing those batch planning has just
+// read when there are any.
+const checkSolvency = async (target, run, { claimables: planned = null } = {}) => {
+  const { contract, multicall } = target;
+  const [contractBalance, claimables] = await Promise.all([
+    contract.getContractBalance(),
+    planned ??
+      collectClaimables(contract, run.totalUsers, {
+        multicall,
+        concurrency: READ_CONCURRENCY,
+      }),
+  ]);
+  const { totalClaimable } = claimables;
+  const requiredBalance =
+    (totalClaimable * BigInt(SOLVENCY_MIN_COVERAGE_PERCENT)) / 100n;
+  const coveragePercent =
+    totalClaimable > 0n
+      ? Number((contractBalance * 10000n) / totalClaimable) / 100
+      : null;
+
+  return {
+    passed: contractBalance >= requiredBalance,
+    contractBalance: contractBalance.toString(),
+    contractBalanceFormatted: ethers.formatEther(contractBalance),
+    totalClaimable: totalClaimable.toString(),
+    totalClaimableFormatted: ethers.formatEther(totalClaimable),
+    usersWithClaimables: claimables.usersWithClaimables,
+    coveragePercent,
+    minCoveragePercent: SOLVENCY_MIN_COVERAGE_PERCENT,
+    readErrors: claimables.errors.length,
+    reason:
+      contractBalance >= requiredBalance
+        ? null
+        : `Contract balance ${ethers.formatEther(contractBalance)} covers ${coveragePercent}% of the ${ethers.formatEther(totalClaimable)} claimable (minimum ${SOLVENCY_MIN_COVERAGE_PERCENT}%)`,
+  };
+};
+
+// Does the wallet hold enough BNB to send every pending batch? Uses the
+// same gas limit as the batch loop (estimate + 20%) at the current gas price.
+const checkFunding = async (target, run) => {
+  const { provider, wallet, contract } = target;
+  const pending = run.batches.filter((b) => b.status === "pending");
+  const [balance, feeData] = await Promise.all([
+    provider.getBalance(wallet.address),
+    provider.getFeeData(),
+  ]);
+  const maxGasPrice = ethers.parseUnits(MAX_GAS_PRICE_GWEI, "gwei");
+  let gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  if (gasPrice > maxGasPrice) gasPrice = maxGasPrice;
+
+  // Ranges that can not be estimated will be split by the batch loop and
+  // are left out of the total
+  const estimates = await mapWithConcurrency(
+    pending,
+    READ_CONCURRENCY,
+    async (batch) => {
+      try {
+        return await contract.distributeRewardsToAll.estimateGas(
+          batch.startIndex,
+          batch.endIndex
+        );
+      } catch {
+        return null;
+      }
+    }
+  );
+  const totalGasLimit = estimates
+    .filter((estimate) => estimate !== null)
+    .reduce((sum, estimate) => sum + (estimate * 120n) / 100n, 0n);
+  const estimatedCost = totalGasLimit * gasPrice;
+  const requiredBalance =
+    (estimatedCost * BigInt(100 + FUNDING_BUFFER_PERCENT)) / 100n;
+
+  return {
+    passed: balance >= requiredBalance,
+    walletBalance: ethers.formatEther(balance),
+    pendingBatches: pending.length,
+    unestimatedBatches: estimates.filter((estimate) => estimate === null)
+      .length,
+    gasPriceGwei: ethers.formatUnits(gasPrice, "gwei"),
+    totalGasLimit: totalGasLimit.toString(),
+    estimatedCostBNB: ethers.formatEther(estimatedCost),
+    requiredBalanceBNB: ethers.formatEther(requiredBalance),
+    bufferPercent: FUNDING_BUFFER_PERCENT,
+    reason:
+      balance >= requiredBalance
+        ? null
+        : `Wallet holds ${ethers.formatEther(balance)} BNB but ${pending.length} batches need about ${ethers.formatEther(requiredBalance)} BNB including a ${FUNDING_BUFFER_PERCENT}% buffer`,
+  };
+};
+
+// Run the solvency and funding checks that are switched on. A check that
+// fails, or can not be completed, blocks the run in "block" mode and is
+// only logged in "warn" mode. `context` is handed to every check.
+const runPreflightChecks = async (target, run, context = {}) => {
+  const preflight = {
+    checkedAt: new Date().toISOString(),
+    blocked: false,
+    reasons: [],
+    warnings: [],
+    solvency: null,
+    funding: null,
+  };
+
+  const checks = [
+    ["solvency", SOLVENCY_CHECK, checkSolvency],
+    ["funding", FUNDING_CHECK, checkFunding],
+  ];
+  for (const [name, mode, check] of checks) {
+    if (mode === "off") continue;
+    let reason;
+    try {
+      preflight[name] = await check(target, run, context);
+      reason = preflight[name].reason;
+    } catch (error) {
+      reason = `${name} check could not be completed: ${error.message}`;
+    }
+    if (!reason) continue;
+    if (mode === "block") {
+      preflight.blocked = true;
+      preflight.reasons.push(reason);
+      logger.error(`Pre-distribution check failed: ${reason}`, { check: name });
+    } else {
+      preflight.warnings.push(reason);
+      logger.warn(`Pre-distribution check warning: ${reason}`, { check: name });
+    }
+  }
+
+  if (preflight.solvency && preflight.solvency.readErrors > 0) {
+    preflight.warnings.push(
+      `Claimables of ${preflight.solvency.readErrors} users could not be read`
+    );
+  }
+  return preflight;
+};
+
+// Batch ranges for `totalUsers` users. With BATCH_PLANNING=smart only
+// ranges of users with something to claim are sent, sized by the gas
+// target; `ranges` is null when fixed BATCH_SIZE windows should be used.
+// `claimables` sums the same reads for the solvency check and dry runs.
+const planDistribution = async (target, totalUsers) => {
+  const { contract, multicall } = target;
+  const { BATCH_PLANNING, BATCH_SIZE, BATCH_GAS_TARGET, BATCH_MAX_GAP } =
+    target.config;
+  if (BATCH_PLANNING !== "smart") return { ranges: null, planning: null };
+
+  try {
+    logger.info(`Reading stakes of ${totalUsers.toString()} users to plan batches`);
+    const stakes = await readUserStakes(
+      contract,
+      multicall,
+      0,
+      Number(totalUsers) - 1
+    );
+    const plan = await planBatchRanges({
+      users: findPayableUsers(stakes),
+      batchSize: BATCH_SIZE,
+      gasTarget: BATCH_GAS_TARGET,
+      maxGap: BATCH_MAX_GAP,
+      estimateGas: (startIndex, endIndex) =>
+        contract.distributeRewardsToAll.estimateGas(startIndex, endIndex),
+      concurrency: READ_CONCURRENCY,
+    });
+    logger.info("Batches planned", {
+      payableUsers: plan.planning.payableUsers,
+      skippedUsers: plan.planning.skippedUsers,
+      batches: plan.planning.batches,
+      naiveBatches: plan.planning.naive.batches,
+      gasSaved: plan.planning.gasSaved,
+    });
+    return { ...plan, claimables: summarizeClaimables(stakes) };
+  } catch (error) {
+    // Without the reads nothing can be skipped safely
+    logger.warn("Smart batch planning failed, using fixed batches", { error });
+    return {
+      ranges: null,
+      planning: { mode: "fixed", error: error.message },
+    };
+  }
+};
+
+// Batch processing function. Runs that already have planned batches are
+// resumed, fresh runs read the user count and plan their batches first.
+const distributeRewardsInBatches = async (target, runId) => {
+  const { provider, wallet, contract, txManager, runJournal } = target;
+  const run = runJournal.getRun(runId);
+  // Claimables read while planning, so the solvency check need not read them again
+  let plannedClaimables = null;
+  try {
+    logger.info("Starting reward distribution");
+
+    if (!run) {
+      throw new Error(`Run ${runId} not found`);
+    }
 
     // Validate Web3 connection before proceeding
     if (!provider || !contract || !wallet) {
@@ -194,46 +999,143 @@ const distributeRewardsInBatches = async () => {
       );
     }
 
-    // Get total users count with timeout and retry
-    let totalUsers;
-    try {
-      totalUsers = await Promise.race([
-        contract.getUSersLengh(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Contract call timeout")), 15000)
-        ),
-      ]);
-    } catch (contractError) {
-      console.error("❌ Failed to get user count:", contractError.message);
-      throw new Error(`Contract connection failed: ${contractError.message}`);
-    }
+    const resuming = run.batches.length > 0;
+    runJournal.updateRun(run.id, {
+      status: "running",
+      startedAt: run.startedAt || new Date().toISOString(),
+      resumeCount: resuming ? run.resumeCount + 1 : run.resumeCount,
+      finishedAt: null,
+      error: null,
+    });
 
-    console.log(`📊 Total users in contract: ${totalUsers.toString()}`);
+    if (resuming) {
+      logger.info(
+        `Resuming run (${run.totalUsers} users, batch size ${run.batchSize})`
+      );
 
-    if (totalUsers === 0n) {
-      console.log("ℹ️  No users found, skipping distribution");
-      return { success: true, message: "No users to process" };
-    }
+      for (const batch of run.batches) {
+        if (batch.status === "submitted") {
+          await reconcileSubmittedBatch(target, run, batch);
+        }
+      }
+    } else {
+      // Get total users count with timeout and retry
+      let totalUsers;
+      try {
+        totalUsers = await Promise.race([
+          contract.getUSersLengh(),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error("Contract call timeout")), 15000)
+          ),
+        ]);
+      } catch (contractError) {
+        logger.error("Failed to get user count", { error: contractError });
+        throw new Error(`Contract connection failed: ${contractError.message}`);
+      }
 
-    // Calculate batches
-    const totalBatches = Math.ceil(Number(totalUsers) / BATCH_SIZE);
-    console.log(
-      `📦 Processing ${totalUsers.toString()} users in ${totalBatches} batches of ${BATCH_SIZE}`
-    );
+      logger.info(`Total users in contract: ${totalUsers.toString()}`);
+
+      if (totalUsers === 0n) {
+        logger.info("No users found, skipping distribution");
+        const summary = {
+          success: true,
+          runId: run.id,
+          message: "No users to process",
+        };
+        runJournal.updateRun(run.id, {
+          status: "completed",
+          totalUsers: "0",
+          finishedAt: new Date().toISOString(),
+          summary,
+        });
+        return summary;
+      }
 
-    let successCount = 0;
-    let failureCount = 0;
-    const failedBatches = [];
+      const { ranges, planning, claimables } = await planDistribution(
+        target,
+        totalUsers
+      );
+      plannedClaimables = claimables ?? null;
+      runJournal.planBatches(run.id, {
+        totalUsers: totalUsers.toString(),
+        batchSize: target.config.BATCH_SIZE,
+        ranges,
+        planning,
+      });
+      logger.debug("Batches planned", { batches: run.batches.length });
+
+      if (run.batches.length === 0) {
+        logger.info("No user has anything to claim, skipping distribution");
+        const summary = {
+          ...buildRunSummary(run),
+          success: true,
+          message: "No users with anything to claim",
+        };
+        runJournal.updateRun(run.id, {
+          status: "completed",
+          finishedAt: new Date().toISOString(),
+          summary,
+        });
+        return summary;
+      }
+    }
 
-    for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-      const startIndex = batchIndex * BATCH_SIZE;
-      const endIndex = Math.min(
-        startIndex + BATCH_SIZE - 1,
-        Number(totalUsers) - 1
+    logger.info("Running pre-distribution checks");
+    const preflight = await runPreflightChecks(target, run, {
+      claimables: plannedClaimables,
+    });
+    if (preflight.blocked) {
+      const summary = {
+        success: false,
+        runId: run.id,
+        blocked: true,
+        reasons: preflight.reasons,
+        message: `Distribution blocked: ${preflight.reasons.join("; ")}`,
+      };
+      runJournal.updateRun(run.id, {
+        status: "blocked",
+        preflight,
+        finishedAt: new Date().toISOString(),
+        summary,
+      });
+      logger.warn(
+        `Run blocked before sending any batch. Resume with POST ${targetPath(target, `/runs/${run.id}/resume`)} once resolved`
       );
+      return summary;
+    }
+    runJournal.updateRun(run.id, { preflight });
+
+    const plannedBatches = run.batches.filter(
+      (b) => b.parentBatch === null
+    ).length;
+    logger.info(
+      run.planning && run.planning.mode === "smart"
+        ? `Processing ${run.planning.payableUsers} of ${run.totalUsers} users in ${plannedBatches} planned batches`
+        : `Processing ${run.totalUsers} users in ${plannedBatches} batches of ${run.batchSize}`
+    );
+
+    // Split batches insert their halves right after themselves, so walk the
+    // list by position and pick up new entries as they appear
+    for (let position = 0; position < run.batches.length; position++) {
+      const batch = run.batches[position];
+      if (batch.status !== "pending") continue;
+      if (!leader.isLeader()) {
+        // The new leader marks the run interrupted once it has re-read a
+        // shared journal, so this instance must not race it
+        logger.warn(
+          "Leadership lost; stopping the run so the leader can resume it"
+        );
+        break;
+      }
+      const { batchIndex, startIndex, endIndex } = batch;
+      let sentTransaction = false;
+      setLogContext({ batchIndex, txHash: undefined });
 
       try {
-        console.log(`\n📦 Processing Batch ${batchIndex + 1}/${totalBatches} (Users: ${startIndex}-${endIndex})`);
+        logger.info(`Processing batch ${batch.label}/${plannedBatches}`, {
+          startIndex,
+          endIndex,
+        });
 
         // Gas Estimation
         let gasEstimate;
@@ -247,113 +1149,535 @@ const distributeRewardsInBatches = async () => {
               )
             ),
           ]);
-          console.log(`⛽ Gas estimated: ${gasEstimate.toString()}`);
+          logger.debug("Gas estimated", { gasEstimate });
         } catch (gasError) {
-          console.error(`❌ Gas estimation failed:`, gasError.message);
-          failedBatches.push({
-            batch: batchIndex + 1,
-            error: gasError.message,
-          });
-          failureCount++;
+          logger.error("Gas estimation failed", { error: gasError });
+          if (isRangeError(gasError)) {
+            splitOrFail(target, run, batch, "failed", gasError.message);
+          } else {
+            markBatchFailed(target, run, batch, gasError.message);
+          }
           continue;
         }
 
-        // Transaction Submission
-        const tx = await Promise.race([
-          contract.distributeRewardsToAll(startIndex, endIndex, {
-            gasLimit: (gasEstimate * 120n) / 100n, // Add 20% buffer
-          }),
-          new Promise((_, reject) =>
-            setTimeout(
-              () => reject(new Error("Transaction submission timeout")),
-              15000
-            )
-          ),
-        ]);
+        await snapshotBatchUsers(target, run, batch);
 
-        console.log(`🚀 Transaction submitted: ${tx.hash}`);
+        // Transaction Submission
+        const gasLimit = (gasEstimate * 120n) / 100n; // Add 20% buffer
+        const request =
+          await contract.distributeRewardsToAll.populateTransaction(
+            startIndex,
+            endIndex,
+            { gasLimit }
+          );
+        // The nonce and hash are journaled before the broadcast, so after a
+        // crash or a failed broadcast the batch is "submitted" and a resume
+        // looks its transaction up, replacing it on the same nonce, instead
+        // of paying the range again
+        let tracked;
+        try {
+          tracked = await txManager.send(request, {
+            nonce: batch.nonce,
+            onSigned: (attempt, nonce) =>
+              runJournal.updateBatch(run.id, batchIndex, {
+                status: "submitted",
+                txHash: attempt.hash,
+                nonce,
+                gasLimit: gasLimit.toString(),
+                gasPrice: attempt.gasPrice,
+                submittedAt: new Date(attempt.sentAt).toISOString(),
+                error: null,
+              }),
+          });
+        } catch (sendError) {
+          if (batch.status !== "submitted") throw sendError;
+          // The node may have taken the transaction all the same
+          logger.warn(
+            `Batch ${batch.label} broadcast failed; stopping the run so it can be resumed later`,
+            { error: sendError }
+          );
+          runJournal.updateBatch(run.id, batchIndex, { error: sendError.message });
+          break;
+        }
+        sentTransaction = true;
+        setLogContext({ txHash: batch.txHash });
+        logger.info("Transaction submitted", { nonce: tracked.nonce });
 
         // Transaction Confirmation
-        const receipt = await Promise.race([
-          tx.wait(),
-          new Promise(
-            (_, reject) =>
-              setTimeout(
-                () => reject(new Error("Transaction confirmation timeout")),
-                300000
-              ) // 5 minutes
-          ),
-        ]);
-
-        console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+        let receipt;
+        try {
+          receipt = await confirmBatch(target, run, batch, tracked);
+        } catch (waitError) {
+          if (waitError.code === "CONFIRMATION_TIMEOUT") {
+            // Every later transaction would queue behind this nonce
+            logger.warn(
+              `Batch ${batch.label} is still unconfirmed; stopping the run so it can be resumed later`
+            );
+            break;
+          }
+          throw waitError;
+        }
 
-        if (receipt.status === 1) {
-          console.log(`🎉 Batch ${batchIndex + 1} completed successfully`);
-          successCount++;
+        if (recordBatchReceipt(target, run, batch, receipt)) {
+          logger.info(`Batch ${batch.label} confirmed`, {
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+          });
+          await reconcileBatchCredits(target, run, batch, receipt);
         } else {
-          console.log(`❌ Batch ${batchIndex + 1} failed - Transaction reverted`);
-          failedBatches.push({
-            batch: batchIndex + 1,
-            error: "Transaction failed",
+          logger.warn(`Batch ${batch.label} transaction reverted`, {
+            blockNumber: receipt.blockNumber,
           });
-          failureCount++;
+          target.reconciliation.dropSnapshot(run.id, batchIndex);
+          splitOrFail(target, run, batch, "reverted", "Transaction reverted");
         }
-
-        // Rate Limiting
-        if (batchIndex < totalBatches - 1) {
-          console.log(`⏸️  Waiting 5 seconds before next batch...`);
-          await new Promise((resolve) => setTimeout(resolve, 5000));
+      } catch (error) {
+        logger.error(`Batch ${batch.label} failed`, { error });
+        // A consumed nonce leaves the batch pending so a resume resends it
+        if (batch.status === "pending" && error.code !== "NONCE_CONSUMED") {
+          markBatchFailed(target, run, batch, error.message);
+          target.reconciliation.dropSnapshot(run.id, batchIndex);
         }
+      }
+
+      // Rate Limiting
+      const morePending = run.batches
+        .slice(position + 1)
+        .some((b) => b.status === "pending");
+      if (sentTransaction && morePending && BATCH_DELAY_MS > 0) {
+        logger.debug(`Waiting ${BATCH_DELAY_MS}ms before next batch`);
+        await new Promise((resolve) => setTimeout(resolve, BATCH_DELAY_MS));
+      }
+    }
+    setLogContext({ batchIndex: undefined, txHash: undefined });
+
+    const summary = buildRunSummary(run);
+    const { totalBatches, successCount, failureCount, isolatedIndices } =
+      summary;
+
+    runJournal.updateRun(run.id, {
+      status:
+        successCount === totalBatches
+          ? "completed"
+          : successCount > 0
+          ? "partial"
+          : "failed",
+      finishedAt: new Date().toISOString(),
+      summary,
+    });
+
+    logger[successCount === totalBatches ? "info" : "warn"](
+      `Distribution finished: ${summary.message}`,
+      {
+        totalBatches,
+        successCount,
+        failureCount,
+        totalUsers: run.totalUsers,
+        failingUserIndices: isolatedIndices.map((i) => i.index),
+      }
+    );
+    if (runJournal.isResumable(run)) {
+      logger.warn(
+        `Unfinished batches remain, resume with POST ${targetPath(target, `/runs/${run.id}/resume`)}`
+      );
+    }
+
+    return summary;
+  } catch (error) {
+    logger.error("Reward distribution failed", { error });
+    if (run) {
+      runJournal.updateRun(run.id, {
+        status: "failed",
+        finishedAt: new Date().toISOString(),
+        error: error.message,
+      });
+    }
+    return {
+      success: false,
+      runId,
+      error: error.message,
+      message: "Distribution process failed completely",
+    };
+  }
+};
+
+// Dry run: staticCall and estimate every batch without sending anything.
+// Returns the same summary shape as distributeRewardsInBatches plus gas and
+// claimable projections.
+const simulateDistribution = async (target) => {
+  const { provider, wallet, contract } = target;
+  const { BATCH_SIZE } = target.config;
+  try {
+    logger.info("Starting distribution dry run");
+
+    // Validate Web3 connection before proceeding
+    if (!provider || !contract || !wallet) {
+      throw new Error("Web3 not initialized. Cannot simulate distribution.");
+    }
+
+    const [totalUsers, feeData] = await Promise.all([
+      Promise.race([
+        contract.getUSersLengh(),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error("Contract call timeout")), 15000)
+        ),
+      ]),
+      provider.getFeeData(),
+    ]);
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+
+    logger.info(`Total users in contract: ${totalUsers.toString()}`);
+
+    const plan = await planDistribution(target, totalUsers);
+    const windows = plan.ranges || [];
+    if (!plan.ranges) {
+      for (let startIndex = 0; startIndex < Number(totalUsers); startIndex += BATCH_SIZE) {
+        windows.push({
+          startIndex,
+          endIndex: Math.min(startIndex + BATCH_SIZE - 1, Number(totalUsers) - 1),
+        });
+      }
+    }
+
+    const batches = [];
+    for (const { startIndex, endIndex } of windows) {
+      const batch = {
+        batch: String(batches.length + 1),
+        startIndex,
+        endIndex,
+        wouldRevert: false,
+        gasEstimate: null,
+        estimatedCostWei: null,
+        error: null,
+      };
+
+      try {
+        await contract.distributeRewardsToAll.staticCall(startIndex, endIndex);
+        const gasEstimate = await contract.distributeRewardsToAll.estimateGas(
+          startIndex,
+          endIndex
+        );
+        batch.gasEstimate = gasEstimate.toString();
+        batch.estimatedCostWei = (gasEstimate * gasPrice).toString();
       } catch (error) {
-        console.log(`❌ Batch ${batchIndex + 1} failed: ${error.message}`);
-        failureCount++;
-        failedBatches.push({ batch: batchIndex + 1, error: error.message });
-        continue;
+        batch.wouldRevert = true;
+        batch.error = error.shortMessage || error.message;
+        logger.warn(`Batch ${batch.batch} would revert`, {
+          startIndex,
+          endIndex,
+          error: batch.error,
+        });
       }
+      batches.push(batch);
     }
 
+    logger.info(`Reading claimables for ${totalUsers.toString()} users`);
+    const claimables =
+      plan.claimables ??
+      (await collectClaimables(contract, totalUsers, {
+        multicall: target.multicall,
+        concurrency: READ_CONCURRENCY,
+      }));
+
+    const totalGasEstimate = batches.reduce(
+      (sum, b) => sum + BigInt(b.gasEstimate || 0),
+      0n
+    );
+    const projectedCostWei = totalGasEstimate * gasPrice;
+    const failedBatches = batches
+      .filter((b) => b.wouldRevert)
+      .map((b) => ({
+        batch: b.batch,
+        startIndex: b.startIndex,
+        endIndex: b.endIndex,
+        status: "would_revert",
+        error: b.error,
+      }));
+    const successCount = batches.length - failedBatches.length;
+
     const summary = {
       success: successCount > 0,
-      totalBatches,
+      dryRun: true,
+      totalBatches: batches.length,
       successCount,
-      failureCount,
+      failureCount: failedBatches.length,
       failedBatches,
-      message: `${successCount}/${totalBatches} batches completed successfully`,
+      message: `${successCount}/${batches.length} batches would complete successfully`,
+      totalUsers: totalUsers.toString(),
+      batchSize: BATCH_SIZE,
+      planning: plan.planning,
+      gas: {
+        gasPrice: gasPrice.toString(),
+        gasPriceGwei: ethers.formatUnits(gasPrice, "gwei"),
+        totalGasEstimate: totalGasEstimate.toString(),
+        projectedCostWei: projectedCostWei.toString(),
+        projectedCostBNB: ethers.formatEther(projectedCostWei),
+      },
+      claimables: {
+        totalClaimable: claimables.totalClaimable.toString(),
+        totalClaimableFormatted: ethers.formatEther(claimables.totalClaimable),
+        usersWithClaimables: claimables.usersWithClaimables,
+        readErrors: claimables.errors,
+      },
+      batches,
     };
 
-    console.log(`\n📈 Distribution Summary:`);
-    console.log(`   • Total Batches: ${totalBatches}`);
-    console.log(`   • Successful: ${successCount}`);
-    console.log(`   • Failed: ${failureCount}`);
-    console.log(`   • Success Rate: ${totalBatches > 0 ? ((successCount / totalBatches) * 100).toFixed(2) : 0}%`);
-    console.log(`   • Total Users: ${Number(totalUsers)}`);
-
-    if (successCount === totalBatches) {
-      console.log(`🎉 All batches completed successfully!`);
-    } else if (successCount > 0) {
-      console.log(`⚠️  Partial success: ${successCount}/${totalBatches} batches completed`);
-    } else {
-      console.log(`❌ All batches failed`);
-    }
+    logger.info(
+      `Dry run finished: ${successCount}/${batches.length} batches would succeed`,
+      {
+        projectedGas: totalGasEstimate,
+        projectedCostBNB: summary.gas.projectedCostBNB,
+        totalClaimable: summary.claimables.totalClaimableFormatted,
+      }
+    );
 
     return summary;
   } catch (error) {
-    console.error("💥 Fatal error in reward distribution:", error.message);
+    logger.error("Distribution dry run failed", { error });
     return {
       success: false,
+      dryRun: true,
       error: error.message,
-      message: "Distribution process failed completely",
+      message: "Distribution dry run failed",
     };
   }
 };
 
-// Immediate distribution endpoint (for testing)
-app.post("/distribute-now", async (req, res) => {
+const runInProgressError = (target) => {
+  const error = new Error(
+    `Distribution run ${target.activeRunId} is already in progress`
+  );
+  error.code = "RUN_IN_PROGRESS";
+  error.activeRunId = target.activeRunId;
+  return error;
+};
+
+const adminTransactionPendingError = (target) => {
+  const error = new Error(
+    `Admin transaction of proposal ${target.activeProposalId} is pending`
+  );
+  error.code = "ADMIN_TX_PENDING";
+  error.proposalId = target.activeProposalId;
+  return error;
+};
+
+const RUN_SEVERITY = {
+  completed: "info",
+  partial: "warning",
+  failed: "critical",
+  blocked: "critical",
+};
+
+const notifyRunCompleted = (target, run) => {
+  const summary = run.summary || {};
+  notifyTarget(target, "run.completed", {
+    severity: RUN_SEVERITY[run.status] || "warning",
+    title: `Distribution run ${run.status}`,
+    message: run.error || summary.message || null,
+    data: {
+      runId: run.id,
+      status: run.status,
+      trigger: run.trigger,
+      totalUsers: run.totalUsers,
+      totalBatches: summary.totalBatches,
+      successCount: summary.successCount,
+      failureCount: summary.failureCount,
+      failingIndices: summary.isolatedIndices
+        ? summary.isolatedIndices.map((i) => i.index).join(", ") || null
+        : null,
+      resumable: target.runJournal.isResumable(run),
+      summary,
+    },
+  });
+};
+
+// Create (or pick up) a run and execute it in the background. Returns the
+// journal record straight away together with a promise for the summary.
+const startDistributionRun = (
+  target,
+  {
+    trigger = null,
+    triggeredBy = null,
+    scheduledFor = null,
+    resumeRunId = null,
+  }
+) => {
+  const { runJournal } = target;
+  if (target.activeRunId) {
+    throw runInProgressError(target);
+  }
+  if (target.activeProposalId) {
+    throw adminTransactionPendingError(target);
+  }
+
+  const run = resumeRunId
+    ? runJournal.getRun(resumeRunId)
+    : runJournal.createRun({
+        trigger,
+        triggeredBy,
+        scheduledFor: scheduledFor && scheduledFor.toISOString(),
+      });
+  target.activeRunId = run.id;
+  metrics.recordRunStarted(target.id, resumeRunId ? "resume" : trigger);
+  notifyTarget(target, "run.started", {
+    severity: "info",
+    title: resumeRunId ? "Distribution run resumed" : "Distribution run started",
+    data: { runId: run.id, trigger: run.trigger, triggeredBy: run.triggeredBy },
+  });
+
+  // Everything the run logs carries its target and runId
+  const completion = withLogContext({ target: target.id, runId: run.id }, () =>
+    distributeRewardsInBatches(target, run.id).finally(async () => {
+      target.activeRunId = null;
+      if (!runJournal.getRun(run.id)) return;
+      // The run is over either way; failing to record that must not turn
+      // its summary into a rejection
+      try {
+        const finished = runJournal.updateRun(run.id, {
+          bnbUsdRate: BNB_USD_RATE,
+        });
+        metrics.recordRunFinished(target.id, finished.status, finished.finishedAt);
+        if (finished.scheduledFor && finished.status === "completed") {
+          target.scheduleState.update({
+            lastCompletedRun: {
+              runId: finished.id,
+              trigger: finished.trigger,
+              scheduledFor: finished.scheduledFor,
+              finishedAt: finished.finishedAt,
+            },
+          });
+        }
+        notifyRunCompleted(target, finished);
+        if (target.wallet) await checkWalletBalance(target);
+      } catch (error) {
+        logger.error("Could not record the end of the run", { error });
+      }
+    })
+  );
+
+  return { run, completion };
+};
+
+// Start a run nobody waits for. A failure is logged instead of being left
+// as an unhandled rejection.
+const startBackgroundRun = (target, options) => {
+  const started = startDistributionRun(target, options);
+  started.completion.catch((error) =>
+    logger.error("Distribution run failed", {
+      target: target.id,
+      runId: started.run.id,
+      error,
+    })
+  );
+  return started;
+};
+
+const sendRunInProgress = (req, res, error) =>
+  res.status(409).json({
+    success: false,
+    error: error.message,
+    runId: error.activeRunId,
+    statusUrl: `${req.baseUrl}/runs/${error.activeRunId}`,
+    timestamp: new Date().toISOString(),
+  });
+
+const sendAdminTransactionPending = (req, res, error) =>
+  res.status(409).json({
+    success: false,
+    error: error.message,
+    proposalId: error.proposalId,
+    statusUrl: `${req.baseUrl}/admin/proposals/${error.proposalId}`,
+    timestamp: new Date().toISOString(),
+  });
+
+// Rejects requests that would send transactions unless this instance holds
+// the leader lease, pointing the caller at the current leader
+const requireLeader = async (req, res, next) => {
+  if (await leader.ensureLeadership()) return next();
+  const { leader: leaderId, leaseExpiresAt } = leader.getStatus();
+  res.status(503).json({
+    success: false,
+    error: "This instance is not the leader",
+    leader: leaderId,
+    leaseExpiresAt,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Shared handler for the routes that start a new distribution run
+const triggerDistribution = (label) => (req, res) => {
+  const { target } = req;
+  try {
+    logger.info(`${label} distribution triggered via API`);
+
+    // Validate Web3 connection
+    if (!target.contract) {
+      return res.status(503).json({
+        success: false,
+        error: "Web3 connection not available",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { run } = startBackgroundRun(target, {
+      trigger: "api",
+      triggeredBy: req.auth.keyId,
+    });
+    res.locals.runId = run.id;
+
+    res.status(202).json({
+      success: true,
+      message: "Reward distribution started",
+      target: target.id,
+      runId: run.id,
+      statusUrl: `${req.baseUrl}/runs/${run.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.code === "RUN_IN_PROGRESS") {
+      return sendRunInProgress(req, res, error);
+    }
+    if (error.code === "ADMIN_TX_PENDING") {
+      return sendAdminTransactionPending(req, res, error);
+    }
+    logger.error("Distribution trigger failed", { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Immediate distribution endpoint (for testing)
+targetRoutes.post(
+  "/distribute-now",
+  requireRole("operator"),
+  requireLeader,
+  triggerDistribution("Immediate")
+);
+
+// Manual trigger endpoint
+targetRoutes.post(
+  "/trigger-distribution",
+  requireRole("operator"),
+  requireLeader,
+  triggerDistribution("Manual")
+);
+
+// Distribution endpoint, ?dryRun=true simulates without sending transactions
+// Dry runs send nothing, so any instance may answer them
+targetRoutes.post("/distribute", requireRole("operator"), async (req, res) => {
+  if (req.query.dryRun !== "true") {
+    return requireLeader(req, res, () => triggerDistribution("API")(req, res));
+  }
+
+  const { target } = req;
   try {
-    console.log("🚀 Immediate distribution triggered via API");
+    logger.info("Distribution dry run triggered via API");
 
     // Validate Web3 connection
-    if (!provider || !contract || !wallet) {
+    if (!target.contract) {
       return res.status(503).json({
         success: false,
         error: "Web3 connection not available",
@@ -361,25 +1685,25 @@ app.post("/distribute-now", async (req, res) => {
       });
     }
 
-    const result = await distributeRewardsInBatches();
+    const result = await simulateDistribution(target);
 
     if (result.success) {
       res.json({
         success: true,
-        message: "Immediate reward distribution completed",
+        message: result.message,
         details: result,
         timestamp: new Date().toISOString(),
       });
     } else {
       res.status(500).json({
         success: false,
-        error: result.error || "Distribution failed",
+        error: result.error || "Dry run failed",
         details: result,
         timestamp: new Date().toISOString(),
       });
     }
   } catch (error) {
-    console.error("❌ Immediate distribution failed:", error.message);
+    logger.error("Distribution dry run failed", { error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -388,13 +1712,313 @@ app.post("/distribute-now", async (req, res) => {
   }
 });
 
-// Manual trigger endpoint
-app.post("/trigger-distribution", async (req, res) => {
+// Fee in USD, rounded to cents
+const formatUsd = (feeWei, bnbUsdRate) => {
+  const cents =
+    (feeWei * ethers.parseUnits(bnbUsdRate, 18) + 5n * 10n ** 33n) /
+    10n ** 34n;
+  return `${cents / 100n}.${String(cents % 100n).padStart(2, "0")}`;
+};
+
+// Fees paid by a run, priced at the rate recorded when it finished or, for
+// runs without one, the current BNB_USD_RATE
+const describeRunCost = (run) => {
+  const { transactions, gasUsed, feeWei } = getRunCost(run);
+  const bnbUsdRate = run.bnbUsdRate ?? BNB_USD_RATE;
+  return {
+    transactions,
+    gasUsed: gasUsed.toString(),
+    feeWei: feeWei.toString(),
+    feeBNB: ethers.formatEther(feeWei),
+    bnbUsdRate,
+    feeUSD: bnbUsdRate === null ? null : formatUsd(feeWei, bnbUsdRate),
+  };
+};
+
+const describeRun = (runJournal, run) => ({
+  id: run.id,
+  status: run.status,
+  trigger: run.trigger,
+  triggeredBy: run.triggeredBy,
+  scheduledFor: run.scheduledFor,
+  createdAt: run.createdAt,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  durationMs: getRunDurationMs(run),
+  totalUsers: run.totalUsers,
+  batchSize: run.batchSize,
+  resumeCount: run.resumeCount,
+  resumable: runJournal.isResumable(run),
+  cost: describeRunCost(run),
+  gasSavings: getRunGasSavings(run),
+  summary: run.summary,
+});
+
+// Distribution run journal
+targetRoutes.get("/runs", requireRole("read"), (req, res) => {
+  const { runJournal, activeRunId } = req.target;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  res.json({
+    target: req.target.id,
+    runs: runJournal
+      .listRuns({ limit })
+      .map((run) => describeRun(runJournal, run)),
+    activeRunId,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const RUN_CSV_COLUMNS = [
+  "target",
+  "runId",
+  "status",
+  "trigger",
+  "triggeredBy",
+  "createdAt",
+  "startedAt",
+  "finishedAt",
+  "durationSeconds",
+  "totalUsers",
+  "transactions",
+  "gasUsed",
+  "feeBNB",
+  "bnbUsdRate",
+  "feeUSD",
+];
+
+const BATCH_CSV_COLUMNS = [
+  "target",
+  "runId",
+  "batch",
+  "startIndex",
+  "endIndex",
+  "status",
+  "txHash",
+  "blockNumber",
+  "gasUsed",
+  "effectiveGasPrice",
+  "feeBNB",
+  "bnbUsdRate",
+  "feeUSD",
+];
+
+// Run history for accounting, as CSV or JSON. ?level=batches lists every
+// mined transaction instead of one row per run.
+targetRoutes.get("/runs/export", requireRole("read"), (req, res) => {
+  const { target } = req;
+  const format =
+    req.query.format || (req.accepts(["json", "csv"]) === "csv" ? "csv" : "json");
+  const level = req.query.level || "runs";
+  // Runs created within ?from= and ?to=, both ISO dates
+  const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+  const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+  if (
+    !["json", "csv"].includes(format) ||
+    !["runs", "batches"].includes(level) ||
+    Number.isNaN(from) ||
+    Number.isNaN(to)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error:
+        "format must be json or csv, level must be runs or batches and from/to must be ISO dates",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const runs = target.runJournal
+    .listRuns({ limit: Infinity })
+    .filter((run) => {
+      const createdAt = Date.parse(run.createdAt);
+      return createdAt >= from && createdAt <= to;
+    });
+
+  const rows =
+    level === "runs"
+      ? runs.map((run) => {
+          const durationMs = getRunDurationMs(run);
+          const cost = describeRunCost(run);
+          return {
+            target: target.id,
+            runId: run.id,
+            status: run.status,
+            trigger: run.trigger,
+            triggeredBy: run.triggeredBy,
+            createdAt: run.createdAt,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            durationSeconds: durationMs === null ? null : durationMs / 1000,
+            totalUsers: run.totalUsers,
+            transactions: cost.transactions,
+            gasUsed: cost.gasUsed,
+            feeBNB: cost.feeBNB,
+            bnbUsdRate: cost.bnbUsdRate,
+            feeUSD: cost.feeUSD,
+          };
+        })
+      : runs.flatMap((run) =>
+          run.batches
+            .filter((batch) => batch.gasUsed !== null)
+            .map((batch) => {
+              const cost = describeRunCost({ ...run, batches: [batch] });
+              return {
+                target: target.id,
+                runId: run.id,
+                batch: batch.label,
+                startIndex: batch.startIndex,
+                endIndex: batch.endIndex,
+                status: batch.status,
+                txHash: batch.txHash,
+                blockNumber: batch.blockNumber,
+                gasUsed: batch.gasUsed,
+                effectiveGasPrice: batch.effectiveGasPrice,
+                feeBNB: cost.feeBNB,
+                bnbUsdRate: cost.bnbUsdRate,
+                feeUSD: cost.feeUSD,
+              };
+            })
+        );
+
+  if (format === "csv") {
+    const columns = level === "runs" ? RUN_CSV_COLUMNS : BATCH_CSV_COLUMNS;
+    const lines = rows.map((row) =>
+      columns.map((column) => csvField(row[column])).join(",")
+    );
+    res.type("text/csv");
+    res.attachment(`${target.id}-${level}.csv`);
+    return res.send(`${[columns.join(","), ...lines].join("\n")}\n`);
+  }
+
+  const totals = runs.reduce(
+    (sum, run) => {
+      const { transactions, gasUsed, feeWei } = getRunCost(run);
+      return {
+        transactions: sum.transactions + transactions,
+        gasUsed: sum.gasUsed + gasUsed,
+        feeWei: sum.feeWei + feeWei,
+      };
+    },
+    { transactions: 0, gasUsed: 0n, feeWei: 0n }
+  );
+  res.json({
+    target: target.id,
+    level,
+    from: req.query.from || null,
+    to: req.query.to || null,
+    count: rows.length,
+    totals: {
+      runs: runs.length,
+      transactions: totals.transactions,
+      gasUsed: totals.gasUsed.toString(),
+      feeBNB: ethers.formatEther(totals.feeWei),
+    },
+    [level]: rows,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Run status and progress
+targetRoutes.get("/runs/:id", requireRole("read"), (req, res) => {
+  const { runJournal, activeRunId } = req.target;
+  const run = runJournal.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: "Run not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.json({
+    ...run,
+    batches: run.batches.map((batch) => ({
+      ...batch,
+      feeBNB:
+        batch.gasUsed === null
+          ? null
+          : ethers.formatEther(
+              BigInt(batch.gasUsed) * BigInt(batch.effectiveGasPrice)
+            ),
+    })),
+    durationMs: getRunDurationMs(run),
+    cost: describeRunCost(run),
+    gasSavings: getRunGasSavings(run),
+    active: run.id === activeRunId,
+    resumable: runJournal.isResumable(run),
+    progress: getRunProgress(run),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// What the run's confirmed batches did for each user: totals distributed,
+// users with rewards due that no batch credited, and stakes that reached
+// their maximum ROI. ?detail=users adds every user of every batch.
+targetRoutes.get("/runs/:id/reconciliation", requireRole("read"), (req, res) => {
+  const { runJournal, reconciliation } = req.target;
+  const run = runJournal.getRun(req.params.id);
+  const batches = run ? reconciliation.listBatches(run.id) : [];
+  if (batches.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: run ? "Run has no reconciliation report" : "Run not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const report = summarizeReconciliation(batches);
+  const reconciled = new Set(batches.map((batch) => batch.batchIndex));
+  const withUsers = req.query.detail === "users";
+  res.json({
+    runId: run.id,
+    status: run.status,
+    ...report,
+    summary: {
+      ...report.summary,
+      distributedFormatted: ethers.formatEther(report.summary.distributed),
+    },
+    // Confirmed batches without a report, e.g. with RECONCILIATION off
+    unreconciledBatches: getLeafBatches(run)
+      .filter(
+        (batch) =>
+          batch.status === "confirmed" && !reconciled.has(batch.batchIndex)
+      )
+      .map((batch) => batch.label),
+    batches: batches.map(({ users, ...batch }) =>
+      withUsers ? { ...batch, users } : batch
+    ),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Resume an interrupted run from its first unfinished batch
+targetRoutes.post("/runs/:id/resume", requireRole("operator"), requireLeader, (req, res) => {
+  const { target } = req;
+  const { runJournal } = target;
   try {
-    console.log("🔧 Manual distribution triggered via API");
+    const run = runJournal.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: "Run not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (!runJournal.isResumable(run)) {
+      return res.status(409).json({
+        success: false,
+        error: "Run has no unfinished batches to resume",
+        status: run.status,
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     // Validate Web3 connection
-    if (!provider || !contract || !wallet) {
+    if (!target.contract) {
       return res.status(503).json({
         success: false,
         error: "Web3 connection not available",
@@ -402,25 +2026,383 @@ app.post("/trigger-distribution", async (req, res) => {
       });
     }
 
-    const result = await distributeRewardsInBatches();
+    logger.info("Run resume triggered via API", { runId: run.id });
+    startBackgroundRun(target, { resumeRunId: run.id });
+    res.locals.runId = run.id;
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: result.message || "Reward distribution completed",
-        details: result,
-        timestamp: new Date().toISOString(),
+    res.status(202).json({
+      success: true,
+      message: "Run resumed",
+      target: target.id,
+      runId: run.id,
+      statusUrl: `${req.baseUrl}/runs/${run.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.code === "RUN_IN_PROGRESS") {
+      return sendRunInProgress(req, res, error);
+    }
+    if (error.code === "ADMIN_TX_PENDING") {
+      return sendAdminTransactionPending(req, res, error);
+    }
+    logger.error("Run resume failed", { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Values in proposals are stored as strings so they survive JSON
+const formatAdminValue = (value) =>
+  typeof value === "bigint" ? value.toString() : value;
+
+// One-line summary of a proposal diff for logs and notifications
+const describeDiff = ({ field, current, proposed, amountFormatted }) =>
+  proposed === null
+    ? `${field} ${current}, moving ${amountFormatted}`
+    : `${field} ${current} → ${proposed}`;
+
+// Read the value an admin action changes and dry-run the call as the owner
+const previewAdminAction = async (target, action, args) => {
+  const { contract } = target;
+  const definition = ADMIN_ACTIONS[action];
+  const current = await definition.readCurrent(contract, args);
+  const diff = {
+    field: definition.field(args),
+    current: formatAdminValue(current),
+    proposed: formatAdminValue(definition.proposed(args)),
+    ...(definition.describe ? definition.describe(current, args) : {}),
+  };
+
+  const simulation = { success: true, gasEstimate: null, error: null };
+  try {
+    await contract[action].staticCall(...args);
+    simulation.gasEstimate = (
+      await contract[action].estimateGas(...args)
+    ).toString();
+  } catch (error) {
+    simulation.success = false;
+    simulation.error = error.shortMessage || error.message;
+  }
+  return { diff, simulation };
+};
+
+const sendProposalError = (res, status, error, proposal = null) =>
+  res.status(status).json({
+    success: false,
+    error,
+    proposal,
+    timestamp: new Date().toISOString(),
+  });
+
+// Send a confirmed proposal's transaction and record the outcome
+const executeProposal = async (target, proposal, args) => {
+  const { contract, txManager, proposals } = target;
+  try {
+    const request = await contract[proposal.action].populateTransaction(...args);
+    const tracked = await txManager.send(request);
+    const [attempt] = tracked.attempts;
+    proposals.update(proposal.id, { status: "submitted", txHash: attempt.hash });
+    logger.info(`Admin ${proposal.action} submitted`, {
+      proposalId: proposal.id,
+      txHash: attempt.hash,
+    });
+
+    const receipt = await txManager.waitForConfirmation(tracked, {
+      onReplacement: (hash) => proposals.update(proposal.id, { txHash: hash }),
+    });
+    const executed = receipt.status === 1;
+    proposals.update(proposal.id, {
+      status: executed ? "executed" : "failed",
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      error: executed ? null : "Transaction reverted",
+    });
+    logger[executed ? "info" : "error"](
+      `Admin ${proposal.action} ${executed ? "executed" : "reverted"}`,
+      {
+        proposalId: proposal.id,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      }
+    );
+  } catch (error) {
+    logger.error(`Admin ${proposal.action} failed`, {
+      proposalId: proposal.id,
+      error,
+    });
+    if (error.code === "NONCE_CONSUMED") txManager.resyncNonce();
+    proposals.update(proposal.id, { status: "failed", error: error.message });
+  }
+
+  const finished = proposals.get(proposal.id);
+  auditLog.append({
+    event: `admin.${finished.status}`,
+    target: target.id,
+    proposalId: finished.id,
+    action: finished.action,
+    txHash: finished.txHash,
+    error: finished.error,
+  });
+  notifyTarget(target, "admin.change", {
+    severity: finished.status === "executed" ? "warning" : "critical",
+    title: `Admin ${finished.action} ${finished.status}`,
+    message: describeDiff(finished.diff),
+    data: {
+      proposalId: finished.id,
+      proposedBy: finished.proposedBy,
+      confirmedBy: finished.confirmedBy,
+      txHash: finished.txHash,
+      error: finished.error,
+    },
+  });
+};
+
+// Propose an owner change. The response shows the current and new value
+// and the simulated call; nothing is sent until the proposal is confirmed.
+targetRoutes.post("/admin/proposals", requireRole("admin"), async (req, res) => {
+  const { target } = req;
+  try {
+    if (!target.contract) {
+      return sendProposalError(res, 503, "Web3 connection not available");
+    }
+    const { action, params = {} } = req.body || {};
+    if (!ADMIN_ACTIONS[action]) {
+      return sendProposalError(
+        res,
+        400,
+        `Unknown action. Expected one of ${Object.keys(ADMIN_ACTIONS).join(", ")}`
+      );
+    }
+    const args = ADMIN_ACTIONS[action].parse(params);
+    const { diff, simulation } = await previewAdminAction(target, action, args);
+
+    const proposal = target.proposals.create({
+      action,
+      params,
+      args: args.map(formatAdminValue),
+      diff,
+      simulation,
+      proposedBy: req.auth.keyId,
+      // A call that would revert is kept in the history but can not be confirmed
+      ...(simulation.success ? {} : { status: "rejected", error: simulation.error }),
+    });
+    auditLog.append({
+      event: "admin.proposed",
+      target: target.id,
+      keyId: req.auth.keyId,
+      proposalId: proposal.id,
+      action,
+      diff,
+      simulation,
+    });
+    logger.info(`Admin ${action} proposed: ${describeDiff(diff)}`, {
+      keyId: req.auth.keyId,
+    });
+
+    if (!simulation.success) {
+      return sendProposalError(
+        res,
+        422,
+        `Simulation failed: ${simulation.error}`,
+        proposal
+      );
+    }
+    res.status(201).json({
+      success: true,
+      proposal,
+      confirmUrl: `${req.baseUrl}/admin/proposals/${proposal.id}/confirm`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.status) return sendProposalError(res, error.status, error.message);
+    logger.error("Admin proposal failed", { error });
+    sendProposalError(res, 500, error.message);
+  }
+});
+
+// Proposal history, newest first
+targetRoutes.get("/admin/proposals", requireRole("admin"), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  res.json({
+    target: req.target.id,
+    proposals: req.target.proposals.list({ status: req.query.status, limit }),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+targetRoutes.get("/admin/proposals/:id", requireRole("admin"), (req, res) => {
+  const proposal = req.target.proposals.get(req.params.id);
+  if (!proposal) return sendProposalError(res, 404, "Proposal not found");
+  res.json({ proposal, timestamp: new Date().toISOString() });
+});
+
+// Confirm a pending proposal. The call is simulated again and the current
+// value must still match the proposal before the transaction is sent.
+targetRoutes.post("/admin/proposals/:id/confirm", requireRole("admin"), requireLeader, async (req, res) => {
+  const { target } = req;
+  const { proposals } = target;
+  try {
+    const proposal = proposals.get(req.params.id);
+    if (!proposal) return sendProposalError(res, 404, "Proposal not found");
+    if (proposal.status !== "pending") {
+      return sendProposalError(
+        res,
+        409,
+        `Proposal is ${proposal.status}`,
+        proposal
+      );
+    }
+    if (ADMIN_FOUR_EYES && proposal.proposedBy === req.auth.keyId) {
+      return sendProposalError(
+        res,
+        403,
+        "Proposal must be confirmed with a different API key",
+        proposal
+      );
+    }
+    if (!target.contract) {
+      return sendProposalError(res, 503, "Web3 connection not available");
+    }
+    if (target.activeRunId) {
+      return sendProposalError(
+        res,
+        409,
+        `Distribution run ${target.activeRunId} is in progress, confirm once it has finished`,
+        proposal
+      );
+    }
+    if (target.activeProposalId) {
+      return sendProposalError(
+        res,
+        409,
+        `Admin transaction of proposal ${target.activeProposalId} is pending, confirm once it has finished`,
+        proposal
+      );
+    }
+
+    const args = ADMIN_ACTIONS[proposal.action].parse(proposal.params);
+    // Claimed before the first await so a second confirm sent at the same
+    // time gets a 409 instead of sending the transaction again, and no run
+    // starts until the transaction has been sent and mined
+    proposals.update(proposal.id, { status: "confirming" });
+    target.activeProposalId = proposal.id;
+    let preview;
+    try {
+      preview = await previewAdminAction(target, proposal.action, args);
+    } catch (error) {
+      proposals.update(proposal.id, { status: "pending" });
+      target.activeProposalId = null;
+      throw error;
+    }
+    const { diff, simulation } = preview;
+    const compareOnConfirm =
+      ADMIN_ACTIONS[proposal.action].compareOnConfirm !== false;
+    if (compareOnConfirm && diff.current !== proposal.diff.current) {
+      target.activeProposalId = null;
+      proposals.update(proposal.id, {
+        status: "rejected",
+        error: `${diff.field} changed to ${diff.current} since the proposal was made`,
       });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: result.error || "Distribution failed",
-        details: result,
-        timestamp: new Date().toISOString(),
+      return sendProposalError(
+        res,
+        409,
+        `${diff.field} changed since the proposal was made, propose again`,
+        proposals.get(proposal.id)
+      );
+    }
+    if (!simulation.success) {
+      target.activeProposalId = null;
+      proposals.update(proposal.id, {
+        status: "rejected",
+        error: simulation.error,
       });
+      return sendProposalError(
+        res,
+        422,
+        `Simulation failed: ${simulation.error}`,
+        proposals.get(proposal.id)
+      );
     }
+
+    const confirmed = proposals.update(proposal.id, {
+      status: "confirmed",
+      confirmedBy: req.auth.keyId,
+      confirmedAt: new Date().toISOString(),
+    });
+    auditLog.append({
+      event: "admin.confirmed",
+      target: target.id,
+      keyId: req.auth.keyId,
+      proposalId: proposal.id,
+      action: proposal.action,
+      diff: proposal.diff,
+    });
+    executeProposal(target, confirmed, args)
+      .catch((error) =>
+        logger.error(`Admin ${confirmed.action} failed`, {
+          proposalId: confirmed.id,
+          error,
+        })
+      )
+      .finally(() => {
+        target.activeProposalId = null;
+      });
+
+    res.status(202).json({
+      success: true,
+      message: "Proposal confirmed, transaction is being sent",
+      proposal: confirmed,
+      statusUrl: `${req.baseUrl}/admin/proposals/${proposal.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Admin confirmation failed", { error });
+    sendProposalError(res, 500, error.message);
+  }
+});
+
+targetRoutes.post("/admin/proposals/:id/cancel", requireRole("admin"), (req, res) => {
+  const { proposals } = req.target;
+  const proposal = proposals.get(req.params.id);
+  if (!proposal) return sendProposalError(res, 404, "Proposal not found");
+  if (proposal.status !== "pending") {
+    return sendProposalError(res, 409, `Proposal is ${proposal.status}`, proposal);
+  }
+  const cancelled = proposals.update(proposal.id, { status: "cancelled" });
+  auditLog.append({
+    event: "admin.cancelled",
+    target: req.target.id,
+    keyId: req.auth.keyId,
+    proposalId: proposal.id,
+    action: proposal.action,
+  });
+  res.json({
+    success: true,
+    proposal: cancelled,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Audit trail of privileged calls
+app.get("/audit", requireRole("operator"), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  res.json({
+    entries: auditLog.readRecent({ limit }),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Prometheus scrape endpoint. It reports wallet and contract balances, so
+// scrapers need a read key like any other client.
+app.get("/metrics", requireRole("read"), async (req, res) => {
+  try {
+    res.set("Content-Type", metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
   } catch (error) {
-    console.error("❌ Manual distribution failed:", error.message);
+    logger.error("Metrics collection failed", { error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -430,13 +2412,18 @@ app.post("/trigger-distribution", async (req, res) => {
 });
 
 // Health check endpoint
-app.get("/health", async (req, res) => {
+targetRoutes.get("/health", async (req, res) => {
+  const { target } = req;
+  const { contract, wallet, rpcPool } = target;
   try {
     // Check Web3 connection
-    if (!provider || !contract || !wallet) {
+    if (!contract) {
       return res.status(503).json({
         status: "unhealthy",
-        error: "Web3 connection not initialized",
+        target: target.id,
+        error: target.initError || "Web3 connection not initialized",
+        rpcEndpoints: rpcPool ? rpcPool.getStatus() : [],
+        leadership: leader.getStatus(),
         timestamp: new Date().toISOString(),
       });
     }
@@ -449,20 +2436,30 @@ app.get("/health", async (req, res) => {
       ),
     ]);
 
+    // Degraded while any endpoint is failing but reads still succeed
+    const rpcEndpoints = rpcPool.getStatus();
     res.json({
-      status: "healthy",
+      status: rpcEndpoints.every((e) => e.healthy) ? "healthy" : "degraded",
       timestamp: new Date().toISOString(),
-      contract: CONTRACT_ADDRESS,
+      target: target.id,
+      chainId: rpcEndpoints[0].chainId,
+      contract: target.config.CONTRACT_ADDRESS,
       totalUsers: totalUsers.toString(),
       wallet: wallet.address,
-      network: RPC_URL,
+      network: rpcEndpoints.map((e) => e.url),
+      readQuorum: rpcPool.quorum,
+      rpcEndpoints,
+      leadership: leader.getStatus(),
       uptime: process.uptime(),
     });
   } catch (error) {
-    console.error("❌ Health check failed:", error.message);
+    logger.error("Health check failed", { error });
     res.status(500).json({
       status: "unhealthy",
+      target: target.id,
       error: error.message,
+      rpcEndpoints: rpcPool ? rpcPool.getStatus() : [],
+      leadership: leader.getStatus(),
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
     });
@@ -470,49 +2467,202 @@ app.get("/health", async (req, res) => {
 });
 
 // Check user rewards endpoint
-app.get("/user-rewards/:address", async (req, res) => {
+targetRoutes.get("/user-rewards/:address", async (req, res) => {
+  const { contract } = req.target;
   try {
     const userAddress = req.params.address;
 
     // Validate Web3 connection
-    if (!provider || !contract || !wallet) {
+    if (!contract) {
+      return res.status(503).json({
+        error: "Web3 connection not available",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Get user record
+    const userRecord = await contract.userRecord(userAddress);
+
+    if (!userRecord.isRegistered) {
+      return res.status(404).json({
+        error: "User not registered",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Get claimable amounts for each stake
+    const stakes = [];
+    for (let i = 0; i < userRecord.stakeCount; i++) {
+      const claimable = await contract.calculateClaimAbles(userAddress, i);
+      stakes.push({
+        stakeIndex: i,
+        claimable: claimable.toString(),
+        claimableFormatted: ethers.formatEther(claimable),
+      });
+    }
+
+    res.json({
+      userAddress,
+      totalInvestment: userRecord.totalInvestment.toString(),
+      totalWithdrawn: userRecord.totalWithdrawn.toString(),
+      stakeCount: userRecord.stakeCount.toString(),
+      stakes,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("User rewards check failed", { error });
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+const BULK_CSV_COLUMNS = [
+  "address",
+  "registered",
+  "stakeCount",
+  "totalClaimable",
+  "totalClaimableFormatted",
+  "stakeClaimables",
+  "totalInvestment",
+  "totalWithdrawn",
+  "error",
+];
+
+// Claimables for many addresses at once, as JSON or CSV
+targetRoutes.post("/user-rewards/bulk", requireRole("read"), async (req, res) => {
+  const { contract, multicall } = req.target;
+  try {
+    // Validate Web3 connection
+    if (!contract) {
+      return res.status(503).json({
+        success: false,
+        error: "Web3 connection not available",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { addresses } = req.body || {};
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Body must contain a non-empty addresses array",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (addresses.length > BULK_MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${BULK_MAX_ADDRESSES} addresses per request`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    const format =
+      req.query.format ||
+      req.body.format ||
+      (req.accepts(["json", "csv"]) === "csv" ? "csv" : "json");
+
+    const results = (
+      await collectBulkClaimables(
+        contract,
+        multicall,
+        addresses.map((address) => String(address).trim())
+      )
+    ).map((entry) => ({
+      address: entry.address,
+      registered: entry.registered,
+      stakeCount: entry.stakeCount,
+      totalInvestment:
+        entry.totalInvestment === null ? null : entry.totalInvestment.toString(),
+      totalWithdrawn:
+        entry.totalWithdrawn === null ? null : entry.totalWithdrawn.toString(),
+      stakes: entry.stakes.map(({ stakeIndex, claimable }) => ({
+        stakeIndex,
+        claimable: claimable.toString(),
+        claimableFormatted: ethers.formatEther(claimable),
+      })),
+      totalClaimable: entry.total === null ? null : entry.total.toString(),
+      totalClaimableFormatted:
+        entry.total === null ? null : ethers.formatEther(entry.total),
+      error: entry.error,
+    }));
+
+    if (format === "csv") {
+      const rows = results.map((entry) =>
+        BULK_CSV_COLUMNS.map((column) =>
+          csvField(
+            column === "stakeClaimables"
+              ? entry.stakes.map((stake) => stake.claimable).join(";")
+              : entry[column]
+          )
+        ).join(",")
+      );
+      res.type("text/csv");
+      return res.send(`${[BULK_CSV_COLUMNS.join(","), ...rows].join("\n")}\n`);
+    }
+
+    const succeeded = results.filter((entry) => !entry.error);
+    res.json({
+      success: true,
+      count: results.length,
+      registered: succeeded.filter((entry) => entry.registered).length,
+      errors: results.length - succeeded.length,
+      totalClaimable: succeeded
+        .reduce((sum, entry) => sum + BigInt(entry.totalClaimable), 0n)
+        .toString(),
+      results,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Bulk user rewards check failed", { error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Full user portfolio: stakes, packages, referral data and upline
+targetRoutes.get("/users/:address", async (req, res) => {
+  const { contract } = req.target;
+  try {
+    const userAddress = req.params.address;
+
+    // Validate Web3 connection
+    if (!contract) {
       return res.status(503).json({
         error: "Web3 connection not available",
         timestamp: new Date().toISOString(),
       });
     }
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        error: "Invalid address",
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    // Get user record
-    const userRecord = await contract.userRecord(userAddress);
-
-    if (!userRecord.isRegistered) {
+    const portfolio = await Promise.race([
+      readUserPortfolio(contract, ethers.getAddress(userAddress)),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error("Contract call timeout")), 15000)
+      ),
+    ]);
+    if (!portfolio) {
       return res.status(404).json({
         error: "User not registered",
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Get claimable amounts for each stake
-    const stakes = [];
-    for (let i = 0; i < userRecord.stakeCount; i++) {
-      const claimable = await contract.calculateClaimAbles(userAddress, i);
-      stakes.push({
-        stakeIndex: i,
-        claimable: claimable.toString(),
-        claimableFormatted: ethers.formatEther(claimable),
-      });
-    }
-
     res.json({
-      userAddress,
-      totalInvestment: userRecord.totalInvestment.toString(),
-      totalWithdrawn: userRecord.totalWithdrawn.toString(),
-      stakeCount: userRecord.stakeCount.toString(),
-      stakes,
+      ...portfolio,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("❌ User rewards check failed:", error.message);
+    logger.error("User portfolio lookup failed", { error });
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString(),
@@ -521,10 +2671,12 @@ app.get("/user-rewards/:address", async (req, res) => {
 });
 
 // Contract info endpoint
-app.get("/contract-info", async (req, res) => {
+targetRoutes.get("/contract-info", async (req, res) => {
+  const { target } = req;
+  const { contract, wallet } = target;
   try {
     // Validate Web3 connection
-    if (!provider || !contract || !wallet) {
+    if (!contract) {
       return res.status(503).json({
         error: "Web3 connection not available",
         timestamp: new Date().toISOString(),
@@ -548,16 +2700,17 @@ app.get("/contract-info", async (req, res) => {
     ]);
 
     res.json({
-      contractAddress: CONTRACT_ADDRESS,
+      target: target.id,
+      contractAddress: target.config.CONTRACT_ADDRESS,
       owner: owner,
       totalUsers: totalUsers.toString(),
       wallet: wallet.address,
-      batchSize: BATCH_SIZE,
-      cronSchedule: CRON_SCHEDULE,
+      batchSize: target.config.BATCH_SIZE,
+      cronSchedule: target.config.CRON_SCHEDULE,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("❌ Contract info failed:", error.message);
+    logger.error("Contract info failed", { error });
     res.status(500).json({
       error: error.message,
       timestamp: new Date().toISOString(),
@@ -565,48 +2718,663 @@ app.get("/contract-info", async (req, res) => {
   }
 });
 
+// Dates in event queries: ISO 8601 or unix seconds
+const parseDateParam = (value) => {
+  if (value === undefined) return null;
+  const date = /^\d+$/.test(value)
+    ? new Date(Number(value) * 1000)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw Object.assign(new Error(`Invalid date: ${value}`), { status: 400 });
+  }
+  return date;
+};
+
+// Shared handler for the indexed event queries
+const sendIndexedEvents = (type) => (req, res) => {
+  const { eventIndexer } = req.target;
+  try {
+    if (!eventIndexer) {
+      return res.status(503).json({
+        success: false,
+        error: `Event indexer is not running. Set ${targetSettingLabel(
+          req.target,
+          "INDEXER_START_BLOCK"
+        )} to enable it`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    const { user } = req.query;
+    if (user !== undefined && !ethers.isAddress(user)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid user address",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+    const { total, events } = eventIndexer.query(type, {
+      user,
+      from: parseDateParam(req.query.from),
+      to: parseDateParam(req.query.to),
+      limit,
+    });
+    res.json({
+      total,
+      count: events.length,
+      events,
+      indexer: eventIndexer.getStatus(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!error.status) logger.error("Event query failed", { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Indexed contract events
+targetRoutes.get("/events/registrations", sendIndexedEvents("registration"));
+targetRoutes.get("/events/purchases", sendIndexedEvents("purchase"));
+targetRoutes.get(
+  "/events/ownership-transfers",
+  sendIndexedEvents("ownershipTransfer")
+);
+
+// Event indexer progress
+targetRoutes.get("/events/status", (req, res) => {
+  const { eventIndexer } = req.target;
+  res.json({
+    target: req.target.id,
+    enabled: Boolean(eventIndexer),
+    ...(eventIndexer ? eventIndexer.getStatus() : {}),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// The schedule a target runs on. One set through the API replaces
+// CRON_SCHEDULE and CRON_TIMEZONE until it is cleared.
+const effectiveSchedule = (target) => {
+  const { override } = target.scheduleState.get();
+  return override
+    ? { schedule: override.schedule, timezone: override.timezone, source: "api" }
+    : {
+        schedule: target.config.CRON_SCHEDULE,
+        timezone: target.config.CRON_TIMEZONE,
+        source: "config",
+      };
+};
+
+// Schedule, operator changes and the next `count` times a distribution
+// will actually start, i.e. none while paused and without a skipped one
+const describeSchedule = (target, count = 5) => {
+  const { schedule, timezone, source } = effectiveSchedule(target);
+  const { coveredUntil, lastCompletedRun, paused, override, skipNext } =
+    target.scheduleState.get();
+  const skipped = skipNext && skipNext.occurrence;
+  const nextRuns = paused
+    ? []
+    : createScheduleMatcher(schedule, timezone)
+        .nextFireTimes(new Date(), count + 1)
+        .map((time) => time.toISOString())
+        .filter((time) => time !== skipped)
+        .slice(0, count);
+  return {
+    target: target.id,
+    schedule,
+    timezone,
+    source,
+    // The cron job only runs once the target is connected
+    active: Boolean(target.cronTask) && !paused,
+    paused,
+    override,
+    skipNext,
+    catchUpPolicy: target.config.CATCH_UP_POLICY,
+    nextRuns,
+    coveredUntil,
+    lastCompletedRun,
+  };
+};
+
+const sendScheduleError = (res, status, error, extra = {}) =>
+  res.status(status).json({
+    success: false,
+    error,
+    ...extra,
+    timestamp: new Date().toISOString(),
+  });
+
+const sendScheduleChange = (req, res, message) =>
+  res.json({
+    success: true,
+    message,
+    ...describeSchedule(req.target),
+    timestamp: new Date().toISOString(),
+  });
+
+// Distribution schedule with its next fire times, ?count= of them (max 50)
+targetRoutes.get("/schedule", requireRole("read"), (req, res) => {
+  const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 50);
+  res.json({
+    ...describeSchedule(req.target, count),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Schedule changes below are saved to the schedule state, which every
+// instance's cron job reads when it fires. Like distribution triggers they
+// must be sent to the leader.
+
+// Stop scheduled distributions until resumed, e.g. during a contract
+// incident. A run already in progress is not stopped.
+targetRoutes.post("/schedule/pause", requireRole("operator"), requireLeader, (req, res) => {
+  const { target } = req;
+  const { paused } = target.scheduleState.get();
+  if (paused) {
+    return sendScheduleError(res, 409, "Schedule is already paused", { paused });
+  }
+  const reason = req.body && req.body.reason ? String(req.body.reason) : null;
+  target.scheduleState.update({
+    paused: { by: req.auth.keyId, at: new Date().toISOString(), reason },
+  });
+  logger.warn("Scheduled distributions paused", { by: req.auth.keyId, reason });
+  auditLog.append({
+    event: "schedule.paused",
+    target: target.id,
+    keyId: req.auth.keyId,
+    reason,
+  });
+  sendScheduleChange(req, res, "Scheduled distributions paused");
+});
+
+// Occurrences that passed while paused are not caught up
+targetRoutes.post("/schedule/resume", requireRole("operator"), requireLeader, (req, res) => {
+  const { target } = req;
+  const { paused } = target.scheduleState.get();
+  if (!paused) return sendScheduleError(res, 409, "Schedule is not paused");
+  target.scheduleState.update({
+    paused: null,
+    coveredUntil: new Date().toISOString(),
+  });
+  logger.info("Scheduled distributions resumed", { by: req.auth.keyId });
+  auditLog.append({
+    event: "schedule.resumed",
+    target: target.id,
+    keyId: req.auth.keyId,
+    pausedBy: paused.by,
+    pausedAt: paused.at,
+  });
+  sendScheduleChange(req, res, "Scheduled distributions resumed");
+});
+
+// Replace the schedule with {"schedule": "...", "timezone": "..."}; the
+// time zone defaults to the current one. {"schedule": null} goes back to
+// CRON_SCHEDULE and CRON_TIMEZONE. A pending skip is dropped.
+targetRoutes.post("/schedule/reschedule", requireRole("operator"), requireLeader, (req, res) => {
+  const { target } = req;
+  const previous = effectiveSchedule(target);
+  const { schedule, timezone = previous.timezone } = req.body || {};
+
+  if (schedule === null) {
+    target.scheduleState.update({ override: null, skipNext: null });
+  } else {
+    if (typeof schedule !== "string" || !cron.validate(schedule)) {
+      return sendScheduleError(res, 400, "schedule must be a valid cron expression");
+    }
+    if (typeof timezone !== "string" || !isTimeZone(timezone)) {
+      return sendScheduleError(res, 400, "timezone must be an IANA time zone");
+    }
+    const matcher = createScheduleMatcher(schedule, timezone);
+    if (matcher.nextFireTimes(new Date()).length === 0) {
+      return sendScheduleError(res, 400, "schedule does not fire within a year");
+    }
+    target.scheduleState.update({
+      override: {
+        schedule,
+        timezone,
+        by: req.auth.keyId,
+        at: new Date().toISOString(),
+      },
+      skipNext: null,
+    });
+  }
+
+  const next = effectiveSchedule(target);
+  restartCronJob(target);
+  logger.info(`Schedule changed to ${next.schedule} (${next.timezone})`, {
+    by: req.auth.keyId,
+    source: next.source,
+  });
+  auditLog.append({
+    event: "schedule.rescheduled",
+    target: target.id,
+    keyId: req.auth.keyId,
+    previous: { schedule: previous.schedule, timezone: previous.timezone },
+    schedule: next.schedule,
+    timezone: next.timezone,
+    source: next.source,
+  });
+  sendScheduleChange(req, res, "Schedule changed");
+});
+
+// Skip only the next occurrence; later ones run as usual
+targetRoutes.post("/schedule/skip-next", requireRole("operator"), requireLeader, (req, res) => {
+  const { target } = req;
+  const { paused } = target.scheduleState.get();
+  if (paused) {
+    return sendScheduleError(res, 409, "Schedule is paused, nothing to skip", {
+      paused,
+    });
+  }
+  const { schedule, timezone } = effectiveSchedule(target);
+  const [occurrence] = createScheduleMatcher(schedule, timezone).nextFireTimes(
+    new Date()
+  );
+  const skipNext = {
+    occurrence: occurrence.toISOString(),
+    by: req.auth.keyId,
+    at: new Date().toISOString(),
+  };
+  target.scheduleState.update({ skipNext });
+  logger.info(`Next scheduled distribution at ${skipNext.occurrence} will be skipped`, {
+    by: req.auth.keyId,
+  });
+  auditLog.append({
+    event: "schedule.skip_next",
+    target: target.id,
+    keyId: req.auth.keyId,
+    occurrence: skipNext.occurrence,
+  });
+  sendScheduleChange(req, res, "Next scheduled distribution will be skipped");
+});
+
+targetRoutes.delete("/schedule/skip-next", requireRole("operator"), requireLeader, (req, res) => {
+  const { target } = req;
+  const { skipNext } = target.scheduleState.get();
+  if (!skipNext) return sendScheduleError(res, 409, "No occurrence is being skipped");
+  target.scheduleState.update({ skipNext: null });
+  logger.info("Skip of the next scheduled distribution cancelled", {
+    by: req.auth.keyId,
+  });
+  auditLog.append({
+    event: "schedule.skip_cancelled",
+    target: target.id,
+    keyId: req.auth.keyId,
+    occurrence: skipNext.occurrence,
+  });
+  sendScheduleChange(req, res, "Skip cancelled");
+});
+
+// Effective configuration with secrets masked
+app.get("/config", requireRole("operator"), (req, res) => {
+  res.json({
+    configPath: CONFIG_PATH,
+    ...describeConfig(configState),
+    timestamp: new Date().toISOString(),
+  });
+});
+
 // Setup cron job
-const setupCronJob = () => {
+const setupCronJob = (target) => {
+  const { schedule, timezone, source } = effectiveSchedule(target);
   try {
-    console.log(`⏰ Setting up cron job with schedule: ${CRON_SCHEDULE}`);
+    logger.info(`Setting up cron job with schedule ${schedule} (${timezone})`, {
+      source,
+    });
 
-    cron.schedule(
-      CRON_SCHEDULE,
-      async () => {
-        console.log(
-          "\n🕐 Cron job triggered - Starting daily reward distribution..."
-        );
-        try {
-          const result = await distributeRewardsInBatches();
-          if (result.success) {
-            console.log("✅ Reward distribution completed successfully");
-          } else {
-            console.log(
-              "⚠️  Reward distribution completed with errors:",
-              result.message
+    target.cronTask = cron.schedule(
+      schedule,
+      (context) =>
+        withLogContext({ target: target.id }, async () => {
+          const { coveredUntil } = target.scheduleState.get();
+          if (coveredUntil && context.date <= new Date(coveredUntil)) {
+            // A timer firing early can repeat an occurrence
+            logger.debug("Ignoring an occurrence that was already handled", {
+              occurrence: context.date.toISOString(),
+            });
+            return;
+          }
+          // Another instance sharing DATA_DIR may have changed the schedule
+          const current = effectiveSchedule(target);
+          if (current.schedule !== schedule || current.timezone !== timezone) {
+            logger.info(
+              `Schedule changed to ${current.schedule} (${current.timezone}), rescheduling`
             );
+            restartCronJob(target);
+            return;
           }
-        } catch (error) {
-          console.error("❌ Reward distribution failed:", error.message);
-          // Don't throw the error - isolate cron failures from main server
-        }
-      },
-      {
-        scheduled: true,
-       
-      }
+          const { paused } = target.scheduleState.get();
+          if (paused) {
+            logger.info("Skipping scheduled distribution: the schedule is paused", {
+              pausedBy: paused.by,
+            });
+            return;
+          }
+          try {
+            // Only the instance that handles the occurrence records it, so
+            // a follower never marks one the leader still has to run
+            if (!(await leader.ensureLeadership())) {
+              logger.info("Skipping scheduled distribution: not the leader", {
+                leader: leader.getStatus().leader,
+              });
+              return;
+            }
+            logger.info("Cron job triggered, starting reward distribution");
+            // Handled from here on, so a restart must not catch it up again
+            target.scheduleState.update({
+              coveredUntil: context.date.toISOString(),
+            });
+            const { skipNext } = target.scheduleState.get();
+            if (
+              skipNext &&
+              context.date.getTime() >= Date.parse(skipNext.occurrence)
+            ) {
+              target.scheduleState.update({ skipNext: null });
+              logger.info("Skipping scheduled distribution as requested", {
+                skippedBy: skipNext.by,
+              });
+              auditLog.append({
+                event: "schedule.skipped",
+                target: target.id,
+                keyId: skipNext.by,
+                occurrence: context.date.toISOString(),
+              });
+              return;
+            }
+            if (target.activeRunId) {
+              logger.warn(
+                "Skipping scheduled distribution: a run is still in progress",
+                { activeRunId: target.activeRunId }
+              );
+              return;
+            }
+            if (target.activeProposalId) {
+              logger.warn(
+                "Skipping scheduled distribution: an admin transaction is pending",
+                { proposalId: target.activeProposalId }
+              );
+              return;
+            }
+            const { completion } = startDistributionRun(target, {
+              trigger: "cron",
+              scheduledFor: context.date,
+            });
+            await completion;
+          } catch (error) {
+            logger.error("Scheduled distribution failed", { error });
+            // Don't throw the error - isolate cron failures from main server
+          }
+        }),
+      { timezone }
+    );
+    // The job keeps running while paused and checks the saved state when it
+    // fires, so a resume by another instance takes effect here too
+    const { paused } = target.scheduleState.get();
+    if (paused) {
+      logger.warn("Scheduled distributions are paused", {
+        pausedBy: paused.by,
+        pausedAt: paused.at,
+      });
+    }
+  } catch (error) {
+    logger.error(
+      "Failed to set up cron job, continuing without scheduled distributions",
+      { error }
+    );
+  }
+};
+
+// Set the cron job up again after its schedule changed. Targets whose job
+// is not running yet pick the new schedule up when it starts.
+const restartCronJob = (target) => {
+  if (!target.cronTask) return;
+  // Stopping alone would keep the old task in node-cron's registry
+  target.cronTask.destroy();
+  target.cronTask = null;
+  setupCronJob(target);
+};
+
+// Run the distributions the schedule missed while the server was down, as
+// CATCH_UP_POLICY says. Occurrences since the target's schedule state was
+// last covered count as missed; a target without state starts covered from
+// now. Resolves to the catch-up runs that were started.
+const catchUpMissedRuns = async (target) => {
+  const { CATCH_UP_POLICY, CATCH_UP_MAX_RUNS } = target.config;
+  const { scheduleState } = target;
+  // Followers leave the schedule state alone; the leader catches up
+  if (!(await leader.ensureLeadership())) {
+    logger.info("Leaving missed distributions to the leader");
+    return [];
+  }
+  const now = new Date();
+  const { coveredUntil, paused, skipNext } = scheduleState.get();
+  if (paused) {
+    // Resuming does not catch up either
+    scheduleState.update({ coveredUntil: now.toISOString() });
+    logger.warn("Scheduled distributions are paused, not catching up");
+    return [];
+  }
+  const { schedule, timezone } = effectiveSchedule(target);
+  let missed = coveredUntil
+    ? createScheduleMatcher(schedule, timezone).fireTimesBetween(
+        new Date(coveredUntil),
+        now
+      )
+    : [];
+  scheduleState.update({ coveredUntil: now.toISOString() });
+  if (skipNext && Date.parse(skipNext.occurrence) <= now.getTime()) {
+    // The occurrence to skip passed while the server was down
+    missed = missed.filter((time) => time.toISOString() !== skipNext.occurrence);
+    scheduleState.update({ skipNext: null });
+  }
+  if (missed.length === 0) return [];
+
+  logger.warn(
+    `Missed ${missed.length} scheduled distribution(s) while the server was down`,
+    {
+      first: missed[0].toISOString(),
+      last: missed[missed.length - 1].toISOString(),
+      policy: CATCH_UP_POLICY,
+    }
+  );
+  auditLog.append({
+    event: "schedule.missed",
+    target: target.id,
+    missed: missed.map((time) => time.toISOString()),
+    policy: CATCH_UP_POLICY,
+  });
+  if (CATCH_UP_POLICY === "skip") {
+    logger.info("Not catching up missed distributions, CATCH_UP_POLICY is skip");
+    return [];
+  }
+
+  // "once" stands in for every missed occurrence with the latest one
+  const windows =
+    CATCH_UP_POLICY === "once"
+      ? missed.slice(-1)
+      : missed.slice(-CATCH_UP_MAX_RUNS);
+  if (windows.length < missed.length && CATCH_UP_POLICY === "each") {
+    logger.warn(
+      `Catching up the latest ${windows.length} missed distributions only, CATCH_UP_MAX_RUNS is ${CATCH_UP_MAX_RUNS}`
     );
+  }
+
+  const runs = [];
+  for (const scheduledFor of windows) {
+    if (target.activeRunId) {
+      logger.warn("Stopping catch-up: a run is in progress", {
+        activeRunId: target.activeRunId,
+      });
+      break;
+    }
+    logger.info("Catching up missed distribution", {
+      scheduledFor: scheduledFor.toISOString(),
+    });
+    const { run, completion } = startDistributionRun(target, {
+      trigger: "catch-up",
+      scheduledFor,
+    });
+    runs.push(run);
+    await completion;
+  }
+  return runs;
+};
 
-    console.log("✅ Cron job scheduled successfully");
+// Re-read the configuration on SIGHUP. Reloadable settings take effect
+// right away, other changes are reported and wait for a restart. A reload
+// with an invalid contract address, RPC URL or schedule is ignored.
+const reloadConfig = () => {
+  logger.info("Reloading configuration");
+  let next;
+  try {
+    next = loadConfig({ configPath: CONFIG_PATH, baseDir: __dirname });
   } catch (error) {
-    console.error("❌ Failed to setup cron job:", error.message);
-    console.log("⚠️  Server will continue without scheduled distributions");
+    logger.error("Configuration reload rejected", {
+      error,
+      problems: error.problems,
+    });
+    auditLog.append({ event: "config.reload_rejected", error: error.message });
+    return;
+  }
+
+  // Chain, contract, signer, batch size and schedule are compared per
+  // target below
+  const changed = Object.keys(CONFIG_SCHEMA).filter(
+    (key) =>
+      !TARGET_SETTINGS[key] &&
+      !isDeepStrictEqual(next.values[key], configState.values[key])
+  );
+  const applied = changed.filter((key) => RELOADABLE_SETTINGS.includes(key));
+  const needsRestart = changed.filter((key) => !applied.includes(key));
+
+  for (const key of RELOADABLE_SETTINGS) {
+    configState.values[key] = next.values[key];
+    configState.sources[key] = next.sources[key];
+  }
+  ({
+    READ_CONCURRENCY,
+    LOW_BALANCE_BNB,
+    BULK_MAX_ADDRESSES,
+    SOLVENCY_CHECK,
+    SOLVENCY_MIN_COVERAGE_PERCENT,
+    FUNDING_CHECK,
+    FUNDING_BUFFER_PERCENT,
+    BNB_USD_RATE,
+    BATCH_DELAY_MS,
+  } = configState.values);
+  configureLogger({
+    level: configState.values.LOG_LEVEL,
+    format: configState.values.LOG_FORMAT,
+  });
+
+  const nextTargets = new Map(
+    next.values.targets.map((config) => [config.id, config])
+  );
+  for (const target of targets.values()) {
+    // Added and removed targets are reported as a TARGETS change
+    const nextConfig = nextTargets.get(target.id);
+    if (!nextConfig) continue;
+    for (const key of Object.keys(TARGET_SETTINGS)) {
+      if (isDeepStrictEqual(nextConfig[key], target.config[key])) continue;
+      const label = targetSettingLabel(target, key);
+      if (!CONFIG_SCHEMA[key].reloadable) {
+        needsRestart.push(label);
+        continue;
+      }
+      target.config[key] = nextConfig[key];
+      configState.sources.targets[target.id][key] =
+        next.sources.targets[target.id][key];
+      applied.push(label);
+
+      // The cron job is only running once Web3 is up; otherwise the new
+      // schedule is picked up when it starts
+      if (key === "CRON_SCHEDULE" || key === "CRON_TIMEZONE") {
+        if (target.scheduleState.get().override) {
+          logger.warn(
+            `${label} changed, but the schedule set through the API stays in effect until it is cleared`
+          );
+        }
+        restartCronJob(target);
+      }
+    }
+  }
+
+  logger.info("Configuration reloaded", { applied });
+  if (needsRestart.length > 0) {
+    logger.warn(`Restart required to apply: ${needsRestart.join(", ")}`, {
+      needsRestart,
+    });
+  }
+  auditLog.append({ event: "config.reloaded", applied, needsRestart });
+};
+
+// Summary of one target for GET /targets
+const describeTarget = (target) => {
+  const { schedule, timezone } = effectiveSchedule(target);
+  const rpcEndpoints = target.rpcPool ? target.rpcPool.getStatus() : [];
+  let status = "unavailable";
+  if (target.contract) {
+    status = rpcEndpoints.every((e) => e.healthy) ? "healthy" : "degraded";
+  }
+  return {
+    id: target.id,
+    default: target === defaultTarget,
+    status,
+    error: target.initError,
+    chainId:
+      rpcEndpoints.length > 0
+        ? rpcEndpoints[0].chainId
+        : target.config.CHAIN_ID?.toString() ?? null,
+    contract: target.config.CONTRACT_ADDRESS,
+    wallet: target.wallet ? target.wallet.address : null,
+    signer: target.config.SIGNER,
+    batchSize: target.config.BATCH_SIZE,
+    cronSchedule: schedule,
+    cronTimezone: timezone,
+    schedulePaused: Boolean(target.scheduleState.get().paused),
+    activeRunId: target.activeRunId,
+    eventIndexer: Boolean(target.eventIndexer),
+    healthUrl: targetPath(target, "/health"),
+  };
+};
+
+// Distribution targets and their connection state
+app.get("/targets", (req, res) => {
+  res.json({
+    defaultTarget: DEFAULT_TARGET,
+    targets: [...targets.values()].map(describeTarget),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Look up the target named in the path
+const resolveTarget = (req, res, next) => {
+  req.target = targets.get(req.params.targetId);
+  if (!req.target) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown target "${req.params.targetId}"`,
+      targets: [...targets.keys()],
+      timestamp: new Date().toISOString(),
+    });
   }
+  withLogContext({ target: req.target.id }, next);
 };
 
+app.use("/targets/:targetId", resolveTarget, targetRoutes);
+
+// Routes without a /targets/:targetId prefix act on the default target
+app.use((req, res, next) => {
+  req.target = defaultTarget;
+  withLogContext({ target: defaultTarget.id }, next);
+}, targetRoutes);
+
 // Express error handling middleware
 app.use((error, req, res, next) => {
-  console.error("❌ Unhandled Express error:", error.message);
+  logger.error("Unhandled Express error", { error });
   res.status(500).json({
     success: false,
     error: "Internal server error",
@@ -623,23 +3391,141 @@ app.use((req, res) => {
   });
 });
 
+// Runs still marked as running were cut off by a shutdown or by a leader
+// losing its lease. Only the leader marks them interrupted: with a shared
+// DATA_DIR, the runs a follower sees as running are the leader's. The
+// journal is re-read first so a new leader sees its predecessor's runs.
+const recoverInterruptedRuns = (target) => {
+  const { runJournal } = target;
+  if (!leader.isLeader() || target.activeRunId) return;
+  runJournal.reload();
+  for (const run of runJournal.markInterruptedRuns()) {
+    logger.warn(
+      `Run was interrupted. Resume with POST ${targetPath(target, `/runs/${run.id}/resume`)}`,
+      { runId: run.id }
+    );
+  }
+};
+
+// Proposals left confirming, confirmed or submitted were cut off by a
+// restart or a lost lease. One with a transaction hash gets the outcome of
+// that transaction. Without a receipt, or without a hash once confirmed,
+// nobody can tell whether it was sent, so it becomes "unknown"; one still
+// confirming sent nothing and has failed. Only the leader recovers them,
+// as with interrupted runs.
+const recoverStuckProposals = async (target) => {
+  const { proposals, provider } = target;
+  if (!provider || !leader.isLeader() || target.activeProposalId) return;
+  proposals.reload();
+  const stuck = proposals
+    .list({ limit: Infinity })
+    .filter((proposal) => IN_FLIGHT_STATUSES.includes(proposal.status));
+  for (const proposal of stuck) {
+    let changes;
+    if (proposal.status === "confirming") {
+      changes = {
+        status: "failed",
+        error: "Interrupted before the transaction was sent",
+      };
+    } else if (!proposal.txHash) {
+      changes = {
+        status: "unknown",
+        error: "Interrupted while the transaction was sent, check the wallet before proposing again",
+      };
+    } else {
+      const receipt = await provider.getTransactionReceipt(proposal.txHash);
+      changes = receipt
+        ? {
+            status: receipt.status === 1 ? "executed" : "failed",
+            blockNumber: receipt.blockNumber,
+            error: receipt.status === 1 ? null : "Transaction reverted",
+          }
+        : {
+            status: "unknown",
+            error: `No receipt for ${proposal.txHash} after an interruption, check it before proposing again`,
+          };
+    }
+    const recovered = proposals.update(proposal.id, changes);
+    logger.warn(`Interrupted admin ${recovered.action} is ${recovered.status}`, {
+      proposalId: recovered.id,
+      txHash: recovered.txHash,
+    });
+    auditLog.append({
+      event: `admin.${recovered.status}`,
+      target: target.id,
+      proposalId: recovered.id,
+      action: recovered.action,
+      txHash: recovered.txHash,
+      error: recovered.error,
+      recovered: true,
+    });
+  }
+};
+
+// Recover a target's journal, connect it and start its schedule and indexer
+const startTarget = async (target) => {
+  const { runJournal } = target;
+
+  recoverInterruptedRuns(target);
+  const lastCompletedRun = runJournal
+    .listRuns({ limit: Infinity })
+    .find((run) => run.status === "completed" && run.finishedAt);
+  if (lastCompletedRun) {
+    metrics.setLastSuccessfulRun(target.id, lastCompletedRun.finishedAt);
+  }
+
+  // Initialize Web3
+  const web3Initialized = await initializeWeb3(target);
+  if (!web3Initialized) {
+    logger.warn(
+      "Target runs in limited mode: distribution endpoints are unavailable, health checks still work"
+    );
+    return;
+  }
+
+  await recoverStuckProposals(target).catch((error) =>
+    logger.error("Recovering interrupted admin proposals failed", { error })
+  );
+
+  // Setup cron job only if Web3 is working
+  setupCronJob(target);
+  // In the background, so the server starts listening meanwhile
+  catchUpMissedRuns(target).catch((error) =>
+    logger.error("Catching up missed distributions failed", { error })
+  );
+
+  if (target.config.INDEXER_START_BLOCK !== null) {
+    target.eventIndexer = createEventIndexer({
+      contract: target.contract,
+      provider: target.provider,
+      dataDir: target.config.DATA_DIR,
+      startBlock: target.config.INDEXER_START_BLOCK,
+      confirmations: INDEXER_CONFIRMATIONS,
+      chunkSize: INDEXER_CHUNK_SIZE,
+      pollIntervalMs: INDEXER_POLL_INTERVAL_MS,
+    });
+    target.eventIndexer.start();
+  }
+};
+
 // Start server
 const startServer = async () => {
   try {
-    console.log("🚀 Starting server initialization...");
+    logger.info("Starting server", {
+      targets: [...targets.keys()],
+      defaultTarget: DEFAULT_TARGET,
+    });
 
-    // Initialize Web3
-    const web3Initialized = await initializeWeb3();
-    if (!web3Initialized) {
-      console.log(
-        "⚠️  Web3 initialization failed. Starting server in limited mode."
+    if (auth.keyCount === 0) {
+      logger.warn(
+        "No API_KEYS configured. Distribution triggers and run endpoints will reject all requests"
       );
-      console.log("📝 Manual distribution endpoints will be unavailable");
-      console.log("📝 Health check endpoint will still work");
-    } else {
-      console.log("✅ Web3 initialized successfully");
-      // Setup cron job only if Web3 is working
-      setupCronJob();
+    }
+
+    await leader.start();
+
+    for (const target of targets.values()) {
+      await withLogContext({ target: target.id }, () => startTarget(target));
     }
 
     // Start Express server with retry logic
@@ -651,55 +3537,45 @@ const startServer = async () => {
     while (portAttempts < maxPortAttempts) {
       try {
         server = app.listen(currentPort, () => {
-          console.log("\n🚀 Server started successfully!");
-          console.log(`🌐 Server running on port ${currentPort}`);
-          console.log(
-            `📊 Health check: http://localhost:${currentPort}/health`
-          );
-          console.log(
-            `📄 Contract info: http://localhost:${currentPort}/contract-info`
-          );
-          console.log(
-            `🔧 Manual trigger: POST http://localhost:${currentPort}/trigger-distribution`
-          );
-          console.log(
-            `🚀 Immediate distribution: POST http://localhost:${currentPort}/distribute-now`
-          );
-          console.log(
-            `👤 Check user rewards: GET http://localhost:${currentPort}/user-rewards/{address}`
-          );
-          console.log(`⏰ Cron schedule: ${CRON_SCHEDULE} (UTC)`);
-          console.log("\n📝 Logs will appear below...\n");
+          logger.info(`Server started on port ${currentPort}`, {
+            port: currentPort,
+            healthUrl: `http://localhost:${currentPort}/health`,
+            schedules: Object.fromEntries(
+              [...targets.values()].map((target) => {
+                const { schedule, timezone } = effectiveSchedule(target);
+                return [target.id, `${schedule} (${timezone})`];
+              })
+            ),
+          });
         });
 
         // Handle server errors
         server.on("error", (error) => {
           if (error.code === "EADDRINUSE") {
-            console.error(
-              `❌ Port ${currentPort} is already in use. Trying next port...`
+            logger.error(
+              `Port ${currentPort} is already in use. Trying next port`
             );
             currentPort++;
             portAttempts++;
             if (portAttempts < maxPortAttempts) {
               setTimeout(() => startServer(), 1000);
             } else {
-              console.error(
-                "❌ Could not find an available port after multiple attempts"
+              logger.error(
+                "Could not find an available port after multiple attempts"
               );
               process.exit(1);
             }
           } else {
-            console.error("❌ Server error:", error.message);
+            logger.error("Server error", { error });
             process.exit(1);
           }
         });
 
         return server;
       } catch (listenError) {
-        console.error(
-          `❌ Failed to start server on port ${currentPort}:`,
-          listenError.message
-        );
+        logger.error(`Failed to start server on port ${currentPort}`, {
+          error: listenError,
+        });
         currentPort++;
         portAttempts++;
 
@@ -709,62 +3585,150 @@ const startServer = async () => {
           );
         }
 
-        console.log(`⏳ Trying port ${currentPort}...`);
+        logger.info(`Trying port ${currentPort}`);
         await new Promise((resolve) => setTimeout(resolve, 1000));
       }
     }
   } catch (error) {
-    console.error("💥 Failed to start server:", error.message);
-    console.log("🔄 Attempting graceful shutdown...");
+    logger.error("Failed to start server", { error });
     process.exit(1);
   }
 };
 
-// Global error handlers
-process.on("unhandledRejection", (reason, promise) => {
-  console.error(
-    "❌ Unhandled Promise Rejection at:",
-    promise,
-    "reason:",
-    reason
-  );
-  console.log("⚠️  Server will continue running despite this error");
-  // Don't exit the process - log and continue
-});
-
-process.on("uncaughtException", (error) => {
-  console.error("💥 Uncaught Exception:", error.message);
-  console.error("Stack:", error.stack);
-  console.log("⚠️  Attempting to continue server operation...");
-  // Don't exit immediately - try to continue running
-  // Only exit if it's a critical error
-  if (error.message.includes("EADDRINUSE") || error.message.includes("port")) {
-    console.log(
-      "🔄 Port-related error detected. Attempting graceful shutdown..."
+// Stop every target's schedule, indexer and RPC connections
+const stopTargets = () => {
+  for (const target of targets.values()) {
+    if (target.cronTask) {
+      target.cronTask.stop();
+    }
+    if (target.provider && target.provider.removeAllListeners) {
+      target.provider.removeAllListeners();
+    }
+    if (target.eventIndexer) {
+      target.eventIndexer.stop();
+    }
+    if (target.rpcPool) {
+      target.rpcPool.destroy();
+    }
+  }
+};
+
+// Handle graceful shutdown. Handing the lease back lets another replica
+// take over without waiting for it to expire.
+const gracefulShutdown = async (signal) => {
+  logger.info(`Received ${signal}, shutting down`);
+  stopTargets();
+  await leader.stop();
+  logger.info("Server shutdown complete");
+  process.exit(0);
+};
+
+// One distribution run from the command line, without the HTTP server.
+// Prints the finished run and exits non-zero unless it completed.
+const distributeFromCli = async (targetId = DEFAULT_TARGET) => {
+  const target = targets.get(targetId);
+  if (!target) {
+    throw new Error(`Unknown target "${targetId}"`);
+  }
+
+  // A running server shares the run journal and the signer's nonces
+  const activeRun = target.runJournal
+    .listRuns({ limit: Infinity })
+    .find((run) => ACTIVE_RUN_STATUSES.includes(run.status));
+  if (activeRun) {
+    throw new Error(
+      `Run ${activeRun.id} of ${target.id} is still ${activeRun.status}. Wait for it to finish, or restart the server to mark it interrupted`
     );
-    process.exit(1);
   }
-  // For other errors, log and continue
-});
 
-// Handle graceful shutdown
-const gracefulShutdown = (signal) => {
-  console.log(`\n👋 Received ${signal}. Shutting down server gracefully...`);
+  // Replicas serving the same contract must not distribute at the same time
+  await leader.start();
+  if (!leader.isLeader()) {
+    await leader.stop();
+    throw new Error(
+      `${leader.getStatus().leader} holds the leader lease. Trigger the run through that instance`
+    );
+  }
 
-  // Close any active connections
-  if (provider && provider.removeAllListeners) {
-    provider.removeAllListeners();
+  if (!(await initializeWeb3(target))) {
+    await leader.stop();
+    throw new Error(`Web3 initialization of ${target.id} failed`);
   }
 
-  console.log("✅ Server shutdown complete");
-  process.exit(0);
+  const { run, completion } = startDistributionRun(target, {
+    trigger: "cli",
+    triggeredBy: os.userInfo().username,
+  });
+  await completion;
+  await leader.stop();
+
+  const finished = target.runJournal.getRun(run.id);
+  // The finished run is the command's output, separate from the log
+  process.stdout.write(
+    `${JSON.stringify(describeRun(target.runJournal, finished), null, 2)}\n`
+  );
+  // Let pending webhook deliveries finish instead of exiting straight away
+  await notifier.drain();
+  target.rpcPool.destroy();
+  process.exitCode = finished.status === "completed" ? 0 : 1;
 };
 
-process.on("SIGINT", () => gracefulShutdown("SIGINT"));
-process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+// Process-wide handlers and startup only apply when run as `node
+// server.js`; the tests import the app and start targets themselves
+const isMainModule =
+  Boolean(process.argv[1]) && path.resolve(process.argv[1]) === __filename;
 
-// Start the server
-startServer().catch((error) => {
-  console.error("💥 Failed to start server:", error.message);
-  process.exit(1);
-});
+if (isMainModule) {
+  // Global error handlers
+  process.on("unhandledRejection", (reason) => {
+    logger.error("Unhandled promise rejection, continuing", {
+      error: reason instanceof Error ? reason : String(reason),
+    });
+    // Don't exit the process - log and continue
+  });
+
+  process.on("uncaughtException", (error) => {
+    logger.error("Uncaught exception", {
+      error,
+      stack: error.stack,
+    });
+    // Don't exit immediately - try to continue running
+    // Only exit if it's a critical error
+    if (error.message.includes("EADDRINUSE") || error.message.includes("port")) {
+      logger.error("Port-related error detected, shutting down");
+      process.exit(1);
+    }
+    // For other errors, log and continue
+  });
+
+  process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+  process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+  process.on("SIGHUP", reloadConfig);
+
+  // `node server.js distribute [target]` runs once, anything else serves
+  const [command, commandArg] = process.argv.slice(2);
+  if (command === "distribute") {
+    distributeFromCli(commandArg).catch((error) => {
+      logger.error("Distribution failed", { error });
+      process.exit(1);
+    });
+  } else {
+    // Start the server
+    startServer().catch((error) => {
+      logger.error("Failed to start server", { error });
+      process.exit(1);
+    });
+  }
+}
+
+export {
+  app,
+  targets,
+  startTarget,
+  stopTargets,
+  distributeRewardsInBatches,
+  startDistributionRun,
+  catchUpMissedRuns,
+  reloadConfig,
+  leader,
+};
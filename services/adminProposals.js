@@ -0,0 +1,176 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parseUint = (value, name) => {
+  try {
+    const parsed = BigInt(String(value));
+    if (parsed < 0n) throw new Error();
+    return parsed;
+  } catch {
+    throw invalid(`${name} must be a non-negative integer`);
+  }
+};
+
+const parseAddress = (value, name) => {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw invalid(`${name} must be an address`);
+  }
+  if (value === ethers.ZeroAddress) {
+    throw invalid(`${name} must not be the zero address`);
+  }
+  return ethers.getAddress(value);
+};
+
+const parseTokenAmount = (value, name) => {
+  try {
+    const parsed = ethers.parseEther(String(value));
+    if (parsed <= 0n) throw new Error();
+    return parsed;
+  } catch {
+    throw invalid(`${name} must be a positive token amount, e.g. "1500.5"`);
+  }
+};
+
+// Owner-only contract calls the admin API can make. `parse` turns request
+// params into call arguments, `readCurrent` reads the value the call changes
+// and `proposed` is what that value becomes. Unless `compareOnConfirm` is
+// false, a proposal can only be confirmed while the current value is still
+// the one it was proposed against.
+export const ADMIN_ACTIONS = {
+  updateRoiPercent: {
+    parse: ({ index, percent }) => [
+      parseUint(index, "index"),
+      parseUint(percent, "percent"),
+    ],
+    field: ([index]) => `roiPercent(${index})`,
+    readCurrent: (contract, [index]) => contract.roiPercent(index),
+    proposed: ([, percent]) => percent,
+  },
+  changeDirectPercentage: {
+    parse: ({ percent }) => [parseUint(percent, "percent")],
+    field: () => "directIncome",
+    readCurrent: (contract) => contract.directIncome(),
+    proposed: ([percent]) => percent,
+  },
+  updateDistributor: {
+    parse: ({ address }) => [parseAddress(address, "address")],
+    field: () => "distributor",
+    readCurrent: (contract) => contract.distributor(),
+    proposed: ([address]) => address,
+  },
+  liquidity: {
+    parse: ({ amount }) => [parseTokenAmount(amount, "amount")],
+    field: () => "contractBalance",
+    readCurrent: (contract) => contract.getContractBalance(),
+    // What the balance becomes depends on the contract, so only the
+    // amount moved is shown
+    proposed: () => null,
+    // The balance moves with every purchase, so a confirmation does not
+    // require it to be unchanged
+    compareOnConfirm: false,
+    describe: (current, [amount]) => ({
+      currentFormatted: ethers.formatEther(current),
+      amount: amount.toString(),
+      amountFormatted: ethers.formatEther(amount),
+    }),
+  },
+  transferOwnership: {
+    parse: ({ newOwner }) => [parseAddress(newOwner, "newOwner")],
+    field: () => "owner",
+    readCurrent: (contract) => contract.owner(),
+    proposed: ([newOwner]) => newOwner,
+  },
+};
+
+// Statuses of a proposal whose transaction may still be on its way. One
+// left in them by a restart needs recovering.
+export const IN_FLIGHT_STATUSES = ["confirming", "confirmed", "submitted"];
+
+// Persistent history of admin change proposals, kept in one JSON file
+export const createProposalStore = ({ dataDir, ttlMs = 900000 }) => {
+  const storePath = path.join(dataDir, "admin-proposals.json");
+  let proposals = [];
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  // Read the history on disk, including what another process sharing
+  // `dataDir` has written since
+  const load = () => {
+    if (!fs.existsSync(storePath)) return;
+    try {
+      proposals = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    } catch (error) {
+      logger.warn("Unreadable admin proposal history", { error });
+    }
+  };
+  load();
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  const persist = () => {
+    const tmp = `${storePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(proposals, null, 2));
+    fs.renameSync(tmp, storePath);
+  };
+
+  // Pending proposals past their deadline can no longer be confirmed
+  const expireStale = () => {
+    const now = Date.now();
+    let changed = false;
+    for (const proposal of proposals) {
+      if (proposal.status === "pending" && Date.parse(proposal.expiresAt) < now) {
+        proposal.status = "expired";
+        proposal.updatedAt = new Date().toISOString();
+        changed = true;
+      }
+    }
+    if (changed) persist();
+  };
+
+  const create = (fields) => {
+    const now = new Date();
+    const proposal = {
+      id: crypto.randomUUID(),
+      status: "pending",
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+      confirmedBy: null,
+      confirmedAt: null,
+      txHash: null,
+      blockNumber: null,
+      error: null,
+      ...fields,
+      updatedAt: now.toISOString(),
+    };
+    proposals.push(proposal);
+    persist();
+    return proposal;
+  };
+
+  const get = (id) => {
+    expireStale();
+    return proposals.find((proposal) => proposal.id === id) || null;
+  };
+
+  const update = (id, changes) => {
+    const proposal = proposals.find((p) => p.id === id);
+    if (!proposal) throw new Error(`Proposal ${id} not found`);
+    Object.assign(proposal, changes, { updatedAt: new Date().toISOString() });
+    persist();
+    return proposal;
+  };
+
+  // Newest first
+  const list = ({ status, limit = 100 } = {}) => {
+    expireStale();
+    return proposals
+      .filter((proposal) => !status || proposal.status === status)
+      .slice(-limit)
+      .reverse();
+  };
+
+  return { create, get, update, list, reload: load };
+};
@@ -0,0 +1,39 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// Append-only audit trail of privileged API calls, one JSON object per line
+export const createAuditLog = ({ dataDir, fileName = "audit.log" }) => {
+  const logPath = path.join(dataDir, fileName);
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const append = (entry) => {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    try {
+      fs.appendFileSync(logPath, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      logger.error("Failed to write audit log entry", { error });
+    }
+    return record;
+  };
+
+  // Most recent entries first
+  const readRecent = ({ limit = 100 } = {}) => {
+    if (!fs.existsSync(logPath)) return [];
+    return fs
+      .readFileSync(logPath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse()
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return { unreadable: line };
+        }
+      });
+  };
+
+  return { append, readRecent, path: logPath };
+};
@@ -0,0 +1,217 @@
+import crypto from "crypto";
+
+// Each role can do everything the roles ranked below it can
+export const ROLE_RANK = { read: 1, operator: 2, admin: 3 };
+
+// Parse "id:role:secret,id:role:secret" into API key records
+export const parseApiKeys = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, role, secret] = entry.split(":").map((part) => part.trim());
+      if (!id || !secret || !ROLE_RANK[role]) {
+        throw new Error(
+          `Invalid API_KEYS entry for "${id || entry.slice(0, 8)}": expected id:role:secret with role ${Object.keys(ROLE_RANK).join("/")}`
+        );
+      }
+      return { id, role, secret };
+    });
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// String covered by an HMAC request signature
+export const signaturePayload = ({ timestamp, method, url, body }) =>
+  `${timestamp}.${method.toUpperCase()}.${url}.${body || ""}`;
+
+export const signRequest = (secret, request) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(signaturePayload(request))
+    .digest("hex");
+
+// API key / HMAC authentication with role checks, per-key rate limiting,
+// throttling of failed attempts per client IP and an audit entry for every
+// privileged call
+export const createAuth = ({
+  apiKeys,
+  rateLimitPerMinute = 60,
+  failureLimitPerMinute = 10,
+  maxClockSkewSeconds = 300,
+  auditLog,
+}) => {
+  const keysById = new Map(apiKeys.map((key) => [key.id, key]));
+  const rateWindows = new Map();
+  const failureWindows = new Map();
+  const seenSignatures = new Map();
+
+  // Plain key: "Authorization: Bearer <secret>" or "X-API-Key: <secret>"
+  const authenticateApiKey = (req) => {
+    const header = req.get("authorization");
+    const presented =
+      req.get("x-api-key") ||
+      (header && header.startsWith("Bearer ") ? header.slice(7) : null);
+    if (!presented) return null;
+    const key = apiKeys.find((candidate) => safeEqual(candidate.secret, presented));
+    if (!key) throw Object.assign(new Error("Invalid API key"), { status: 401 });
+    return { key, method: "api-key" };
+  };
+
+  // Signed request: X-Key-Id, X-Timestamp (unix seconds) and X-Signature,
+  // the hex HMAC-SHA256 of "timestamp.METHOD.url.body" with the key secret
+  const authenticateSignature = (req) => {
+    const keyId = req.get("x-key-id");
+    const signature = req.get("x-signature");
+    const timestamp = req.get("x-timestamp");
+    if (!keyId && !signature) return null;
+
+    const key = keysById.get(keyId);
+    if (!key || !signature || !timestamp) {
+      throw Object.assign(new Error("Invalid request signature"), { status: 401 });
+    }
+    const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(skew) || skew > maxClockSkewSeconds) {
+      throw Object.assign(new Error("Request timestamp outside allowed window"), {
+        status: 401,
+      });
+    }
+
+    const expected = signRequest(key.secret, {
+      timestamp,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody ? req.rawBody.toString("utf8") : "",
+    });
+    if (!safeEqual(expected, signature)) {
+      throw Object.assign(new Error("Invalid request signature"), { status: 401 });
+    }
+
+    // Reject replays of a signature still inside the timestamp window
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt < now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) {
+      throw Object.assign(new Error("Request signature already used"), {
+        status: 401,
+      });
+    }
+    seenSignatures.set(signature, now + maxClockSkewSeconds * 2000);
+
+    return { key, method: "hmac" };
+  };
+
+  // The fixed one-minute window of `id` in `windows`, a new one once the
+  // last is a minute old
+  const currentWindow = (windows, id, now) => {
+    let window = windows.get(id);
+    if (!window || now - window.startedAt >= 60000) {
+      window = { startedAt: now, count: 0 };
+      windows.set(id, window);
+    }
+    return window;
+  };
+
+  const secondsLeft = (window, now) =>
+    Math.ceil((window.startedAt + 60000 - now) / 1000);
+
+  // Returns seconds until the window resets when the key is over its limit
+  const checkRateLimit = (keyId) => {
+    const now = Date.now();
+    const window = currentWindow(rateWindows, keyId, now);
+    window.count++;
+    return window.count > rateLimitPerMinute ? secondsLeft(window, now) : 0;
+  };
+
+  // Invalid keys and signatures count against the client IP. Once it has
+  // `failureLimitPerMinute` failures every request from it is refused until
+  // the window resets, so secrets can not be guessed at full speed.
+  const checkFailureLimit = (ip) => {
+    const now = Date.now();
+    const window = failureWindows.get(ip);
+    if (!window || now - window.startedAt >= 60000) return 0;
+    return window.count >= failureLimitPerMinute ? secondsLeft(window, now) : 0;
+  };
+
+  const recordFailure = (ip) => {
+    const now = Date.now();
+    for (const [id, window] of failureWindows) {
+      if (now - window.startedAt >= 60000) failureWindows.delete(id);
+    }
+    currentWindow(failureWindows, ip, now).count++;
+  };
+
+  const audit = (req, res, auth, outcome, error) => {
+    auditLog.append({
+      keyId: auth ? auth.key.id : null,
+      role: auth ? auth.key.role : null,
+      authMethod: auth ? auth.method : null,
+      ip: req.ip,
+      method: req.method,
+      path: req.originalUrl,
+      outcome,
+      statusCode: res.statusCode,
+      runId: res.locals.runId || null,
+      error: error || res.locals.auditError || null,
+    });
+  };
+
+  const deny = (req, res, status, error, auth = null) => {
+    res.status(status).json({
+      success: false,
+      error,
+      timestamp: new Date().toISOString(),
+    });
+    audit(req, res, auth, "denied", error);
+  };
+
+  // Middleware allowing callers whose key has at least `role`
+  const requireRole = (role) => (req, res, next) => {
+    const blockedFor = checkFailureLimit(req.ip);
+    if (blockedFor > 0) {
+      res.set("Retry-After", String(blockedFor));
+      return deny(req, res, 429, "Too many failed authentication attempts");
+    }
+
+    let auth;
+    try {
+      auth = authenticateSignature(req) || authenticateApiKey(req);
+    } catch (error) {
+      recordFailure(req.ip);
+      return deny(req, res, error.status || 401, error.message);
+    }
+    if (!auth) {
+      return deny(req, res, 401, "Authentication required");
+    }
+    if (ROLE_RANK[auth.key.role] < ROLE_RANK[role]) {
+      return deny(req, res, 403, `Role "${role}" required`, auth);
+    }
+
+    const retryAfter = checkRateLimit(auth.key.id);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return deny(req, res, 429, "Rate limit exceeded", auth);
+    }
+
+    req.auth = { keyId: auth.key.id, role: auth.key.role, method: auth.method };
+    // Only state-changing calls are audited on success; reads are not
+    if (req.method !== "GET") {
+      res.on("finish", () =>
+        audit(req, res, auth, res.statusCode < 400 ? "allowed" : "failed")
+      );
+    }
+    next();
+  };
+
+  // Keep the raw body around for signature checks (express.json verify hook)
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+
+  return { requireRole, captureRawBody, keyCount: apiKeys.length };
+};
@@ -0,0 +1,164 @@
+import { hasReachedMaxRoi, mapWithConcurrency } from "./claimables.js";
+
+// Upper bound on the users a gas-sized batch may span, matching the largest
+// BATCH_SIZE the config accepts
+export const MAX_BATCH_USERS = 1000;
+
+// Whether each user would receive anything from distributeRewardsToAll,
+// from the stakes readUserStakes read. Users whose reads failed count as
+// payable so a flaky read never leaves anyone out.
+export const findPayableUsers = (users) =>
+  users.map(({ index, address, stakes, error }) => {
+    const live = stakes.filter((stake) => !hasReachedMaxRoi(stake));
+    const claimable = live.reduce((sum, stake) => sum + stake.claimableNow, 0n);
+    return {
+      index,
+      address,
+      payable: error ? true : claimable > 0n,
+      claimable,
+      expiredStakes: stakes.length - live.length,
+      error,
+    };
+  });
+
+const sumEstimates = (ranges) => ({
+  gas: ranges.reduce((sum, range) => sum + (range.gasEstimate ?? 0n), 0n),
+  unestimated: ranges.filter((range) => range.gasEstimate === null).length,
+});
+
+// Contiguous ranges covering every payable user. A range stops at a run of
+// more than `maxGap` users with nothing to pay, so empty stretches cost no
+// transaction, and at the most payable users whose estimated gas stays under
+// `gasTarget`. Without a gas target ranges span at most `batchSize` users.
+// Also estimates fixed `batchSize` windows over all users so the report can
+// show what planning saved. `estimateGas(startIndex, endIndex)` resolves to
+// the gas for one distributeRewardsToAll call.
+export const planBatchRanges = async ({
+  users,
+  batchSize,
+  gasTarget,
+  maxGap,
+  estimateGas,
+  concurrency = 4,
+}) => {
+  const payable = users.filter((user) => user.payable).map((user) => user.index);
+  const spanLimit = gasTarget ? MAX_BATCH_USERS : batchSize;
+
+  const estimate = async (startIndex, endIndex) => {
+    try {
+      return await estimateGas(startIndex, endIndex);
+    } catch {
+      return null;
+    }
+  };
+
+  // A range fits when it can be estimated and stays under the target.
+  // Ranges holding a reverting user never fit, so the search below ends
+  // each batch right before such a user and the user gets a range alone.
+  const fits = async (startIndex, endIndex) => {
+    const gas = await estimate(startIndex, endIndex);
+    return { gas, ok: gas !== null && (!gasTarget || gas <= BigInt(gasTarget)) };
+  };
+
+  const ranges = [];
+  let position = 0;
+  while (position < payable.length) {
+    const first = payable[position];
+    let count = 1;
+    while (position + count < payable.length) {
+      const next = payable[position + count];
+      if (next - payable[position + count - 1] - 1 > maxGap) break;
+      if (next - first + 1 > spanLimit) break;
+      count++;
+    }
+
+    const whole = await fits(first, payable[position + count - 1]);
+    let best = whole.ok || !gasTarget ? { count, gas: whole.gas } : null;
+    if (!best) {
+      // Largest prefix of the candidates that still fits
+      let low = 1;
+      let high = count - 1;
+      while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        const attempt = await fits(first, payable[position + middle - 1]);
+        if (attempt.ok) {
+          best = { count: middle, gas: attempt.gas };
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+    }
+    // Nothing fits: a single user whose estimate fails is left to the batch
+    // loop, which reports it like any other failing batch
+    if (!best) {
+      best = {
+        count: 1,
+        gas: count === 1 ? whole.gas : await estimate(first, first),
+      };
+    }
+
+    ranges.push({
+      startIndex: first,
+      endIndex: payable[position + best.count - 1],
+      payableUsers: best.count,
+      gasEstimate: best.gas,
+    });
+    position += best.count;
+  }
+
+  const naiveRanges = [];
+  for (let startIndex = 0; startIndex < users.length; startIndex += batchSize) {
+    naiveRanges.push({
+      startIndex,
+      endIndex: Math.min(startIndex + batchSize - 1, users.length - 1),
+    });
+  }
+  const naiveEstimates = await mapWithConcurrency(
+    naiveRanges,
+    concurrency,
+    async (range) => ({
+      ...range,
+      gasEstimate: await estimate(range.startIndex, range.endIndex),
+    })
+  );
+
+  const planned = sumEstimates(ranges);
+  const naive = sumEstimates(naiveEstimates);
+  const covered = ranges.reduce(
+    (sum, range) => sum + range.endIndex - range.startIndex + 1,
+    0
+  );
+  const gasSaved = naive.gas - planned.gas;
+
+  return {
+    ranges,
+    planning: {
+      mode: "smart",
+      gasTarget: gasTarget || null,
+      maxGap,
+      totalUsers: users.length,
+      payableUsers: payable.length,
+      emptyUsers: users.length - payable.length,
+      skippedUsers: users.length - covered,
+      expiredStakes: users.reduce((sum, user) => sum + user.expiredStakes, 0),
+      readErrors: users
+        .filter((user) => user.error)
+        .map((user) => ({ index: user.index, error: user.error })),
+      batches: ranges.length,
+      estimatedGas: planned.gas.toString(),
+      unestimatedBatches: planned.unestimated,
+      naive: {
+        batches: naiveRanges.length,
+        estimatedGas: naive.gas.toString(),
+        unestimatedBatches: naive.unestimated,
+      },
+      transactionsSaved: naiveRanges.length - ranges.length,
+      gasSaved: gasSaved.toString(),
+      gasSavedPercent:
+        naive.gas > 0n
+          ? Number(((Number(gasSaved) / Number(naive.gas)) * 100).toFixed(2))
+          : 0,
+    },
+  };
+};
@@ -0,0 +1,267 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+// Run an async mapper over items with at most `concurrency` calls in flight,
+// keeping results in input order
+export const mapWithConcurrency = async (items, concurrency, mapper) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const position = next++;
+      results[position] = await mapper(items[position], position);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+};
+
+// Claimable amount of every stake of the user at `index` in uniqueUsers
+export const readUserClaimables = async (contract, index) => {
+  const address = await contract.uniqueUsers(index);
+  const record = await contract.userRecord(address);
+  const stakeCount = Number(record.stakeCount);
+
+  const stakes = await Promise.all(
+    Array.from({ length: stakeCount }, async (_, stakeIndex) => ({
+      stakeIndex,
+      claimable: await contract.calculateClaimAbles(address, stakeIndex),
+    }))
+  );
+  const total = stakes.reduce((sum, stake) => sum + stake.claimable, 0n);
+
+  return { index, address, stakes, total };
+};
+
+// A stake has nothing left to pay once its rewards reach the maximum ROI.
+// Takes bigints or the decimal strings stored in snapshots.
+export const hasReachedMaxRoi = (stake) =>
+  BigInt(stake.maxRoi) > 0n && BigInt(stake.rewardClaimed) >= BigInt(stake.maxRoi);
+
+// Every stake of users [startIndex, endIndex], read through Multicall in
+// three rounds: the uniqueUsers entries, their userRecord, then stakeRecord
+// and calculateClaimAbles of each stake (`claimableNow`), all at `blockTag`.
+// A user whose reads fail gets an `error` and no stakes.
+export const readUserStakes = async (
+  contract,
+  multicall,
+  startIndex,
+  endIndex,
+  { blockTag } = {}
+) => {
+  const users = [];
+  for (let index = startIndex; index <= endIndex; index++) {
+    users.push({ index, address: null, stakes: [], error: null });
+  }
+
+  const addresses = await multicall.call(
+    users.map((user) => ({ contract, method: "uniqueUsers", args: [user.index] })),
+    { blockTag }
+  );
+  const registered = [];
+  users.forEach((user, i) => {
+    if (!addresses[i].success) {
+      user.error = addresses[i].error;
+      return;
+    }
+    [user.address] = addresses[i].result;
+    registered.push(user);
+  });
+
+  const records = await multicall.call(
+    registered.map((user) => ({
+      contract,
+      method: "userRecord",
+      args: [user.address],
+    })),
+    { blockTag }
+  );
+  const stakeCalls = [];
+  registered.forEach((user, i) => {
+    if (!records[i].success) {
+      user.error = records[i].error;
+      return;
+    }
+    const stakeCount = Number(records[i].result.stakeCount);
+    for (let stakeIndex = 0; stakeIndex < stakeCount; stakeIndex++) {
+      stakeCalls.push({ user, stakeIndex });
+    }
+  });
+
+  const stakeResponses = await multicall.call(
+    stakeCalls.flatMap(({ user, stakeIndex }) => [
+      { contract, method: "stakeRecord", args: [user.address, stakeIndex] },
+      {
+        contract,
+        method: "calculateClaimAbles",
+        args: [user.address, stakeIndex],
+      },
+    ]),
+    { blockTag }
+  );
+  stakeCalls.forEach(({ user, stakeIndex }, i) => {
+    const stake = stakeResponses[2 * i];
+    const claimable = stakeResponses[2 * i + 1];
+    if (!stake.success || !claimable.success) {
+      user.error = `Stake ${stakeIndex}: ${(stake.success ? claimable : stake).error}`;
+      return;
+    }
+    const { lasClaimTime, rewardClaimed, maxRoi } = stake.result;
+    user.stakes.push({
+      stakeIndex,
+      lasClaimTime,
+      rewardClaimed,
+      claimable: stake.result.claimable,
+      maxRoi,
+      claimableNow: claimable.result[0],
+    });
+  });
+
+  for (const user of users) {
+    if (user.error) user.stakes = [];
+  }
+  return users;
+};
+
+// What the users read by readUserStakes can claim according to
+// calculateClaimAbles. Users whose reads failed are listed in `errors`.
+export const summarizeClaimables = (users) => {
+  const scanned = [];
+  const errors = [];
+  for (const user of users) {
+    if (user.error) {
+      errors.push({ index: user.index, error: user.error });
+      continue;
+    }
+    const stakes = user.stakes.map(({ stakeIndex, claimableNow }) => ({
+      stakeIndex,
+      claimable: claimableNow,
+    }));
+    scanned.push({
+      index: user.index,
+      address: user.address,
+      stakes,
+      total: stakes.reduce((sum, stake) => sum + stake.claimable, 0n),
+    });
+  }
+  return {
+    users: scanned,
+    totalClaimable: scanned.reduce((sum, user) => sum + user.total, 0n),
+    usersWithClaimables: scanned.filter((user) => user.total > 0n).length,
+    errors,
+  };
+};
+
+// Sum claimables over users [0, totalUsers), through `multicall` when
+// given. Without Multicall3 users are read one at a time, up to
+// `concurrency` at once. Users whose reads fail are reported in `errors`
+// instead of aborting the whole scan.
+export const collectClaimables = async (
+  contract,
+  totalUsers,
+  { multicall = null, concurrency = 10 } = {}
+) => {
+  if (multicall) {
+    try {
+      return summarizeClaimables(
+        await readUserStakes(contract, multicall, 0, Number(totalUsers) - 1)
+      );
+    } catch (error) {
+      logger.warn("Multicall claimable reads failed, reading users one at a time", {
+        error,
+      });
+    }
+  }
+
+  const indices = Array.from({ length: Number(totalUsers) }, (_, i) => i);
+  const errors = [];
+  const users = await mapWithConcurrency(indices, concurrency, async (index) => {
+    try {
+      return await readUserClaimables(contract, index);
+    } catch (error) {
+      errors.push({ index, error: error.message });
+      return null;
+    }
+  });
+
+  const scanned = users.filter(Boolean);
+  return {
+    users: scanned,
+    totalClaimable: scanned.reduce((sum, user) => sum + user.total, 0n),
+    usersWithClaimables: scanned.filter((user) => user.total > 0n).length,
+    errors,
+  };
+};
+
+// Claimables for a list of addresses, read through Multicall in two rounds:
+// every userRecord first, then calculateClaimAbles for each stake of the
+// registered users. Failures are reported per address.
+export const collectBulkClaimables = async (contract, multicall, addresses) => {
+  const results = addresses.map((address) => ({
+    address,
+    registered: null,
+    stakeCount: null,
+    totalInvestment: null,
+    totalWithdrawn: null,
+    stakes: [],
+    total: null,
+    error: ethers.isAddress(address) ? null : "Invalid address",
+  }));
+  const valid = results.filter((entry) => !entry.error);
+
+  const records = await multicall.call(
+    valid.map((entry) => ({
+      contract,
+      method: "userRecord",
+      args: [entry.address],
+    }))
+  );
+  const stakeCalls = [];
+  valid.forEach((entry, i) => {
+    const response = records[i];
+    if (!response.success) {
+      entry.error = response.error;
+      return;
+    }
+    const record = response.result;
+    entry.registered = record.isRegistered;
+    entry.stakeCount = Number(record.stakeCount);
+    entry.totalInvestment = record.totalInvestment;
+    entry.totalWithdrawn = record.totalWithdrawn;
+    entry.total = 0n;
+    if (!record.isRegistered) return;
+    for (let stakeIndex = 0; stakeIndex < entry.stakeCount; stakeIndex++) {
+      stakeCalls.push({ entry, stakeIndex });
+    }
+  });
+
+  const claimables = await multicall.call(
+    stakeCalls.map(({ entry, stakeIndex }) => ({
+      contract,
+      method: "calculateClaimAbles",
+      args: [entry.address, stakeIndex],
+    }))
+  );
+  stakeCalls.forEach(({ entry, stakeIndex }, i) => {
+    const response = claimables[i];
+    if (!response.success) {
+      entry.error = `Stake ${stakeIndex}: ${response.error}`;
+      return;
+    }
+    const [claimable] = response.result;
+    entry.stakes.push({ stakeIndex, claimable });
+    entry.total += claimable;
+  });
+
+  // A partly read total would understate what the user can claim
+  for (const entry of results) {
+    if (entry.error) entry.total = null;
+  }
+  return results;
+};
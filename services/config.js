@@ -0,0 +1,586 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import cron from "node-cron";
+import { ethers } from "ethers";
+import { parseRpcEndpoints, redactRpcUrl } from "./rpcPool.js";
+import { parseApiKeys } from "./auth.js";
+import { parseWebhooks } from "./notifier.js";
+import { MULTICALL3_ADDRESS } from "./multicall.js";
+import { PLACEHOLDER_KEY, SIGNER_TYPES } from "./signer.js";
+import {
+  LEADER_ELECTION_BACKENDS,
+  nodeHasSqlite,
+  SQLITE_MIN_NODE_VERSION,
+} from "./leaderElection.js";
+import { CATCH_UP_POLICIES, isTimeZone } from "./schedule.js";
+import { LOG_FORMATS, LOG_LEVELS, logger } from "./logger.js";
+
+// Value parsers. Each takes the raw string and throws on invalid input.
+const integer =
+  ({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) =>
+  (raw) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error("must be an integer");
+    const value = parseInt(raw);
+    if (value < min || value > max) {
+      throw new Error(`must be between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+const boolean = (raw) => {
+  if (!["true", "false"].includes(raw)) throw new Error("must be true or false");
+  return raw === "true";
+};
+
+const oneOf = (choices) => (raw) => {
+  if (!choices.includes(raw)) {
+    throw new Error(`must be one of ${choices.join(", ")}`);
+  }
+  return raw;
+};
+
+const address = (raw) => {
+  if (!ethers.isAddress(raw)) throw new Error("must be an address");
+  return ethers.getAddress(raw);
+};
+
+const decimal = (raw) => {
+  if (!/^\d+(\.\d+)?$/.test(raw)) throw new Error("must be a decimal number");
+  return raw;
+};
+
+// "3,7,10-12", where "a-b" stands for every integer from a to b
+const integerList = (raw) =>
+  raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => {
+      const [from, to = from] = entry.split("-").map(integer());
+      if (to < from) throw new Error(`"${entry}" is not an ascending range`);
+      return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    });
+
+const rpcUrls = (raw) => {
+  const endpoints = parseRpcEndpoints(raw);
+  if (endpoints.length === 0) throw new Error("must list at least one URL");
+  for (const endpoint of endpoints) {
+    if (!/^(https?|wss?):\/\//.test(endpoint.url)) {
+      throw new Error(`"${redactRpcUrl(endpoint.url)}" is not an http(s) or ws(s) URL`);
+    }
+  }
+  return raw;
+};
+
+const httpUrl = (raw) => {
+  if (!/^https?:\/\//.test(raw)) throw new Error("must be an http(s) URL");
+  return raw;
+};
+
+const cronExpression = (raw) => {
+  if (!cron.validate(raw)) throw new Error("is not a valid cron expression");
+  return raw;
+};
+
+const timeZone = (raw) => {
+  if (!isTimeZone(raw)) throw new Error("is not an IANA time zone");
+  return raw;
+};
+
+const targetId = (raw) => {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(raw)) {
+    throw new Error("must be lowercase letters, digits and dashes");
+  }
+  return raw;
+};
+
+const targetIds = (raw) => {
+  const ids = raw
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .map(targetId);
+  if (new Set(ids).size !== ids.length) throw new Error("lists a target twice");
+  return ids;
+};
+
+export const PREFLIGHT_MODES = ["block", "warn", "off"];
+
+export const BATCH_PLANNING_MODES = ["smart", "fixed"];
+
+// "rpc" talks to the chain over RPC_URL; "simulated" runs the contract
+// in-process, see services/simulatedChain.js
+export const CHAIN_ADAPTERS = ["rpc", "simulated"];
+
+// Every setting the server reads. `fatal` settings stop startup when
+// invalid, other invalid values fall back to the default with a warning.
+// `reloadable` settings are re-read on SIGHUP; `secret` ones are never
+// shown by GET /config.
+export const CONFIG_SCHEMA = {
+  PORT: { default: 3001, parse: integer({ min: 1, max: 65535 }) },
+  // Comma-separated list, each entry "url" or "url|priority"
+  RPC_URL: {
+    default: "https://bsc-dataseed1.binance.org/",
+    parse: rpcUrls,
+    fatal: true,
+    redact: (value) => parseRpcEndpoints(value).map((e) => redactRpcUrl(e.url)),
+  },
+  RPC_QUORUM: { default: null, parse: integer({ min: 1 }) },
+  CHAIN_ADAPTER: { default: "rpc", parse: oneOf(CHAIN_ADAPTERS) },
+  // Expected chain ID; endpoints serving another chain are ignored
+  CHAIN_ID: { default: null, parse: integer({ min: 1 }) },
+  RPC_STALL_TIMEOUT_MS: { default: 2000, parse: integer({ min: 100 }) },
+  RPC_HEALTH_INTERVAL_MS: { default: 30000, parse: integer() },
+  CONTRACT_ADDRESS: {
+    default: "0x222Ace7B7B91D777A468B37aA9793341f4fa0a4e",
+    parse: address,
+    fatal: true,
+  },
+  // How transactions are signed, see services/signer.js. PRIVATE_KEY is
+  // only used with SIGNER=private-key.
+  SIGNER: { default: "keystore", parse: oneOf(SIGNER_TYPES) },
+  PRIVATE_KEY: { default: undefined, parse: String, secret: true },
+  // Encrypted JSON keystore and its passphrase, read from a file or given
+  KEYSTORE_FILE: { default: null, parse: String },
+  KEYSTORE_PASSWORD_FILE: { default: null, parse: String },
+  KEYSTORE_PASSWORD: { default: null, parse: String, secret: true },
+  // JSON-RPC signer answering eth_signTransaction, and the account it signs
+  // for (default: the first one it lists)
+  REMOTE_SIGNER_URL: {
+    default: null,
+    parse: httpUrl,
+    redact: (value) => value && redactRpcUrl(value),
+  },
+  REMOTE_SIGNER_ADDRESS: { default: null, parse: address },
+  REMOTE_SIGNER_TIMEOUT_MS: { default: 10000, parse: integer({ min: 100 }) },
+  CRON_SCHEDULE: {
+    default: "0 0 * * *", // Every 1 day at midnight (12 AM)
+    parse: cronExpression,
+    fatal: true,
+    reloadable: true,
+  },
+  // Time zone CRON_SCHEDULE is read in, e.g. Asia/Kolkata
+  CRON_TIMEZONE: { default: "UTC", parse: timeZone, reloadable: true },
+  // Scheduled runs missed while the server was down, see CATCH_UP_POLICIES
+  CATCH_UP_POLICY: {
+    default: "once",
+    parse: oneOf(CATCH_UP_POLICIES),
+    reloadable: true,
+  },
+  // Most missed runs "each" catches up, the latest ones
+  CATCH_UP_MAX_RUNS: {
+    default: 7,
+    parse: integer({ min: 1, max: 100 }),
+    reloadable: true,
+  },
+  BATCH_SIZE: {
+    default: 100,
+    parse: integer({ min: 1, max: 1000 }),
+    reloadable: true,
+  },
+  // "smart" reads every user first and only sends batches covering users
+  // with something to claim; "fixed" sends a batch per BATCH_SIZE window
+  BATCH_PLANNING: {
+    default: "smart",
+    parse: oneOf(BATCH_PLANNING_MODES),
+    reloadable: true,
+  },
+  // Estimated gas smart batches stay under; 0 sizes them by BATCH_SIZE
+  BATCH_GAS_TARGET: {
+    default: 10000000,
+    parse: integer(),
+    reloadable: true,
+  },
+  // Users with nothing to claim a smart batch may span between two that
+  // have something; longer stretches are skipped
+  BATCH_MAX_GAP: { default: 10, parse: integer(), reloadable: true },
+  // Snapshot each batch's users before and after it is sent and report
+  // those it did not credit, see GET /runs/:id/reconciliation
+  RECONCILIATION: { default: true, parse: boolean, reloadable: true },
+  DATA_DIR: { default: "data", parse: String },
+  // Replicas sharing a lease elect one leader that runs the cron jobs and
+  // accepts distribution triggers, see services/leaderElection.js
+  LEADER_ELECTION: { default: "off", parse: oneOf(LEADER_ELECTION_BACKENDS) },
+  // Directory (file) or database (sqlite) every replica can reach; defaults
+  // to DATA_DIR/leader or DATA_DIR/leader.sqlite
+  LEADER_LEASE_PATH: { default: null, parse: String },
+  LEADER_LEASE_MS: { default: 30000, parse: integer({ min: 100 }) },
+  LEADER_RENEW_INTERVAL_MS: { default: 10000, parse: integer({ min: 50 }) },
+  // Name this replica goes by in the lease (default: hostname and PID)
+  INSTANCE_ID: { default: null, parse: String },
+  // Comma-separated target IDs, see TARGET_SETTINGS. When empty the server
+  // runs a single "default" target from the top-level settings.
+  TARGETS: { default: [], parse: targetIds },
+  // Target served by the routes without a /targets/:id prefix
+  DEFAULT_TARGET: { default: null, parse: targetId },
+  READ_CONCURRENCY: {
+    default: 10,
+    parse: integer({ min: 1, max: 100 }),
+    reloadable: true,
+  },
+  // Pause between batch transactions
+  BATCH_DELAY_MS: { default: 5000, parse: integer(), reloadable: true },
+  TX_STUCK_TIMEOUT_MS: { default: 90000, parse: integer({ min: 100 }) },
+  TX_CONFIRMATION_TIMEOUT_MS: {
+    default: 900000, // 15 minutes
+    parse: integer({ min: 100 }),
+  },
+  TX_POLL_INTERVAL_MS: { default: 4000, parse: integer({ min: 10 }) },
+  GAS_BUMP_PERCENT: { default: 15, parse: integer() },
+  MAX_GAS_PRICE_GWEI: { default: "20", parse: decimal },
+  MAX_TX_REPLACEMENTS: { default: 5, parse: integer() },
+  API_KEYS: { default: [], parse: parseApiKeys, secret: true },
+  RATE_LIMIT_PER_MINUTE: { default: 60, parse: integer({ min: 1 }) },
+  AUTH_FAILURES_PER_MINUTE: { default: 10, parse: integer({ min: 1 }) },
+  TRUST_PROXY: { default: false, parse: boolean },
+  WEBHOOKS: { default: [], parse: parseWebhooks, secret: true },
+  WEBHOOK_TIMEOUT_MS: { default: 10000, parse: integer({ min: 100 }) },
+  WEBHOOK_MAX_ATTEMPTS: { default: 4, parse: integer({ min: 1, max: 20 }) },
+  LOW_BALANCE_BNB: { default: "0.05", parse: decimal, reloadable: true },
+  // The event indexer only runs when a start block is configured
+  INDEXER_START_BLOCK: { default: null, parse: integer() },
+  INDEXER_CONFIRMATIONS: { default: 15, parse: integer() },
+  INDEXER_CHUNK_SIZE: { default: 2000, parse: integer({ min: 1 }) },
+  INDEXER_POLL_INTERVAL_MS: { default: 15000, parse: integer({ min: 1000 }) },
+  MULTICALL_ADDRESS: { default: MULTICALL3_ADDRESS, parse: address },
+  MULTICALL_CHUNK_SIZE: { default: 500, parse: integer({ min: 1 }) },
+  BULK_MAX_ADDRESSES: {
+    default: 5000,
+    parse: integer({ min: 1 }),
+    reloadable: true,
+  },
+  // Pre-distribution checks: "block" stops the run, "warn" only logs
+  SOLVENCY_CHECK: {
+    default: "block",
+    parse: oneOf(PREFLIGHT_MODES),
+    reloadable: true,
+  },
+  SOLVENCY_MIN_COVERAGE_PERCENT: {
+    default: 100,
+    parse: integer({ min: 1 }),
+    reloadable: true,
+  },
+  FUNDING_CHECK: {
+    default: "block",
+    parse: oneOf(PREFLIGHT_MODES),
+    reloadable: true,
+  },
+  FUNDING_BUFFER_PERCENT: { default: 20, parse: integer(), reloadable: true },
+  ADMIN_PROPOSAL_TTL_MS: {
+    default: 900000, // 15 minutes
+    parse: integer({ min: 1000 }),
+  },
+  // Require a different API key to confirm than the one that proposed
+  ADMIN_FOUR_EYES: { default: false, parse: boolean },
+  // USD per BNB used to price run fees; unset leaves USD costs out
+  BNB_USD_RATE: { default: null, parse: decimal, reloadable: true },
+  LOG_LEVEL: { default: "info", parse: oneOf(LOG_LEVELS), reloadable: true },
+  // "json" for log shippers, "text" for reading in a terminal
+  LOG_FORMAT: { default: "json", parse: oneOf(LOG_FORMATS), reloadable: true },
+  // Also write logs to this file, rotated once it reaches LOG_MAX_BYTES
+  LOG_FILE: { default: null, parse: String },
+  LOG_MAX_BYTES: { default: 10485760, parse: integer({ min: 1024 }) },
+  LOG_MAX_FILES: { default: 5, parse: integer({ min: 1, max: 100 }) },
+  // Simulated chain used by targets with CHAIN_ADAPTER=simulated
+  SIMULATOR_USERS: { default: 100, parse: integer() },
+  // Tokens each simulated user can claim
+  SIMULATOR_CLAIMABLE: { default: "1", parse: decimal },
+  // User indices whose distribution reverts, e.g. "7,42"
+  SIMULATOR_REVERTING_INDICES: { default: [], parse: integerList },
+  // User indices whose stakes have already paid out their maximum ROI
+  SIMULATOR_EXPIRED_INDICES: { default: [], parse: integerList },
+  SIMULATOR_CONFIRMATION_DELAY_MS: { default: 1000, parse: integer() },
+  // Broadcasts accepted but never mined, starting with the first
+  SIMULATOR_DROPPED_TXS: { default: 0, parse: integer() },
+};
+
+export const RELOADABLE_SETTINGS = Object.keys(CONFIG_SCHEMA).filter(
+  (key) => CONFIG_SCHEMA[key].reloadable
+);
+
+// Settings each target sets as TARGET_<ID>_<SETTING>, e.g.
+// TARGET_TESTNET_RPC_URL. "required" settings must be set for every target,
+// "inherit" ones fall back to the top-level setting and "own" ones to the
+// schema default.
+export const TARGET_SETTINGS = {
+  CHAIN_ADAPTER: "inherit",
+  CHAIN_ID: "own",
+  RPC_URL: "required",
+  RPC_QUORUM: "own",
+  CONTRACT_ADDRESS: "required",
+  SIGNER: "inherit",
+  PRIVATE_KEY: "inherit",
+  KEYSTORE_FILE: "inherit",
+  KEYSTORE_PASSWORD_FILE: "inherit",
+  KEYSTORE_PASSWORD: "inherit",
+  REMOTE_SIGNER_URL: "inherit",
+  REMOTE_SIGNER_ADDRESS: "inherit",
+  BATCH_SIZE: "inherit",
+  BATCH_PLANNING: "inherit",
+  BATCH_GAS_TARGET: "inherit",
+  BATCH_MAX_GAP: "inherit",
+  RECONCILIATION: "inherit",
+  CRON_SCHEDULE: "inherit",
+  CRON_TIMEZONE: "inherit",
+  CATCH_UP_POLICY: "inherit",
+  CATCH_UP_MAX_RUNS: "inherit",
+  INDEXER_START_BLOCK: "own",
+};
+
+// ID of the target built from the top-level settings when TARGETS is empty
+export const LEGACY_TARGET_ID = "default";
+
+export const targetSettingName = (id, key) =>
+  `TARGET_${id.toUpperCase().replace(/-/g, "_")}_${key}`;
+
+// Raw settings by precedence: process environment, then the config file.
+// Returns undefined for settings missing from both.
+const createLookup = (configPath, env) => {
+  let file = {};
+  if (fs.existsSync(configPath)) {
+    file = dotenv.parse(fs.readFileSync(configPath));
+  } else {
+    logger.warn(
+      `${path.basename(configPath)} not found, using environment and defaults`
+    );
+  }
+
+  return (name) => {
+    if (env[name] !== undefined && env[name] !== "") {
+      return { raw: env[name], source: "env" };
+    }
+    if (file[name] !== undefined && file[name] !== "") {
+      return { raw: file[name], source: "file" };
+    }
+    return undefined;
+  };
+};
+
+// Parse one setting. Invalid fatal settings are added to `problems`, other
+// invalid settings resolve to `fallback` with a warning.
+const parseSetting = (name, setting, found, fallback, problems) => {
+  try {
+    return { value: setting.parse(found.raw.trim()), source: found.source };
+  } catch (error) {
+    // RPC URLs and secrets can carry credentials
+    const shown = setting.secret || setting.redact ? "" : ` "${found.raw}"`;
+    if (setting.fatal) {
+      problems.push(`${name}${shown} ${error.message}`);
+    } else {
+      logger.warn(`Invalid ${name}${shown}: ${error.message}. Using the default`, {
+        setting: name,
+      });
+    }
+    return { ...fallback };
+  }
+};
+
+// Per-target settings plus what is derived from them
+const finalizeTarget = (target, quorumName) => {
+  target.RPC_ENDPOINTS = parseRpcEndpoints(target.RPC_URL);
+  if (
+    target.RPC_QUORUM !== null &&
+    target.RPC_QUORUM > target.RPC_ENDPOINTS.length
+  ) {
+    logger.warn(
+      `Invalid ${quorumName}: ${target.RPC_QUORUM} for ${target.RPC_ENDPOINTS.length} endpoints. Using a majority`,
+      { setting: quorumName }
+    );
+    target.RPC_QUORUM = null;
+  }
+  return target;
+};
+
+const buildTargets = (values, sources, lookup, problems) => {
+  if (values.TARGETS.length === 0) {
+    const target = { id: LEGACY_TARGET_ID, DATA_DIR: values.DATA_DIR };
+    const targetSources = {};
+    for (const key of Object.keys(TARGET_SETTINGS)) {
+      target[key] = values[key];
+      targetSources[key] = sources[key];
+    }
+    return {
+      targets: [finalizeTarget(target, "RPC_QUORUM")],
+      targetSources: { [LEGACY_TARGET_ID]: targetSources },
+    };
+  }
+
+  const targets = [];
+  const targetSources = {};
+  for (const id of values.TARGETS) {
+    // Each target keeps its runs and proposals in its own directory
+    const target = { id, DATA_DIR: path.join(values.DATA_DIR, id) };
+    targetSources[id] = {};
+    for (const [key, mode] of Object.entries(TARGET_SETTINGS)) {
+      const name = targetSettingName(id, key);
+      const fallback =
+        mode === "inherit"
+          ? { value: values[key], source: sources[key] }
+          : { value: CONFIG_SCHEMA[key].default, source: "default" };
+      const found = lookup(name);
+      // A simulated chain needs no RPC endpoint
+      const optional = key === "RPC_URL" && target.CHAIN_ADAPTER === "simulated";
+      if (!found && mode === "required" && !optional) {
+        problems.push(`${name} is required for target "${id}"`);
+        continue;
+      }
+      const { value, source } = found
+        ? parseSetting(name, CONFIG_SCHEMA[key], found, fallback, problems)
+        : fallback;
+      target[key] = value;
+      targetSources[id][key] = source;
+    }
+    targets.push(target);
+  }
+  if (problems.length > 0) return { targets, targetSources };
+
+  return {
+    targets: targets.map((target) =>
+      finalizeTarget(target, targetSettingName(target.id, "RPC_QUORUM"))
+    ),
+    targetSources,
+  };
+};
+
+// Load and validate the configuration. Throws an error with code
+// INVALID_CONFIG listing every problem when a fatal setting is invalid.
+export const loadConfig = ({ configPath, baseDir, env = process.env }) => {
+  const lookup = createLookup(configPath, env);
+  const values = {};
+  const sources = {};
+  const problems = [];
+
+  for (const [key, setting] of Object.entries(CONFIG_SCHEMA)) {
+    const fallback = { value: setting.default, source: "default" };
+    const found = lookup(key);
+    ({ value: values[key], source: sources[key] } = found
+      ? parseSetting(key, setting, found, fallback, problems)
+      : fallback);
+  }
+  values.DATA_DIR = path.resolve(baseDir, values.DATA_DIR);
+  if (values.LOG_FILE !== null) {
+    values.LOG_FILE = path.resolve(baseDir, values.LOG_FILE);
+  }
+  values.LEADER_LEASE_PATH =
+    values.LEADER_LEASE_PATH === null
+      ? path.join(
+          values.DATA_DIR,
+          values.LEADER_ELECTION === "sqlite" ? "leader.sqlite" : "leader"
+        )
+      : path.resolve(baseDir, values.LEADER_LEASE_PATH);
+  if (values.LEADER_ELECTION === "sqlite" && !nodeHasSqlite()) {
+    problems.push(
+      `LEADER_ELECTION "sqlite" needs Node.js ${SQLITE_MIN_NODE_VERSION} or later, this is ${process.version}`
+    );
+  }
+
+  const { targets, targetSources } = buildTargets(
+    values,
+    sources,
+    lookup,
+    problems
+  );
+  // Older setups only set PRIVATE_KEY. The keystore default would ignore it
+  // and leave the server without a signer, so ask for an explicit choice.
+  for (const target of targets) {
+    const hasKey = target.PRIVATE_KEY && target.PRIVATE_KEY !== PLACEHOLDER_KEY;
+    if (hasKey && targetSources[target.id]?.SIGNER === "default") {
+      const name =
+        target.id === LEGACY_TARGET_ID
+          ? "SIGNER"
+          : targetSettingName(target.id, "SIGNER");
+      problems.push(
+        `PRIVATE_KEY is set but ${name} is not. Set ${name}=private-key to sign with it, or remove PRIVATE_KEY`
+      );
+    }
+  }
+  const targetIdList = targets.map((target) => target.id);
+  if (
+    values.DEFAULT_TARGET !== null &&
+    !targetIdList.includes(values.DEFAULT_TARGET)
+  ) {
+    problems.push(
+      `DEFAULT_TARGET "${values.DEFAULT_TARGET}" is not one of ${targetIdList.join(", ")}`
+    );
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration: ${problems.join("; ")}`);
+    error.code = "INVALID_CONFIG";
+    error.problems = problems;
+    throw error;
+  }
+
+  // Signer files are relative to the server directory, like DATA_DIR
+  for (const target of targets) {
+    for (const key of ["KEYSTORE_FILE", "KEYSTORE_PASSWORD_FILE"]) {
+      if (target[key] !== null) target[key] = path.resolve(baseDir, target[key]);
+    }
+  }
+  values.targets = targets;
+  values.DEFAULT_TARGET = values.DEFAULT_TARGET || targetIdList[0];
+  sources.targets = targetSources;
+  if (values.GAS_BUMP_PERCENT < 10) {
+    // Nodes reject replacements priced less than 10% above the original
+    logger.warn(
+      `GAS_BUMP_PERCENT ${values.GAS_BUMP_PERCENT} is below the 10% replacement minimum. Using 10`,
+      { setting: "GAS_BUMP_PERCENT" }
+    );
+    values.GAS_BUMP_PERCENT = 10;
+  }
+  if (values.LEADER_RENEW_INTERVAL_MS >= values.LEADER_LEASE_MS) {
+    // The lease would lapse between renewals
+    const interval = Math.floor(values.LEADER_LEASE_MS / 3);
+    logger.warn(
+      `LEADER_RENEW_INTERVAL_MS must be below LEADER_LEASE_MS. Using ${interval}`,
+      { setting: "LEADER_RENEW_INTERVAL_MS" }
+    );
+    values.LEADER_RENEW_INTERVAL_MS = interval;
+  }
+
+  return { values, sources };
+};
+
+const describeSetting = (setting, value, source) => {
+  const isSet =
+    value !== undefined &&
+    value !== null &&
+    !(Array.isArray(value) && value.length === 0);
+  let shown = value ?? null;
+  if (setting.secret) {
+    shown = isSet
+      ? Array.isArray(value)
+        ? `*** (${value.length} configured)`
+        : "***"
+      : null;
+  } else if (setting.redact) {
+    shown = setting.redact(value);
+  }
+  return { value: shown, source, reloadable: Boolean(setting.reloadable) };
+};
+
+// Settings as shown by GET /config: secrets masked, RPC URLs redacted
+export const describeConfig = ({ values, sources }) => ({
+  settings: Object.fromEntries(
+    Object.entries(CONFIG_SCHEMA).map(([key, setting]) => [
+      key,
+      describeSetting(setting, values[key], sources[key]),
+    ])
+  ),
+  defaultTarget: values.DEFAULT_TARGET,
+  targets: values.targets.map((target) => ({
+    id: target.id,
+    dataDir: target.DATA_DIR,
+    settings: Object.fromEntries(
+      Object.keys(TARGET_SETTINGS).map((key) => [
+        key,
+        describeSetting(
+          CONFIG_SCHEMA[key],
+          target[key],
+          sources.targets[target.id][key]
+        ),
+      ])
+    ),
+  })),
+});
@@ -0,0 +1,273 @@
+import fs from "fs";
+import path from "path";
+import { mapWithConcurrency } from "./claimables.js";
+import { logger } from "./logger.js";
+
+// Contract events kept by the indexer, and the name they are stored under
+export const INDEXED_EVENTS = {
+  Registration: "registration",
+  LevelPurchased: "purchase",
+  OwnershipTransferred: "ownershipTransfer",
+};
+
+// Providers reject getLogs ranges that are too wide or return too much
+const isRangeTooLarge = (error) =>
+  /limit exceeded|block range|too many|too large|exceeds? max|more than \d+ results/i.test(
+    error.message
+  );
+
+const toEventRecord = (type, log, parsed, timestamp) => {
+  const record = {
+    type,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    timestamp,
+  };
+  if (type === "registration") {
+    record.user = parsed.args.user;
+  } else if (type === "purchase") {
+    record.user = parsed.args.user;
+    record.package = parsed.args.package.toString();
+  } else {
+    record.previousOwner = parsed.args.previousOwner;
+    record.newOwner = parsed.args.newOwner;
+  }
+  return record;
+};
+
+// Background indexer for the contract's events. Backfills from
+// `startBlock`, then follows the chain `confirmations` blocks behind the
+// head. If the last indexed block is later replaced by a reorg anyway, the
+// last `confirmations` blocks are dropped and indexed again.
+export const createEventIndexer = ({
+  contract,
+  provider,
+  dataDir,
+  startBlock,
+  confirmations = 15,
+  chunkSize = 2000,
+  pollIntervalMs = 15000,
+}) => {
+  const statePath = path.join(dataDir, "events.json");
+  const topics = Object.keys(INDEXED_EVENTS).map(
+    (name) => contract.interface.getEvent(name).topicHash
+  );
+
+  let state = {
+    startBlock,
+    lastIndexedBlock: startBlock - 1,
+    lastIndexedHash: null,
+    events: [],
+  };
+  let currentChunkSize = chunkSize;
+  let headBlock = null;
+  let lastError = null;
+  let lastSyncAt = null;
+  let timer = null;
+  let stopped = true;
+
+  const load = () => {
+    fs.mkdirSync(dataDir, { recursive: true });
+    if (!fs.existsSync(statePath)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(statePath, "utf8"));
+      // A different start block means a different index; start over
+      if (saved.startBlock === startBlock) {
+        state = saved;
+      } else {
+        logger.warn(
+          `Event index was built from block ${saved.startBlock}, re-indexing from ${startBlock}`
+        );
+      }
+    } catch (error) {
+      logger.warn("Unreadable event index, re-indexing", { error });
+    }
+  };
+
+  // Write to a temp file first so a crash never leaves a half-written index
+  const persist = () => {
+    const tmp = `${statePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, statePath);
+  };
+
+  const blockTimestamps = async (logs) => {
+    const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+    const blocks = await mapWithConcurrency(blockNumbers, 5, (blockNumber) =>
+      provider.getBlock(blockNumber)
+    );
+    return new Map(
+      blocks.map((block, i) => [
+        blockNumbers[i],
+        block ? new Date(block.timestamp * 1000).toISOString() : null,
+      ])
+    );
+  };
+
+  const indexRange = async (fromBlock, toBlock) => {
+    const logs = await provider.getLogs({
+      address: await contract.getAddress(),
+      fromBlock,
+      toBlock,
+      topics: [topics],
+    });
+    const timestamps = await blockTimestamps(logs);
+    const records = [];
+    for (const log of logs) {
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed || !INDEXED_EVENTS[parsed.name]) continue;
+      records.push(
+        toEventRecord(
+          INDEXED_EVENTS[parsed.name],
+          log,
+          parsed,
+          timestamps.get(log.blockNumber)
+        )
+      );
+    }
+    records.sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    return records;
+  };
+
+  // Drop the last `confirmations` blocks when the block we stopped at is
+  // no longer part of the chain
+  const checkForReorg = async () => {
+    if (state.lastIndexedHash === null) return;
+    const block = await provider.getBlock(state.lastIndexedBlock);
+    if (block && block.hash === state.lastIndexedHash) return;
+
+    // The chain may now be shorter than what was indexed
+    const rewindTo = Math.max(
+      Math.min(state.lastIndexedBlock, headBlock) - confirmations,
+      startBlock - 1
+    );
+    logger.warn(
+      `Reorg detected at block ${state.lastIndexedBlock}, re-indexing from block ${rewindTo + 1}`
+    );
+    state.events = state.events.filter((e) => e.blockNumber <= rewindTo);
+    state.lastIndexedBlock = rewindTo;
+    const rewindBlock =
+      rewindTo >= startBlock ? await provider.getBlock(rewindTo) : null;
+    state.lastIndexedHash = rewindBlock ? rewindBlock.hash : null;
+  };
+
+  // The index is written once per pass rather than after every chunk, so a
+  // long backfill does not rewrite the whole file over and over. Progress
+  // made before an error is still written.
+  const sync = async () => {
+    headBlock = await provider.getBlockNumber();
+    const persistedHash = state.lastIndexedHash;
+    try {
+      await checkForReorg();
+      const target = headBlock - confirmations;
+
+      while (!stopped && state.lastIndexedBlock < target) {
+        const fromBlock = state.lastIndexedBlock + 1;
+        const toBlock = Math.min(fromBlock + currentChunkSize - 1, target);
+        let records;
+        try {
+          records = await indexRange(fromBlock, toBlock);
+        } catch (error) {
+          if (isRangeTooLarge(error) && currentChunkSize > 1) {
+            currentChunkSize = Math.max(1, Math.floor(currentChunkSize / 2));
+            logger.warn(
+              `getLogs range too large, reducing chunk size to ${currentChunkSize} blocks`
+            );
+            continue;
+          }
+          throw error;
+        }
+
+        // Gone when the chain reorganised under us; the next sync rewinds
+        const lastBlock = await provider.getBlock(toBlock);
+        if (!lastBlock) {
+          throw new Error(`Block ${toBlock} is no longer available`);
+        }
+        state.events.push(...records);
+        state.lastIndexedBlock = toBlock;
+        state.lastIndexedHash = lastBlock.hash;
+        if (records.length > 0) {
+          logger.info(`Indexed ${records.length} events`, { fromBlock, toBlock });
+        }
+      }
+    } finally {
+      if (state.lastIndexedHash !== persistedHash) persist();
+    }
+    lastSyncAt = new Date().toISOString();
+    lastError = null;
+  };
+
+  const tick = async () => {
+    try {
+      await sync();
+    } catch (error) {
+      lastError = error.message;
+      logger.error("Event indexer sync failed", { error });
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, pollIntervalMs);
+      timer.unref();
+    }
+  };
+
+  const start = () => {
+    if (!stopped) return;
+    load();
+    stopped = false;
+    logger.info(`Event indexer starting at block ${state.lastIndexedBlock + 1}`, {
+      storedEvents: state.events.length,
+    });
+    tick();
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  };
+
+  // Events of one type, newest first. `from`/`to` are dates, `user`
+  // matches the user (or either owner) address.
+  const query = (type, { user, from, to, limit = 500 } = {}) => {
+    const userLower = user ? user.toLowerCase() : null;
+    const matches = state.events.filter((event) => {
+      if (event.type !== type) return false;
+      if (userLower) {
+        const addresses = [event.user, event.previousOwner, event.newOwner];
+        if (!addresses.some((a) => a && a.toLowerCase() === userLower)) {
+          return false;
+        }
+      }
+      const time = event.timestamp ? Date.parse(event.timestamp) : null;
+      if (from && (time === null || time < from.getTime())) return false;
+      if (to && (time === null || time > to.getTime())) return false;
+      return true;
+    });
+    return {
+      total: matches.length,
+      events: matches.slice(-limit).reverse(),
+    };
+  };
+
+  const getStatus = () => ({
+    running: !stopped,
+    startBlock,
+    lastIndexedBlock: state.lastIndexedBlock,
+    headBlock,
+    confirmations,
+    blocksBehind:
+      headBlock === null
+        ? null
+        : Math.max(0, headBlock - confirmations - state.lastIndexedBlock),
+    chunkSize: currentChunkSize,
+    eventCount: state.events.length,
+    lastSyncAt,
+    lastError,
+  });
+
+  return { start, stop, query, getStatus };
+};
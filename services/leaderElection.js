@@ -0,0 +1,321 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// "off" makes every instance the leader, which is right for a single
+// replica. The others keep a lease in a file or SQLite database that all
+// replicas can reach.
+export const LEADER_ELECTION_BACKENDS = ["off", "file", "sqlite"];
+
+// First Node.js release with node:sqlite available without a flag
+export const SQLITE_MIN_NODE_VERSION = "22.13.0";
+
+export const nodeHasSqlite = (version = process.versions.node) => {
+  const [major, minor] = version.split(".").map(Number);
+  return major > 22 || (major === 22 && minor >= 13);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The lease `holder` ends up with when asking at `now`: a free, expired or
+// already held lease is (re)taken, anything else is left to its holder.
+// `term` goes up every time the lease changes hands.
+const nextLease = (current, name, holder, ttlMs, now) => {
+  if (current && current.holder !== holder && current.expiresAt > now) {
+    return { acquired: false, lease: current };
+  }
+  const renewing = Boolean(current && current.holder === holder);
+  return {
+    acquired: true,
+    lease: {
+      name,
+      holder,
+      term: renewing ? current.term : ((current && current.term) || 0) + 1,
+      acquiredAt: renewing ? current.acquiredAt : now,
+      renewedAt: now,
+      expiresAt: now + ttlMs,
+    },
+  };
+};
+
+// Lease stores keep one lease per name and make each call atomic across
+// every instance that shares them:
+//   tryAcquire(name, holder, ttlMs) -> { acquired, lease }
+//   release(name, holder) -> whether `holder` held it
+//   read(name) -> lease or null
+// Releasing expires the lease rather than deleting it so the next holder
+// continues its term count. A lease is { name, holder, term, acquiredAt, renewedAt, expiresAt } with
+// times in epoch milliseconds. A Redis store would map tryAcquire to
+// SET NX PX plus a holder-checked renewal script.
+
+// Leases as JSON files in `dir`, guarded by a lock file created with O_EXCL.
+// Works on local disks and on shared filesystems that honour exclusive
+// create, such as NFSv3 and later.
+export const createFileLeaseStore = ({ dir, lockTimeoutMs = 2000 }) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const leaseFile = (name) => path.join(dir, `${name}.lease.json`);
+  // A lock older than this was left by a crashed instance
+  const staleLockMs = Math.max(lockTimeoutMs * 5, 10000);
+
+  const withLock = async (name, operation) => {
+    const lockFile = `${leaseFile(name)}.lock`;
+    const startedAt = Date.now();
+    let fd;
+    for (;;) {
+      try {
+        fd = fs.openSync(lockFile, "wx");
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+        try {
+          if (Date.now() - fs.statSync(lockFile).mtimeMs > staleLockMs) {
+            fs.unlinkSync(lockFile);
+            continue;
+          }
+        } catch {
+          // Released in the meantime
+          continue;
+        }
+        if (Date.now() - startedAt > lockTimeoutMs) {
+          throw new Error(`Timed out waiting for lease lock ${lockFile}`);
+        }
+        await sleep(10);
+      }
+    }
+    try {
+      return operation();
+    } finally {
+      fs.closeSync(fd);
+      fs.unlinkSync(lockFile);
+    }
+  };
+
+  const readLease = (name) => {
+    try {
+      return JSON.parse(fs.readFileSync(leaseFile(name), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  // Write to a temp file first so readers never see half a lease
+  const writeLease = (name, lease) => {
+    const tmp = `${leaseFile(name)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(lease, null, 2));
+    fs.renameSync(tmp, leaseFile(name));
+  };
+
+  return {
+    tryAcquire: (name, holder, ttlMs) =>
+      withLock(name, () => {
+        const result = nextLease(readLease(name), name, holder, ttlMs, Date.now());
+        if (result.acquired) writeLease(name, result.lease);
+        return result;
+      }),
+    release: (name, holder) =>
+      withLock(name, () => {
+        const current = readLease(name);
+        if (!current || current.holder !== holder) return false;
+        writeLease(name, { ...current, expiresAt: Date.now() });
+        return true;
+      }),
+    read: async (name) => readLease(name),
+  };
+};
+
+// Leases in a SQLite database, using the node:sqlite module of Node.js
+// 22.13 and later (loadConfig refuses LEADER_ELECTION=sqlite on older ones).
+// BEGIN IMMEDIATE serialises instances on the database lock, so the file
+// must be on a filesystem with working POSIX locks.
+export const createSqliteLeaseStore = async ({ file, busyTimeoutMs = 5000 }) => {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    throw new Error(
+      `The sqlite lease backend needs Node.js ${SQLITE_MIN_NODE_VERSION} or later, this is ${process.version}`
+    );
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    PRAGMA busy_timeout = ${Number(busyTimeoutMs)};
+    CREATE TABLE IF NOT EXISTS leases (
+      name TEXT PRIMARY KEY,
+      holder TEXT NOT NULL,
+      term INTEGER NOT NULL,
+      acquired_at INTEGER NOT NULL,
+      renewed_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+  `);
+  const select = db.prepare(`
+    SELECT name, holder, term, acquired_at AS acquiredAt,
+      renewed_at AS renewedAt, expires_at AS expiresAt
+    FROM leases WHERE name = ?
+  `);
+  const upsert = db.prepare(`
+    INSERT INTO leases (name, holder, term, acquired_at, renewed_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET holder = excluded.holder,
+      term = excluded.term, acquired_at = excluded.acquired_at,
+      renewed_at = excluded.renewed_at, expires_at = excluded.expires_at
+  `);
+  const expire = db.prepare(
+    "UPDATE leases SET expires_at = ? WHERE name = ? AND holder = ?"
+  );
+
+  const readLease = (name) => {
+    const row = select.get(name);
+    return row ? { ...row } : null;
+  };
+
+  const transaction = (operation) => {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = operation();
+      db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      db.exec("ROLLBACK");
+      throw error;
+    }
+  };
+
+  return {
+    tryAcquire: async (name, holder, ttlMs) =>
+      transaction(() => {
+        const result = nextLease(readLease(name), name, holder, ttlMs, Date.now());
+        const { lease } = result;
+        if (result.acquired) {
+          upsert.run(
+            name,
+            holder,
+            lease.term,
+            lease.acquiredAt,
+            lease.renewedAt,
+            lease.expiresAt
+          );
+        }
+        return result;
+      }),
+    release: async (name, holder) =>
+      expire.run(Date.now(), name, holder).changes > 0,
+    read: async (name) => readLease(name),
+  };
+};
+
+export const createLeaseStore = ({ backend, leasePath }) =>
+  backend === "sqlite"
+    ? createSqliteLeaseStore({ file: leasePath })
+    : createFileLeaseStore({ dir: leasePath });
+
+// Keeps this instance's claim on the `name` lease: takes it when it is free
+// or expired and renews it every `renewIntervalMs` while held. The lease
+// store for `backend` is opened by start(); with backend "off" the instance
+// is always the leader. `onAcquired` is called each time this instance
+// becomes the leader.
+export const createLeaderElector = ({
+  backend = "off",
+  leasePath = null,
+  name = "distributor",
+  instanceId,
+  leaseMs = 30000,
+  renewIntervalMs = 10000,
+  onAcquired = null,
+}) => {
+  // Latest lease seen, this instance's or the current leader's
+  let store = null;
+  let lease = null;
+  // Leadership is trusted until the lease would expire counted from when
+  // the renewal was sent, which is never later than the store's expiry
+  let heldUntil = 0;
+  let lastError = null;
+  let timer = null;
+
+  const isLeader = () => backend === "off" || Date.now() < heldUntil;
+
+  // Take or renew the lease. Resolves to whether this instance leads.
+  const renew = async () => {
+    if (backend === "off") return true;
+    if (!store) return false;
+    const wasLeader = isLeader();
+    const sentAt = Date.now();
+    try {
+      const result = await store.tryAcquire(name, instanceId, leaseMs);
+      lease = result.lease;
+      heldUntil = result.acquired ? sentAt + leaseMs : 0;
+      lastError = null;
+    } catch (error) {
+      // A held lease stays valid until it expires, so keep heldUntil
+      lastError = error.message;
+      logger.warn("Leader lease could not be renewed", { error });
+    }
+
+    const leader = isLeader();
+    if (leader && !wasLeader) {
+      logger.info("This instance is now the leader", {
+        instanceId,
+        term: lease.term,
+      });
+      if (onAcquired) {
+        try {
+          onAcquired();
+        } catch (error) {
+          logger.error("Taking over as leader failed", { error });
+        }
+      }
+    } else if (!leader && wasLeader) {
+      logger.warn("This instance lost leadership", {
+        instanceId,
+        leader: lease ? lease.holder : null,
+      });
+    }
+    return leader;
+  };
+
+  const start = async () => {
+    if (backend === "off" || timer) return;
+    if (!store) store = await createLeaseStore({ backend, leasePath });
+    await renew();
+    timer = setInterval(renew, renewIntervalMs);
+    timer.unref();
+    if (!isLeader()) {
+      logger.info("Following the current leader", {
+        instanceId,
+        leader: lease ? lease.holder : null,
+      });
+    }
+  };
+
+  // Stop renewing and hand the lease back so another instance can take
+  // over straight away
+  const stop = async () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (!store || !isLeader()) return;
+    heldUntil = 0;
+    try {
+      await store.release(name, instanceId);
+      logger.info("Leader lease released", { instanceId });
+    } catch (error) {
+      logger.warn("Leader lease could not be released", { error });
+    }
+  };
+
+  const getStatus = () => {
+    const current = lease && lease.expiresAt > Date.now() ? lease : null;
+    return {
+      election: backend,
+      instanceId,
+      isLeader: isLeader(),
+      leader: backend === "off" ? instanceId : current && current.holder,
+      term: current ? current.term : null,
+      leaseExpiresAt: current ? new Date(current.expiresAt).toISOString() : null,
+      lastError,
+    };
+  };
+
+  return { start, stop, isLeader, ensureLeadership: renew, getStatus };
+};
@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = ["error", "warn", "info", "debug"];
+export const LOG_FORMATS = ["json", "text"];
+
+// Field names whose values are never written out
+const SECRET_FIELD = /private.?key|secret|password|authorization|api.?keys?$/i;
+// "PRIVATE_KEY=..." or "privateKey: ..." inside free text
+const SECRET_ASSIGNMENT = /(private.?key["']?\s*[:=]\s*["']?)[^\s"',}]+/gi;
+const REDACTED = "[REDACTED]";
+
+// Fields shared by every line logged inside withLogContext, e.g. the
+// target, runId and batchIndex of a distribution or an HTTP request ID
+const context = new AsyncLocalStorage();
+
+const settings = {
+  level: "info",
+  format: "json",
+  secrets: [],
+  file: null,
+};
+
+// Size-capped log file: once it would grow past maxBytes it is renamed to
+// <file>.1, older files shift up and the oldest beyond maxFiles is removed
+const createRotatingFile = ({ filePath, maxBytes, maxFiles }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let fd = fs.openSync(filePath, "a");
+  let size = fs.fstatSync(fd).size;
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+    for (let n = maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(`${filePath}.${n}`)) {
+        fs.renameSync(`${filePath}.${n}`, `${filePath}.${n + 1}`);
+      }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+    fd = fs.openSync(filePath, "a");
+    size = 0;
+  };
+
+  const write = (line) => {
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxBytes) rotate();
+    fs.writeSync(fd, line);
+    size += bytes;
+  };
+
+  const close = () => fs.closeSync(fd);
+
+  return { write, close, path: filePath };
+};
+
+const redactText = (text) => {
+  let redacted = text.replace(SECRET_ASSIGNMENT, `$1${REDACTED}`);
+  for (const secret of settings.secrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+};
+
+const serialize = (value, key = "") => {
+  if (key && SECRET_FIELD.test(key)) return REDACTED;
+  if (typeof value === "string") return redactText(value);
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Error) {
+    return {
+      message: redactText(value.message),
+      ...(value.code !== undefined && { code: value.code }),
+      ...(settings.level === "debug" &&
+        value.stack && { stack: redactText(value.stack) }),
+    };
+  }
+  if (Array.isArray(value)) return value.map((item) => serialize(item));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, serialize(v, k)])
+    );
+  }
+  return value;
+};
+
+const formatText = ({ timestamp, level, message, ...fields }) => {
+  const extra = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(
+      ([key, value]) =>
+        `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`
+    )
+    .join(" ");
+  return `${timestamp} ${level.toUpperCase().padEnd(5)} ${message}${extra ? ` ${extra}` : ""}`;
+};
+
+const write = (level, message, fields = {}) => {
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(settings.level)) return;
+  const entry = serialize({
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...context.getStore(),
+    ...fields,
+  });
+  const line = `${settings.format === "text" ? formatText(entry) : JSON.stringify(entry)}\n`;
+  (level === "error" || level === "warn" ? process.stderr : process.stdout).write(line);
+  if (settings.file) {
+    try {
+      settings.file.write(line);
+    } catch (error) {
+      process.stderr.write(`Failed to write log file: ${error.message}\n`);
+    }
+  }
+};
+
+export const logger = {
+  error: (message, fields) => write("error", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  debug: (message, fields) => write("debug", message, fields),
+};
+
+// Apply LOG_* settings. `secrets` are strings (private keys, API key
+// secrets) that are masked wherever they appear in a message or field.
+// A file is only opened again when its path changes.
+export const configureLogger = ({
+  level = settings.level,
+  format = settings.format,
+  file,
+  maxBytes = 10485760,
+  maxFiles = 5,
+  secrets,
+} = {}) => {
+  settings.level = level;
+  settings.format = format;
+  if (secrets) {
+    settings.secrets = secrets
+      .filter((secret) => typeof secret === "string" && secret.length >= 8)
+      .map((secret) => secret.replace(/^0x/i, ""));
+  }
+  if (file !== undefined && file !== (settings.file && settings.file.path)) {
+    if (settings.file) settings.file.close();
+    settings.file = file
+      ? createRotatingFile({ filePath: file, maxBytes, maxFiles })
+      : null;
+  }
+};
+
+// Run `fn` with extra fields on every line it logs, including lines logged
+// after it awaits
+export const withLogContext = (fields, fn) =>
+  context.run({ ...context.getStore(), ...fields }, fn);
+
+// Add or clear fields on the current context, e.g. the txHash of the batch
+// being processed. Lines logged outside withLogContext are unaffected.
+export const setLogContext = (fields) => {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+};
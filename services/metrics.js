@@ -0,0 +1,149 @@
+import client from "prom-client";
+import { logger } from "./logger.js";
+
+// Reads that take longer than this on a scrape keep their previous value
+const CHAIN_READ_TIMEOUT_MS = 5000;
+
+const withTimeout = (promise) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) =>
+      setTimeout(
+        () => reject(new Error("Metrics read timeout")),
+        CHAIN_READ_TIMEOUT_MS
+      )
+    ),
+  ]);
+
+// Prometheus metrics for the distributor, labelled by distribution target.
+// `readChainState` is called on each scrape and resolves to one entry per
+// target: { target, walletBalance, totalUsers, contractBalance }. Missing or
+// failed values are left as they are.
+export const createMetrics = ({ readChainState }) => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: "safemint_" });
+
+  const runsStarted = new client.Counter({
+    name: "safemint_runs_started_total",
+    help: "Distribution runs started, by trigger",
+    labelNames: ["target", "trigger"],
+    registers: [registry],
+  });
+  const runsFinished = new client.Counter({
+    name: "safemint_runs_finished_total",
+    help: "Distribution runs finished, by final status",
+    labelNames: ["target", "status"],
+    registers: [registry],
+  });
+  const batches = new client.Counter({
+    name: "safemint_batches_total",
+    help: "Distribution batches finished, by outcome",
+    labelNames: ["target", "status"],
+    registers: [registry],
+  });
+  const gasUsed = new client.Counter({
+    name: "safemint_gas_used_total",
+    help: "Gas used by distribution transactions",
+    labelNames: ["target"],
+    registers: [registry],
+  });
+  const bnbSpent = new client.Counter({
+    name: "safemint_bnb_spent_total",
+    help: "BNB spent on distribution transaction fees",
+    labelNames: ["target"],
+    registers: [registry],
+  });
+  const confirmationSeconds = new client.Histogram({
+    name: "safemint_batch_confirmation_seconds",
+    help: "Time from submitting a batch transaction to its receipt",
+    labelNames: ["target"],
+    buckets: [3, 6, 15, 30, 60, 120, 300, 600, 900],
+    registers: [registry],
+  });
+  const lastSuccessfulRun = new client.Gauge({
+    name: "safemint_last_successful_run_timestamp_seconds",
+    help: "Unix time the last fully successful distribution run finished",
+    labelNames: ["target"],
+    registers: [registry],
+  });
+  const rpcErrors = new client.Counter({
+    name: "safemint_rpc_errors_total",
+    help: "Failed RPC calls, by endpoint and JSON-RPC method",
+    labelNames: ["target", "endpoint", "method"],
+    registers: [registry],
+  });
+
+  // Chain state is read once per scrape and shared by the three gauges
+  let pendingRead = null;
+  const chainState = () => {
+    if (!pendingRead) {
+      pendingRead = withTimeout(readChainState())
+        .catch((error) => {
+          logger.warn("Metrics chain read failed", { error });
+          return [];
+        })
+        .finally(() => {
+          setTimeout(() => {
+            pendingRead = null;
+          }, 1000);
+        });
+    }
+    return pendingRead;
+  };
+
+  const chainGauge = (name, help, field) =>
+    new client.Gauge({
+      name,
+      help,
+      labelNames: ["target"],
+      registers: [registry],
+      async collect() {
+        for (const state of await chainState()) {
+          if (typeof state[field] === "number") {
+            this.set({ target: state.target }, state[field]);
+          }
+        }
+      },
+    });
+
+  chainGauge(
+    "safemint_wallet_balance_bnb",
+    "BNB balance of the distributor wallet",
+    "walletBalance"
+  );
+  chainGauge(
+    "safemint_contract_users",
+    "Registered users reported by getUSersLengh",
+    "totalUsers"
+  );
+  chainGauge(
+    "safemint_contract_balance",
+    "Contract token balance reported by getContractBalance",
+    "contractBalance"
+  );
+
+  return {
+    registry,
+    recordRunStarted: (target, trigger) =>
+      runsStarted.inc({ target, trigger: trigger || "unknown" }),
+    recordRunFinished: (target, status, finishedAt = new Date()) => {
+      runsFinished.inc({ target, status });
+      if (status === "completed") {
+        lastSuccessfulRun.set({ target }, new Date(finishedAt).getTime() / 1000);
+      }
+    },
+    // Restore the timestamp from the run journal after a restart
+    setLastSuccessfulRun: (target, finishedAt) =>
+      lastSuccessfulRun.set({ target }, new Date(finishedAt).getTime() / 1000),
+    recordBatch: (target, status, { gas, feeBnb, confirmationMs } = {}) => {
+      batches.inc({ target, status });
+      if (gas) gasUsed.inc({ target }, gas);
+      if (feeBnb) bnbSpent.inc({ target }, feeBnb);
+      if (confirmationMs) {
+        confirmationSeconds.observe({ target }, confirmationMs / 1000);
+      }
+    },
+    recordRpcError: (target, endpoint, method) =>
+      rpcErrors.inc({ target, endpoint, method }),
+  };
+};
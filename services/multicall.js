@@ -0,0 +1,80 @@
+import { ethers } from "ethers";
+import { mapWithConcurrency } from "./claimables.js";
+
+// Multicall3 is deployed at the same address on BSC and most other chains
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+// Batches read calls into Multicall3 `aggregate3` calls of at most
+// `chunkSize` each. Individual calls may fail without failing the rest.
+export const createMulticall = ({
+  provider,
+  address = MULTICALL3_ADDRESS,
+  chunkSize = 500,
+  concurrency = 2,
+}) => {
+  const multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  let deployed = null;
+
+  const ensureDeployed = async () => {
+    if (deployed) return;
+    const code = await provider.getCode(address);
+    if (code === "0x") {
+      throw new Error(`Multicall3 is not deployed at ${address}`);
+    }
+    deployed = true;
+  };
+
+  // `calls` are { contract, method, args }, read at `blockTag` (default
+  // latest). Resolves, in order, to { success: true, result } or
+  // { success: false, error } per call.
+  const call = async (calls, { blockTag } = {}) => {
+    await ensureDeployed();
+    const chunks = [];
+    for (let i = 0; i < calls.length; i += chunkSize) {
+      chunks.push(calls.slice(i, i + chunkSize));
+    }
+
+    const chunkResults = await mapWithConcurrency(
+      chunks,
+      concurrency,
+      async (chunk) => {
+        let responses;
+        try {
+          responses = await multicall.aggregate3.staticCall(
+            chunk.map(({ contract, method, args }) => ({
+              target: contract.target,
+              allowFailure: true,
+              callData: contract.interface.encodeFunctionData(method, args),
+            })),
+            { blockTag }
+          );
+        } catch (error) {
+          // The aggregate call itself failed (RPC error, gas cap, ...)
+          return chunk.map(() => ({ success: false, error: error.message }));
+        }
+
+        return responses.map(([success, returnData], i) => {
+          const { contract, method } = chunk[i];
+          if (!success) {
+            return { success: false, error: `${method} reverted` };
+          }
+          try {
+            return {
+              success: true,
+              result: contract.interface.decodeFunctionResult(method, returnData),
+            };
+          } catch (error) {
+            return { success: false, error: `${method}: ${error.message}` };
+          }
+        });
+      }
+    );
+    return chunkResults.flat();
+  };
+
+  return { call, address };
+};
@@ -0,0 +1,176 @@
+import { logger } from "./logger.js";
+
+// Webhooks only receive events at or above their minimum severity
+export const SEVERITY_RANK = { info: 1, warning: 2, critical: 3 };
+
+const SEVERITY_ICONS = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+const DISCORD_COLORS = { info: 0x3498db, warning: 0xf1c40f, critical: 0xe74c3c };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Webhook URLs carry their credentials in the path
+export const redactWebhookUrl = (url) => {
+  try {
+    return `${new URL(url).host}/***`;
+  } catch {
+    return "***";
+  }
+};
+
+// One line per data field, for chat formats
+const describe = (notification) => {
+  const lines = [
+    `${SEVERITY_ICONS[notification.severity]} ${notification.title}`,
+    notification.message,
+  ];
+  for (const [key, value] of Object.entries(notification.data || {})) {
+    if (value === null || value === undefined || typeof value === "object") {
+      continue;
+    }
+    lines.push(`• ${key}: ${value}`);
+  }
+  return lines.filter(Boolean).join("\n");
+};
+
+const FORMATTERS = {
+  generic: (notification) => notification,
+  slack: (notification) => ({ text: describe(notification) }),
+  discord: (notification) => ({
+    embeds: [
+      {
+        title: notification.title,
+        description: describe(notification).split("\n").slice(1).join("\n"),
+        color: DISCORD_COLORS[notification.severity],
+        timestamp: notification.timestamp,
+      },
+    ],
+  }),
+  telegram: (notification, webhook) => ({
+    chat_id: webhook.chatId,
+    text: describe(notification),
+    disable_web_page_preview: true,
+  }),
+};
+
+// Parse "format|minSeverity|url;format|minSeverity|url|chatId". Telegram
+// webhooks take the chat ID as a fourth field.
+export const parseWebhooks = (value) =>
+  (value || "")
+    .split(";")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [format, minSeverity, url, chatId] = entry
+        .split("|")
+        .map((part) => part.trim());
+      if (!FORMATTERS[format]) {
+        throw new Error(
+          `Invalid WEBHOOKS format "${format}": expected ${Object.keys(FORMATTERS).join("/")}`
+        );
+      }
+      if (!SEVERITY_RANK[minSeverity]) {
+        throw new Error(
+          `Invalid WEBHOOKS severity "${minSeverity}": expected ${Object.keys(SEVERITY_RANK).join("/")}`
+        );
+      }
+      if (!/^https?:\/\//.test(url || "")) {
+        throw new Error(`Invalid WEBHOOKS URL for ${format} webhook`);
+      }
+      if (format === "telegram" && !chatId) {
+        throw new Error("Telegram webhooks need a chat ID: telegram|severity|url|chatId");
+      }
+      return { format, minSeverity, url, chatId: chatId || null };
+    });
+
+// Outbound webhook notifications. Deliveries run in the background, are
+// retried with exponential backoff and never throw into the caller.
+export const createNotifier = ({
+  webhooks,
+  source = "safemint-server",
+  timeoutMs = 10000,
+  maxAttempts = 4,
+  retryDelayMs = 2000,
+}) => {
+  // Notifications still being delivered, see drain
+  const inFlight = new Set();
+
+  const deliver = async (webhook, notification) => {
+    const body = JSON.stringify(FORMATTERS[webhook.format](notification, webhook));
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const response = await fetch(webhook.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (response.ok) return true;
+        // Client errors other than rate limiting will not succeed on retry
+        if (response.status < 500 && response.status !== 429) {
+          throw Object.assign(new Error(`HTTP ${response.status}`), {
+            permanent: true,
+          });
+        }
+        throw new Error(`HTTP ${response.status}`);
+      } catch (error) {
+        const lastAttempt = attempt === maxAttempts || error.permanent;
+        logger.warn(`Webhook delivery failed for ${notification.event}`, {
+          webhook: redactWebhookUrl(webhook.url),
+          format: webhook.format,
+          attempt,
+          maxAttempts,
+          error,
+        });
+        if (lastAttempt) return false;
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    return false;
+  };
+
+  // Send an event to every webhook whose filter it passes. Resolves with
+  // the number of successful deliveries.
+  const notify = async (event, { severity = "info", title, message, data }) => {
+    const notification = {
+      event,
+      severity,
+      title,
+      message: message || null,
+      source,
+      data: data || {},
+      timestamp: new Date().toISOString(),
+    };
+    const targets = webhooks.filter(
+      (webhook) => SEVERITY_RANK[severity] >= SEVERITY_RANK[webhook.minSeverity]
+    );
+    // Callers do not wait for deliveries, so nothing here may reject
+    const delivery = Promise.all(
+      targets.map((webhook) =>
+        deliver(webhook, notification).catch((error) => {
+          logger.error(`Webhook delivery failed for ${event}`, {
+            webhook: redactWebhookUrl(webhook.url),
+            format: webhook.format,
+            error,
+          });
+          return false;
+        })
+      )
+    );
+    inFlight.add(delivery);
+    try {
+      const results = await delivery;
+      return results.filter(Boolean).length;
+    } finally {
+      inFlight.delete(delivery);
+    }
+  };
+
+  // Resolves once every notification sent so far has been delivered or
+  // given up on, for a process about to exit
+  const drain = async () => {
+    await Promise.all(inFlight);
+  };
+
+  return { notify, drain, webhookCount: webhooks.length };
+};
@@ -0,0 +1,233 @@
+import fs from "fs";
+import path from "path";
+import { hasReachedMaxRoi, readUserStakes } from "./claimables.js";
+import { logger } from "./logger.js";
+
+// Stake fields kept in snapshots, as strings so snapshots can be stored
+const STAKE_FIELDS = [
+  "lasClaimTime",
+  "rewardClaimed",
+  "claimable",
+  "maxRoi",
+  "claimableNow",
+];
+
+// State of users [startIndex, endIndex] that a distribution should change,
+// at `blockTag` (default latest), see readUserStakes
+export const snapshotUsers = async (
+  contract,
+  multicall,
+  startIndex,
+  endIndex,
+  { blockTag } = {}
+) => {
+  const takenAt = new Date().toISOString();
+  const users = await readUserStakes(contract, multicall, startIndex, endIndex, {
+    blockTag,
+  });
+  return {
+    takenAt,
+    blockTag: blockTag ?? "latest",
+    startIndex,
+    endIndex,
+    users: users.map((user) => ({
+      ...user,
+      stakes: user.stakes.map((stake) => ({
+        stakeIndex: stake.stakeIndex,
+        ...Object.fromEntries(
+          STAKE_FIELDS.map((field) => [field, stake[field].toString()])
+        ),
+      })),
+    })),
+  };
+};
+
+// Compare the snapshots taken around one batch. Per user, `status` is
+// "credited" when any stake's rewardClaimed or lasClaimTime advanced,
+// "not_advanced" when a stake had something to claim and none advanced,
+// "nothing_due" otherwise, or "unreadable" when a snapshot failed for it.
+// Stakes are those of the first snapshot; stakes bought in between are
+// left out.
+export const compareSnapshots = (before, after) => {
+  const totals = {
+    users: before.users.length,
+    credited: 0,
+    notAdvanced: 0,
+    nothingDue: 0,
+    unreadable: 0,
+    stakesReachedMaxRoi: 0,
+    distributed: 0n,
+  };
+
+  const users = before.users.map((previous, i) => {
+    const current = after.users[i];
+    const missing = previous.stakes.find(
+      (stake) => !current.stakes[stake.stakeIndex]
+    );
+    const error =
+      previous.error ||
+      current.error ||
+      (missing ? `Stake ${missing.stakeIndex} missing after the batch` : null);
+    if (error) {
+      totals.unreadable++;
+      return {
+        index: previous.index,
+        address: previous.address || current.address,
+        status: "unreadable",
+        credited: "0",
+        error,
+        stakes: [],
+      };
+    }
+
+    const stakes = previous.stakes.map((stake) => {
+      const next = current.stakes[stake.stakeIndex];
+      const credited = BigInt(next.rewardClaimed) - BigInt(stake.rewardClaimed);
+      const reached = !hasReachedMaxRoi(stake) && hasReachedMaxRoi(next);
+      if (reached) totals.stakesReachedMaxRoi++;
+      return {
+        stakeIndex: stake.stakeIndex,
+        due: !hasReachedMaxRoi(stake) && BigInt(stake.claimableNow) > 0n,
+        advanced:
+          credited > 0n || BigInt(next.lasClaimTime) > BigInt(stake.lasClaimTime),
+        credited: credited.toString(),
+        reachedMaxRoi: reached,
+        before: stake,
+        after: next,
+      };
+    });
+
+    const credited = stakes.reduce((sum, stake) => sum + BigInt(stake.credited), 0n);
+    let status = "nothing_due";
+    if (stakes.some((stake) => stake.advanced)) {
+      status = "credited";
+      totals.credited++;
+    } else if (stakes.some((stake) => stake.due)) {
+      status = "not_advanced";
+      totals.notAdvanced++;
+    } else {
+      totals.nothingDue++;
+    }
+    totals.distributed += credited;
+    return {
+      index: previous.index,
+      address: previous.address,
+      status,
+      credited: credited.toString(),
+      error: null,
+      stakes,
+    };
+  });
+
+  return {
+    before: before.takenAt,
+    after: after.takenAt,
+    totals: { ...totals, distributed: totals.distributed.toString() },
+    users,
+  };
+};
+
+// Reconciliation reports on disk, a directory per run with one file per
+// batch, so a batch is written once however many the run has. The snapshot
+// taken before a batch is sent is kept next to them until the batch is
+// confirmed, so a resumed run can still reconcile it.
+export const createReconciliationStore = ({ dataDir }) => {
+  const rootDir = path.join(dataDir, "reconciliation");
+  const runDir = (runId) => path.join(rootDir, runId);
+  const snapshotFile = (runId, batchIndex) =>
+    path.join(runDir(runId), `${batchIndex}.before.json`);
+  const batchFile = (runId, batchIndex) =>
+    path.join(runDir(runId), `${batchIndex}.json`);
+
+  // Write to a temp file first so a crash never leaves half a report
+  const write = (file, data) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Skipping unreadable reconciliation file ${file}`, { error });
+      }
+      return null;
+    }
+  };
+
+  return {
+    saveSnapshot: (runId, batchIndex, snapshot) =>
+      write(snapshotFile(runId, batchIndex), snapshot),
+    getSnapshot: (runId, batchIndex) => read(snapshotFile(runId, batchIndex)),
+    dropSnapshot: (runId, batchIndex) =>
+      fs.rmSync(snapshotFile(runId, batchIndex), { force: true }),
+    saveBatch: (runId, report) => write(batchFile(runId, report.batchIndex), report),
+    // Batch reports of a run in batch order
+    listBatches: (runId) => {
+      if (!fs.existsSync(runDir(runId))) return [];
+      return fs
+        .readdirSync(runDir(runId))
+        .filter((file) => /^\d+\.json$/.test(file))
+        .map((file) => read(path.join(runDir(runId), file)))
+        .filter(Boolean)
+        .sort((a, b) => a.batchIndex - b.batchIndex);
+    },
+  };
+};
+
+// Run-wide totals and the users and stakes worth a look, from its batch
+// reports
+export const summarizeReconciliation = (batches) => {
+  const summary = {
+    batches: batches.length,
+    users: 0,
+    credited: 0,
+    notAdvanced: 0,
+    nothingDue: 0,
+    unreadable: 0,
+    stakesReachedMaxRoi: 0,
+  };
+  let distributed = 0n;
+  const notAdvanced = [];
+  const unreadable = [];
+  const stakesReachedMaxRoi = [];
+
+  for (const batch of batches) {
+    for (const key of Object.keys(summary)) {
+      if (key !== "batches") summary[key] += batch.totals[key];
+    }
+    distributed += BigInt(batch.totals.distributed);
+    for (const user of batch.users) {
+      const entry = { index: user.index, address: user.address, batch: batch.label };
+      if (user.status === "not_advanced") {
+        notAdvanced.push({
+          ...entry,
+          due: user.stakes
+            .filter((stake) => stake.due)
+            .reduce((sum, stake) => sum + BigInt(stake.before.claimableNow), 0n)
+            .toString(),
+        });
+      }
+      if (user.status === "unreadable") unreadable.push({ ...entry, error: user.error });
+      for (const stake of user.stakes) {
+        if (!stake.reachedMaxRoi) continue;
+        stakesReachedMaxRoi.push({
+          ...entry,
+          stakeIndex: stake.stakeIndex,
+          rewardClaimed: stake.after.rewardClaimed,
+          maxRoi: stake.after.maxRoi,
+        });
+      }
+    }
+  }
+
+  return {
+    summary: { ...summary, distributed: distributed.toString() },
+    notAdvanced,
+    unreadable,
+    stakesReachedMaxRoi,
+  };
+};
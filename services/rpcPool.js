@@ -0,0 +1,360 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+// Outcomes kept per endpoint to work out its recent error rate
+const RECENT_WINDOW = 50;
+// Consecutive transport failures after which an endpoint is unhealthy
+const MAX_CONSECUTIVE_FAILURES = 3;
+// Blocks an endpoint may trail the highest known head before it is penalised
+const MAX_BLOCK_LAG = 5;
+
+// Parse "url|priority,url|priority". Priority defaults to list order and a
+// lower number is preferred.
+export const parseRpcEndpoints = (value) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, position) => {
+      const [url, priority] = entry.split("|").map((part) => part.trim());
+      return {
+        url,
+        priority: parseInt(priority) || position + 1,
+      };
+    });
+
+// Endpoint URLs often carry API keys in the path or query string
+export const redactRpcUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    const hasSecrets =
+      parsed.search || parsed.username || parsed.pathname.length > 1;
+    return `${parsed.protocol}//${parsed.host}${hasSecrets ? "/***" : "/"}`;
+  } catch {
+    return "***";
+  }
+};
+
+// A revert is a valid answer from a healthy node, not an endpoint failure
+const isRevertResponse = (rpcError) =>
+  rpcError.code === 3 || /revert/i.test(rpcError.message || "");
+
+// ethers shares identical requests made within 250ms. A `transport` chain
+// such as the simulator can change state without mining a block, so its
+// requests are never shared.
+const NO_REQUEST_CACHE = -1;
+
+// JsonRpcProvider that reports the latency and outcome of every request.
+// Requests go over HTTP unless a `transport` answers them instead.
+class InstrumentedJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, network, onResult, transport = null) {
+    // One call per HTTP request so outcomes can be attributed to a method.
+    // The network is fixed up front so an unreachable endpoint does not sit
+    // in ethers' network detection retry loop.
+    super(url, network, {
+      batchMaxCount: 1,
+      staticNetwork: network,
+      cacheTimeout: transport ? NO_REQUEST_CACHE : 250,
+    });
+    this.onResult = onResult;
+    this.transport = transport;
+  }
+
+  async _send(payload) {
+    const calls = Array.isArray(payload) ? payload : [payload];
+    const startedAt = Date.now();
+    try {
+      const results = this.transport
+        ? await this.transport(payload)
+        : await super._send(payload);
+      const latencyMs = Date.now() - startedAt;
+      for (const call of calls) {
+        const response = results.find((r) => r.id === call.id);
+        const failed =
+          !response || (response.error && !isRevertResponse(response.error));
+        this.onResult(
+          call.method,
+          latencyMs,
+          failed
+            ? new Error(response ? response.error.message : "missing response")
+            : null
+        );
+      }
+      return results;
+    } catch (error) {
+      const latencyMs = Date.now() - startedAt;
+      for (const call of calls) {
+        this.onResult(call.method, latencyMs, error);
+      }
+      throw error;
+    }
+  }
+}
+
+// Transport failures worth retrying on another endpoint. Anything else
+// (nonce too low, underpriced, ...) would fail the same way everywhere.
+const isTransportError = (error) =>
+  ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT"].includes(error.code) ||
+  /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket hang up/i.test(
+    error.message
+  );
+
+// Ask each endpoint for its chain ID, returning null when unreachable
+const fetchChainId = async (url, timeoutMs, transport) => {
+  const body = { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] };
+  if (transport) {
+    const [response] = await transport(body);
+    return response.error ? null : BigInt(response.result);
+  }
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeoutMs;
+  request.body = body;
+  try {
+    const response = await request.send();
+    response.assertOk();
+    return BigInt(response.bodyJson.result);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Pool of RPC endpoints. Reads go through an ethers FallbackProvider that
+// checks results against `quorum` endpoints; writes are broadcast through
+// the healthiest endpoint, falling back to the next one on transport errors.
+// The chain is `expectedChainId` when given, otherwise the chain of the first
+// reachable endpoint; endpoints reporting a different chain are left out.
+// `transport(payload)` replaces HTTP for every endpoint when given, e.g. to
+// talk to an in-process simulated chain; it resolves to the JSON-RPC
+// responses for the request or batch.
+export const createRpcPool = async ({
+  endpoints,
+  quorum,
+  expectedChainId = null,
+  stallTimeoutMs = 2000,
+  healthCheckIntervalMs = 30000,
+  onRpcError,
+  transport = null,
+}) => {
+  if (endpoints.length === 0) {
+    throw new Error("At least one RPC endpoint is required");
+  }
+
+  const chainIds = await Promise.all(
+    endpoints.map((endpoint) => fetchChainId(endpoint.url, 10000, transport))
+  );
+  const reachable = chainIds.filter((id) => id !== null);
+  if (reachable.length === 0) {
+    throw new Error("No RPC endpoint is reachable");
+  }
+  const chainId =
+    expectedChainId === null ? reachable[0] : BigInt(expectedChainId);
+  if (!reachable.includes(chainId)) {
+    const error = new Error(
+      `No RPC endpoint serves chain ${chainId} (found chain ${reachable.join(", ")})`
+    );
+    error.code = "CHAIN_MISMATCH";
+    throw error;
+  }
+  const network = ethers.Network.from(chainId);
+
+  const usable = endpoints.filter((endpoint, i) => {
+    if (chainIds[i] !== null && chainIds[i] !== chainId) {
+      logger.warn(
+        `Ignoring RPC endpoint: chain ID ${chainIds[i]} does not match ${chainId}`,
+        { endpoint: redactRpcUrl(endpoint.url) }
+      );
+      return false;
+    }
+    return true;
+  });
+
+  const recordResult = (member, method, latencyMs, error) => {
+    const { stats } = member;
+    stats.requests++;
+    stats.recent.push(!error);
+    if (stats.recent.length > RECENT_WINDOW) stats.recent.shift();
+
+    if (error) {
+      stats.errors++;
+      stats.consecutiveFailures++;
+      stats.errorsByMethod[method] = (stats.errorsByMethod[method] || 0) + 1;
+      stats.lastError = error.message;
+      stats.lastErrorAt = new Date().toISOString();
+      if (onRpcError) onRpcError(member.url, method, error);
+    } else {
+      // Only successful calls count towards latency: a refused connection
+      // fails fast and would otherwise make a dead endpoint look quick
+      stats.latencyMs =
+        stats.latencyMs === null
+          ? latencyMs
+          : Math.round(stats.latencyMs * 0.8 + latencyMs * 0.2);
+      stats.consecutiveFailures = 0;
+      stats.lastSuccessAt = new Date().toISOString();
+    }
+  };
+
+  const members = usable.map((endpoint) => {
+    const member = {
+      ...endpoint,
+      stats: {
+        requests: 0,
+        errors: 0,
+        consecutiveFailures: 0,
+        latencyMs: null,
+        recent: [],
+        errorsByMethod: {},
+        blockNumber: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+      },
+    };
+    member.provider = new InstrumentedJsonRpcProvider(
+      endpoint.url,
+      network,
+      (method, latencyMs, error) =>
+        recordResult(member, method, latencyMs, error),
+      transport
+    );
+    return member;
+  });
+
+  const provider = new ethers.FallbackProvider(
+    members.map((member) => ({
+      provider: member.provider,
+      priority: member.priority,
+      weight: 1,
+      stallTimeout: stallTimeoutMs,
+    })),
+    network,
+    {
+      // Quorum can not exceed the endpoints that are left
+      ...(quorum ? { quorum: Math.min(quorum, members.length) } : {}),
+      ...(transport ? { cacheTimeout: NO_REQUEST_CACHE } : {}),
+    }
+  );
+
+  const errorRate = (member) => {
+    const { recent } = member.stats;
+    if (recent.length === 0) return 0;
+    return recent.filter((ok) => !ok).length / recent.length;
+  };
+
+  const highestBlock = () =>
+    Math.max(0, ...members.map((m) => m.stats.blockNumber || 0));
+
+  const blockLag = (member) =>
+    member.stats.blockNumber === null
+      ? 0
+      : highestBlock() - member.stats.blockNumber;
+
+  const isHealthy = (member) => {
+    const { stats } = member;
+    const neverAnswered = stats.lastSuccessAt === null && stats.errors > 0;
+    return (
+      !neverAnswered &&
+      stats.consecutiveFailures < MAX_CONSECUTIVE_FAILURES &&
+      blockLag(member) <= MAX_BLOCK_LAG
+    );
+  };
+
+  // Lower is better: latency inflated by errors, plus priority and lag
+  // penalties so a configured preference wins between similar endpoints
+  const score = (member) =>
+    Math.round(
+      (member.stats.latencyMs ?? 1000) * (1 + errorRate(member) * 10) +
+        (member.priority - 1) * 250 +
+        blockLag(member) * 100
+    );
+
+  const rankedMembers = () => {
+    const ranked = [...members].sort((a, b) => score(a) - score(b));
+    return [
+      ...ranked.filter(isHealthy),
+      ...ranked.filter((m) => !isHealthy(m)),
+    ];
+  };
+
+  // Run a write-path call against the healthiest endpoint, moving down the
+  // ranking on transport errors
+  const withWriteProvider = async (operation) => {
+    let lastError;
+    for (const member of rankedMembers()) {
+      try {
+        return await operation(member.provider);
+      } catch (error) {
+        if (!isTransportError(error)) throw error;
+        lastError = error;
+        logger.warn("RPC call failed, trying next endpoint", {
+          endpoint: redactRpcUrl(member.url),
+          error,
+        });
+      }
+    }
+    throw lastError;
+  };
+
+  const broadcastTransaction = (signedTransaction) =>
+    withWriteProvider((writeProvider) =>
+      writeProvider.broadcastTransaction(signedTransaction)
+    );
+
+  // Probe every endpoint directly so idle or recovering ones stay scored
+  const checkEndpoints = () =>
+    Promise.all(
+      members.map(async (member) => {
+        try {
+          member.stats.blockNumber = await member.provider.getBlockNumber();
+        } catch (error) {
+          // Already recorded by the instrumented provider
+        }
+      })
+    );
+
+  let healthTimer = null;
+  const startHealthChecks = () => {
+    if (healthTimer || !healthCheckIntervalMs) return;
+    healthTimer = setInterval(checkEndpoints, healthCheckIntervalMs);
+    healthTimer.unref();
+  };
+
+  const getStatus = () => {
+    const writeMember = rankedMembers()[0];
+    return members.map((member) => ({
+      chainId: chainId.toString(),
+      url: redactRpcUrl(member.url),
+      priority: member.priority,
+      healthy: isHealthy(member),
+      score: score(member),
+      selectedForWrites: member === writeMember,
+      latencyMs: member.stats.latencyMs,
+      requests: member.stats.requests,
+      errors: member.stats.errors,
+      errorRate: Number(errorRate(member).toFixed(3)),
+      consecutiveFailures: member.stats.consecutiveFailures,
+      errorsByMethod: member.stats.errorsByMethod,
+      blockNumber: member.stats.blockNumber,
+      blockLag: blockLag(member),
+      lastError: member.stats.lastError,
+      lastErrorAt: member.stats.lastErrorAt,
+      lastSuccessAt: member.stats.lastSuccessAt,
+    }));
+  };
+
+  const destroy = () => {
+    if (healthTimer) clearInterval(healthTimer);
+    healthTimer = null;
+    provider.destroy();
+  };
+
+  return {
+    provider,
+    quorum: provider.quorum,
+    withWriteProvider,
+    broadcastTransaction,
+    checkEndpoints,
+    startHealthChecks,
+    getStatus,
+    destroy,
+  };
+};
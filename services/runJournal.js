@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+// Batch states that will not be touched again when a run is resumed.
+// "pending" batches were never sent and "submitted" batches still need their
+// transaction looked up, so both are picked up on resume. A "split" batch
+// has been replaced by the two halves that follow it in the list.
+export const TERMINAL_BATCH_STATUSES = ["confirmed", "reverted", "failed", "split"];
+
+export const isBatchFinished = (batch) =>
+  TERMINAL_BATCH_STATUSES.includes(batch.status);
+
+// Batches that were actually attempted, i.e. everything except split parents
+export const getLeafBatches = (run) =>
+  run.batches.filter((b) => b.status !== "split");
+
+// Runs in these states are owned by the process that is executing them
+export const ACTIVE_RUN_STATUSES = ["queued", "running"];
+
+// Batch counts used to report how far a run has got
+export const getRunProgress = (run) => {
+  const counts = { pending: 0, submitted: 0, confirmed: 0, reverted: 0, failed: 0 };
+  const leaves = getLeafBatches(run);
+  for (const batch of leaves) {
+    counts[batch.status] = (counts[batch.status] || 0) + 1;
+  }
+  const totalBatches = leaves.length;
+  const finishedBatches = leaves.filter(isBatchFinished).length;
+  const currentBatch = leaves.find((b) => b.status === "submitted");
+
+  return {
+    totalBatches,
+    finishedBatches,
+    percentComplete:
+      totalBatches > 0
+        ? Number(((finishedBatches / totalBatches) * 100).toFixed(2))
+        : 0,
+    currentBatch: currentBatch ? currentBatch.label : null,
+    splitBatches: run.batches.length - leaves.length,
+    ...counts,
+  };
+};
+
+// Fees a run has paid so far. Every mined transaction counts, including
+// reverted ones and batches that were split afterwards.
+export const getRunCost = (run) => {
+  let transactions = 0;
+  let gasUsed = 0n;
+  let feeWei = 0n;
+  for (const batch of run.batches) {
+    if (batch.gasUsed === null || batch.effectiveGasPrice === null) continue;
+    transactions++;
+    gasUsed += BigInt(batch.gasUsed);
+    feeWei += BigInt(batch.gasUsed) * BigInt(batch.effectiveGasPrice);
+  }
+  return { transactions, gasUsed, feeWei };
+};
+
+// The planned batches' gas estimate against the estimate for fixed
+// BATCH_SIZE batches over every user, null unless the batches were planned
+// from claimables. Both are estimates, so the saving compares like with
+// like; `actualGasUsed` is what every mined transaction of the run used,
+// reverted and split batches included, and is not part of the saving.
+export const getRunGasSavings = (run) => {
+  if (!run.planning || run.planning.mode !== "smart") return null;
+  const { naive, estimatedGas, gasSaved, gasSavedPercent } = run.planning;
+  return {
+    naiveEstimatedGas: naive.estimatedGas,
+    plannedEstimatedGas: estimatedGas,
+    estimatedGasSaved: gasSaved,
+    estimatedGasSavedPercent: gasSavedPercent,
+    actualGasUsed: getRunCost(run).gasUsed.toString(),
+  };
+};
+
+// Wall-clock time from the first start to the last finish, null while the
+// run has not finished
+export const getRunDurationMs = (run) =>
+  run.startedAt && run.finishedAt
+    ? Date.parse(run.finishedAt) - Date.parse(run.startedAt)
+    : null;
+
+// Persistent journal of distribution runs, one JSON file per run
+export const createRunJournal = ({ dataDir }) => {
+  const runsDir = path.join(dataDir, "runs");
+  const runs = new Map();
+
+  const runFile = (runId) => path.join(runsDir, `${runId}.json`);
+
+  // Write to a temp file first so a crash never leaves a half-written run
+  const persist = (run) => {
+    run.updatedAt = new Date().toISOString();
+    const target = runFile(run.id);
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(run, null, 2));
+    fs.renameSync(tmp, target);
+    return run;
+  };
+
+  // Read every run on disk, including those another process sharing
+  // `dataDir` has written since
+  const load = () => {
+    fs.mkdirSync(runsDir, { recursive: true });
+    for (const file of fs.readdirSync(runsDir)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const run = JSON.parse(
+          fs.readFileSync(path.join(runsDir, file), "utf8")
+        );
+        runs.set(run.id, run);
+      } catch (error) {
+        logger.warn(`Skipping unreadable run journal file ${file}`, {
+          error,
+        });
+      }
+    }
+    return runs.size;
+  };
+
+  const getRun = (runId) => runs.get(runId) || null;
+
+  const listRuns = ({ limit = 50 } = {}) =>
+    [...runs.values()]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+
+  // Runs are created as soon as they are requested; batches are planned
+  // once the user count has been read from the contract
+  const createRun = ({ trigger, triggeredBy = null, scheduledFor = null }) => {
+    const now = new Date().toISOString();
+    const run = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      trigger,
+      triggeredBy,
+      // Schedule occurrence a cron or catch-up run stands for
+      scheduledFor,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      totalUsers: null,
+      batchSize: null,
+      resumeCount: 0,
+      batches: [],
+      // Skipped users and gas estimates from smart batch planning
+      planning: null,
+      preflight: null,
+      summary: null,
+      // USD per BNB when the run last finished, used to price its fees
+      bnbUsdRate: null,
+      error: null,
+    };
+    runs.set(run.id, run);
+    return persist(run);
+  };
+
+  // Batches cover fixed `batchSize` windows over every user unless planned
+  // `ranges` are given
+  const planBatches = (
+    runId,
+    { totalUsers, batchSize, ranges = null, planning = null }
+  ) => {
+    const run = runs.get(runId);
+    if (!run) throw new Error(`Run ${runId} not found`);
+    const now = new Date().toISOString();
+    run.totalUsers = totalUsers;
+    run.batchSize = batchSize;
+    run.planning = planning;
+    run.batches = [];
+    const total = Number(totalUsers);
+    const windows = ranges || [];
+    if (!ranges) {
+      for (let startIndex = 0; startIndex < total; startIndex += batchSize) {
+        windows.push({
+          startIndex,
+          endIndex: Math.min(startIndex + batchSize - 1, total - 1),
+        });
+      }
+    }
+    for (const { startIndex, endIndex } of windows) {
+      run.batches.push({
+        batchIndex: run.batches.length,
+        label: String(run.batches.length + 1),
+        parentBatch: null,
+        startIndex,
+        endIndex,
+        status: "pending",
+        txHash: null,
+        replacedTxHashes: [],
+        nonce: null,
+        gasLimit: null,
+        gasPrice: null,
+        submittedAt: null,
+        blockNumber: null,
+        gasUsed: null,
+        effectiveGasPrice: null,
+        error: null,
+        updatedAt: now,
+      });
+    }
+    return persist(run);
+  };
+
+  const findBatch = (runId, batchIndex) => {
+    const run = runs.get(runId);
+    if (!run) throw new Error(`Run ${runId} not found`);
+    const batch = run.batches.find((b) => b.batchIndex === batchIndex);
+    if (!batch) throw new Error(`Batch ${batchIndex} not found in run ${runId}`);
+    return { run, batch };
+  };
+
+  const updateBatch = (runId, batchIndex, changes) => {
+    const { run, batch } = findBatch(runId, batchIndex);
+    Object.assign(batch, changes, { updatedAt: new Date().toISOString() });
+    persist(run);
+    return batch;
+  };
+
+  // Replace a failed range with its two halves, inserted right after it so
+  // they are processed next. Returns the new batches.
+  const splitBatch = (runId, batchIndex, error) => {
+    const { run, batch } = findBatch(runId, batchIndex);
+    if (batch.startIndex >= batch.endIndex) {
+      throw new Error(`Batch ${batch.label} covers a single index and cannot be split`);
+    }
+
+    const now = new Date().toISOString();
+    const middle = Math.floor((batch.startIndex + batch.endIndex) / 2);
+    let nextIndex = Math.max(...run.batches.map((b) => b.batchIndex)) + 1;
+    const halves = [
+      [batch.startIndex, middle],
+      [middle + 1, batch.endIndex],
+    ].map(([startIndex, endIndex], i) => ({
+      batchIndex: nextIndex++,
+      label: `${batch.label}.${i + 1}`,
+      parentBatch: batch.batchIndex,
+      startIndex,
+      endIndex,
+      status: "pending",
+      txHash: null,
+      replacedTxHashes: [],
+      nonce: null,
+      gasLimit: null,
+      gasPrice: null,
+      submittedAt: null,
+      blockNumber: null,
+      gasUsed: null,
+      effectiveGasPrice: null,
+      error: null,
+      updatedAt: now,
+    }));
+
+    Object.assign(batch, { status: "split", error, updatedAt: now });
+    run.batches.splice(run.batches.indexOf(batch) + 1, 0, ...halves);
+    persist(run);
+    return halves;
+  };
+
+  const updateRun = (runId, changes) => {
+    const run = runs.get(runId);
+    if (!run) throw new Error(`Run ${runId} not found`);
+    Object.assign(run, changes);
+    return persist(run);
+  };
+
+  // A run can be resumed while any of its batches are still unfinished
+  const isResumable = (run) =>
+    !ACTIVE_RUN_STATUSES.includes(run.status) &&
+    run.batches.some((b) => !isBatchFinished(b));
+
+  // Runs left active by a previous process were cut off mid-way
+  const markInterruptedRuns = () => {
+    const interrupted = [];
+    for (const run of runs.values()) {
+      if (ACTIVE_RUN_STATUSES.includes(run.status)) {
+        run.status = "interrupted";
+        run.finishedAt = null;
+        persist(run);
+        interrupted.push(run);
+      }
+    }
+    return interrupted;
+  };
+
+  load();
+
+  return {
+    getRun,
+    listRuns,
+    createRun,
+    planBatches,
+    updateBatch,
+    splitBatch,
+    updateRun,
+    isResumable,
+    markInterruptedRuns,
+    reload: load,
+  };
+};
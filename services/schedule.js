@@ -0,0 +1,205 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+// What startup does about scheduled runs missed while the server was down:
+// "once" runs one distribution for all of them, "each" one per missed
+// occurrence and "skip" only logs them
+export const CATCH_UP_POLICIES = ["once", "each", "skip"];
+
+export const isTimeZone = (name) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Cron fields in the order of a six-field expression. Weekday 7 is Sunday.
+const FIELDS = [
+  { name: "second", min: 0, max: 59 },
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "weekday", min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 },
+];
+
+const fieldValue = (field, text) => {
+  if (field.names && /^[a-z]+$/i.test(text)) {
+    const index = field.names.indexOf(text.slice(0, 3).toLowerCase());
+    if (index !== -1) return index + field.offset;
+  }
+  const value = Number(text);
+  if (!/^\d+$/.test(text) || value < field.min || value > field.max) {
+    throw new Error(`"${text}" is not a valid ${field.name}`);
+  }
+  return value;
+};
+
+// Sorted values one field allows, e.g. "1-5,10" or "*/15"
+const parseField = (field, text) => {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+    let from = field.min;
+    let to = field.name === "weekday" ? 6 : field.max;
+    if (range !== "*" && range !== "?") {
+      const [start, end] = range.split("-");
+      from = fieldValue(field, start);
+      if (end !== undefined) to = fieldValue(field, end);
+      else if (stepText === undefined) to = from;
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === "weekday" ? value % 7 : value);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+};
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Occurrences further out than this are treated as never, e.g. 0 0 30 2 *
+const MAX_SEARCH_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Fire times of a node-cron `expression` in `timeZone`. Like node-cron, a
+// time matches only when both the day of month and the weekday match.
+export const createScheduleMatcher = (expression, timeZone = "UTC") => {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift("0");
+  if (parts.length !== 6) {
+    throw new Error(`"${expression}" does not have 5 or 6 fields`);
+  }
+  const [seconds, minutes, hours, days, months, weekdays] = FIELDS.map(
+    (field, i) => parseField(field, parts[i])
+  );
+  const allowed = {
+    minute: new Set(minutes),
+    hour: new Set(hours),
+    day: new Set(days),
+    month: new Set(months),
+    weekday: new Set(weekdays),
+  };
+
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    weekday: "short",
+  });
+  const localTime = (time) => {
+    const local = {};
+    for (const { type, value } of formatter.formatToParts(time)) {
+      local[type] = value;
+    }
+    return {
+      month: Number(local.month),
+      day: Number(local.day),
+      hour: Number(local.hour),
+      minute: Number(local.minute),
+      weekday: WEEKDAY_LABELS.indexOf(local.weekday),
+    };
+  };
+
+  // First fire time after `after` (epoch ms), or null. Walks whole minutes
+  // and skips the rest of any hour that cannot match.
+  const nextAfter = (after) => {
+    const limit = after + MAX_SEARCH_MS;
+    let minute = Math.floor(after / 60000) * 60000;
+    while (minute <= limit) {
+      const local = localTime(minute);
+      if (
+        !allowed.hour.has(local.hour) ||
+        !allowed.day.has(local.day) ||
+        !allowed.month.has(local.month) ||
+        !allowed.weekday.has(local.weekday)
+      ) {
+        minute += (60 - local.minute) * 60000;
+        continue;
+      }
+      if (allowed.minute.has(local.minute)) {
+        const second = seconds.find((s) => minute + s * 1000 > after);
+        if (second !== undefined) return minute + second * 1000;
+      }
+      minute += 60000;
+    }
+    return null;
+  };
+
+  // The next `count` fire times after `after`
+  const nextFireTimes = (after, count = 1) => {
+    const times = [];
+    let time = after.getTime();
+    while (times.length < count && (time = nextAfter(time)) !== null) {
+      times.push(new Date(time));
+    }
+    return times;
+  };
+
+  // Every fire time in (from, to]
+  const fireTimesBetween = (from, to) => {
+    const times = [];
+    let time = from.getTime();
+    while ((time = nextAfter(time)) !== null && time <= to.getTime()) {
+      times.push(new Date(time));
+    }
+    return times;
+  };
+
+  return { expression, timeZone, nextFireTimes, fireTimesBetween };
+};
+
+// Per-target schedule state, kept in `dataDir` so it survives restarts.
+// `coveredUntil` is the time up to which every occurrence has fired or been
+// caught up; `lastCompletedRun` is the last scheduled or catch-up run that
+// completed. `paused`, `override` (a schedule set through the API in place
+// of CRON_SCHEDULE) and `skipNext` are operator changes, each recording
+// who made it and when. Instances sharing `dataDir` share the file, so it
+// is read again on every get and update rather than cached.
+export const createScheduleState = ({ dataDir, fileName = "schedule.json" }) => {
+  const statePath = path.join(dataDir, fileName);
+  let state = {
+    coveredUntil: null,
+    lastCompletedRun: null,
+    paused: null,
+    override: null,
+    skipNext: null,
+  };
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  // Keeps the last good state when the file is missing or unreadable
+  const read = () => {
+    if (!fs.existsSync(statePath)) return state;
+    try {
+      state = { ...state, ...JSON.parse(fs.readFileSync(statePath, "utf8")) };
+    } catch (error) {
+      logger.warn(`Ignoring unreadable schedule state ${statePath}`, { error });
+    }
+    return state;
+  };
+
+  // Write to a temp file first so a crash never leaves half a state.
+  const update = (changes) => {
+    state = { ...read(), ...changes, updatedAt: new Date().toISOString() };
+    // Per process, so instances writing at the same time do not share it
+    const tmp = `${statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, statePath);
+    return state;
+  };
+
+  read();
+  return { get: read, update, path: statePath };
+};
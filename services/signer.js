@@ -0,0 +1,228 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+// "keystore" unlocks an encrypted JSON keystore, "remote" asks an external
+// signer over JSON-RPC and "private-key" signs with PRIVATE_KEY as given,
+// which is only meant for development
+export const SIGNER_TYPES = ["keystore", "remote", "private-key"];
+
+export const PLACEHOLDER_KEY = "your_private_key_here";
+
+// Problems a retry will not fix, such as a wrong passphrase
+const signerConfigError = (message) => {
+  const error = new Error(message);
+  error.code = "SIGNER_CONFIG";
+  return error;
+};
+
+// Why `settings` can not produce a signer, or null when they can. `label`
+// names a setting as the operator should write it.
+export const describeMissingSigner = (settings, label = (key) => key) => {
+  const { SIGNER, PRIVATE_KEY } = settings;
+  if (SIGNER === "private-key") {
+    return !PRIVATE_KEY || PRIVATE_KEY === PLACEHOLDER_KEY
+      ? `Private key not provided or using placeholder. Set a valid ${label("PRIVATE_KEY")} to enable distributions`
+      : null;
+  }
+  if (SIGNER === "remote") {
+    return settings.REMOTE_SIGNER_URL
+      ? null
+      : `No remote signer configured. Set ${label("REMOTE_SIGNER_URL")} to enable distributions`;
+  }
+  if (!settings.KEYSTORE_FILE) {
+    const hint =
+      PRIVATE_KEY && PRIVATE_KEY !== PLACEHOLDER_KEY
+        ? ` ${label("PRIVATE_KEY")} is only used with ${label("SIGNER")}=private-key, meant for development.`
+        : "";
+    return `No keystore configured. Set ${label("KEYSTORE_FILE")} to enable distributions.${hint}`;
+  }
+  if (!settings.KEYSTORE_PASSWORD && !settings.KEYSTORE_PASSWORD_FILE) {
+    return `No keystore passphrase configured. Set ${label("KEYSTORE_PASSWORD_FILE")} or ${label("KEYSTORE_PASSWORD")}`;
+  }
+  return null;
+};
+
+const readSecretFile = (file, what) => {
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw signerConfigError(`Cannot read ${what} ${file}: ${error.message}`);
+  }
+  if (process.platform !== "win32" && (fs.statSync(file).mode & 0o077) !== 0) {
+    logger.warn(`${what} is readable by other users, restrict it with chmod 600`, {
+      file,
+    });
+  }
+  return content;
+};
+
+const unlockKeystore = async (settings) => {
+  const json = readSecretFile(settings.KEYSTORE_FILE, "Keystore file");
+  // Editors and `echo` leave a trailing newline that is not part of it
+  const password = settings.KEYSTORE_PASSWORD_FILE
+    ? readSecretFile(
+        settings.KEYSTORE_PASSWORD_FILE,
+        "Keystore passphrase file"
+      ).replace(/\r?\n$/, "")
+    : settings.KEYSTORE_PASSWORD;
+  if (!ethers.isKeystoreJson(json)) {
+    throw signerConfigError(`${settings.KEYSTORE_FILE} is not a JSON keystore`);
+  }
+  try {
+    return await ethers.Wallet.fromEncryptedJson(json, password);
+  } catch (error) {
+    throw signerConfigError(
+      `Cannot unlock keystore ${settings.KEYSTORE_FILE}: ${error.message}`
+    );
+  }
+};
+
+// JSON-RPC client for the remote signer. Errors it answers with become
+// errors with code SIGNER_REJECTED.
+const createSignerClient = (url, timeoutMs) => {
+  let nextId = 1;
+  return async (method, params) => {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeoutMs;
+    request.body = { jsonrpc: "2.0", id: nextId++, method, params };
+    const response = await request.send();
+    response.assertOk();
+    const { result, error } = response.bodyJson;
+    if (error) {
+      const rejected = new Error(`Remote signer refused ${method}: ${error.message}`);
+      rejected.code = "SIGNER_REJECTED";
+      throw rejected;
+    }
+    return result;
+  };
+};
+
+const quantity = (value) =>
+  value === null || value === undefined ? undefined : ethers.toQuantity(value);
+
+// Transaction fields in the form eth_signTransaction takes them
+const toRpcTransaction = (tx, from) => ({
+  from,
+  to: tx.to || undefined,
+  data: tx.data ? ethers.hexlify(tx.data) : "0x",
+  value: quantity(tx.value ?? 0),
+  nonce: quantity(tx.nonce),
+  gas: quantity(tx.gasLimit),
+  gasPrice: quantity(tx.gasPrice),
+  maxFeePerGas: quantity(tx.maxFeePerGas),
+  maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+  chainId: quantity(tx.chainId),
+  type: quantity(tx.type),
+});
+
+// The first field of the signed transaction that differs from the request,
+// or null. A signer must not redirect the call or change its nonce or price.
+const mismatchedField = (requested, signed, from) => {
+  if (signed.from !== from) return "from";
+  if ((requested.to || "").toLowerCase() !== (signed.to || "").toLowerCase()) {
+    return "to";
+  }
+  if (ethers.hexlify(requested.data || "0x") !== signed.data) return "data";
+  for (const field of ["nonce", "value", "gasLimit", "gasPrice", "chainId"]) {
+    if (requested[field] === null || requested[field] === undefined) continue;
+    if (signed[field] === null || BigInt(signed[field]) !== BigInt(requested[field])) {
+      return field;
+    }
+  }
+  return null;
+};
+
+// Signer that leaves the key with an external service (Clef, Web3Signer, a
+// KMS proxy, ...) and asks it to sign each transaction with
+// eth_signTransaction. The signed transaction is checked against the
+// request before it is handed back.
+class RemoteSigner extends ethers.AbstractSigner {
+  // Not `call`, which signers use for eth_call
+  #send;
+
+  constructor(address, send, provider = null) {
+    super(provider);
+    this.address = address;
+    this.#send = send;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, this.#send, provider);
+  }
+
+  async signTransaction(request) {
+    const tx = await ethers.resolveProperties(request);
+    const result = await this.#send("eth_signTransaction", [
+      toRpcTransaction(tx, this.address),
+    ]);
+    // Clef and Geth answer { raw, tx }, other signers the raw transaction
+    const raw = typeof result === "string" ? result : result && result.raw;
+    if (!raw) throw new Error("Remote signer returned no signed transaction");
+
+    const signed = ethers.Transaction.from(raw);
+    const field = mismatchedField(tx, signed, this.address);
+    if (field) {
+      throw new Error(
+        `Remote signer returned a transaction with a different ${field} than requested`
+      );
+    }
+    return signed.serialized;
+  }
+
+  async signMessage() {
+    throw new Error("The remote signer only signs transactions");
+  }
+
+  async signTypedData() {
+    throw new Error("The remote signer only signs transactions");
+  }
+}
+
+const connectRemoteSigner = async (settings, timeoutMs) => {
+  const send = createSignerClient(settings.REMOTE_SIGNER_URL, timeoutMs);
+  const configured = settings.REMOTE_SIGNER_ADDRESS;
+  let accounts = null;
+  try {
+    accounts = (await send("eth_accounts", [])).map((a) => ethers.getAddress(a));
+  } catch (error) {
+    // Signers that do not list accounts still work with a configured address
+    if (!configured || error.code !== "SIGNER_REJECTED") throw error;
+  }
+  if (configured && accounts && !accounts.includes(configured)) {
+    throw signerConfigError(
+      `Remote signer does not hold ${configured} (it lists ${accounts.join(", ") || "no accounts"})`
+    );
+  }
+  const address = configured || (accounts && accounts[0]);
+  if (!address) throw signerConfigError("Remote signer lists no accounts");
+  return new RemoteSigner(address, send);
+};
+
+// Signer for a target's settings, not yet connected to a provider. Throws
+// an error with code SIGNER_CONFIG when the settings themselves are wrong.
+export const createSigner = async (settings, { timeoutMs = 10000 } = {}) => {
+  const problem = describeMissingSigner(settings);
+  if (problem) throw signerConfigError(problem);
+
+  if (settings.SIGNER === "keystore") return unlockKeystore(settings);
+  if (settings.SIGNER === "remote") {
+    return connectRemoteSigner(settings, timeoutMs);
+  }
+
+  logger.warn(
+    "Signing with a plaintext PRIVATE_KEY. Use SIGNER=keystore or SIGNER=remote outside development"
+  );
+  try {
+    return new ethers.Wallet(settings.PRIVATE_KEY);
+  } catch (error) {
+    throw signerConfigError(
+      `PRIVATE_KEY is not a valid private key: ${error.shortMessage || error.message}`
+    );
+  }
+};
@@ -0,0 +1,719 @@
+import { ethers } from "ethers";
+import { MULTICALL3_ADDRESS } from "./multicall.js";
+
+// Endpoint the RPC pool is given for a simulated chain. Requests to it are
+// answered in-process by the simulator's transport and never hit the network.
+export const SIMULATED_RPC_URL = "simulated://safemint";
+
+const MULTICALL3_INTERFACE = new ethers.Interface([
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+]);
+
+// Gas charged by the simulated contract. Distribution cost grows with the
+// number of users in the range, like the real loop over uniqueUsers; users
+// with nothing to pay only cost the loop iteration.
+const BASE_GAS = 21000n;
+const DISTRIBUTE_GAS = 40000n;
+const DISTRIBUTE_GAS_PER_USER = 25000n;
+const DISTRIBUTE_GAS_PER_EMPTY_USER = 5000n;
+const ADMIN_GAS = 45000n;
+const REVERTED_GAS = 30000n;
+const BLOCK_GAS_LIMIT = 140000000n;
+
+// Nodes only accept a replacement priced at least 10% above the original
+const REPLACEMENT_BUMP_PERCENT = 110n;
+
+const PACKAGE_PRICES = ["10", "50", "100"].map((price) => ethers.parseEther(price));
+const PERCENT_DIVIDER = 10000n;
+const MAX_ROI = 300n;
+
+// Thrown by contract handlers; becomes an "execution reverted" RPC error
+// or a failed receipt
+class Revert extends Error {
+  constructor(reason, data) {
+    super(reason);
+    this.data =
+      data ||
+      ethers.concat([
+        "0x08c379a0",
+        ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]),
+      ]);
+  }
+}
+
+const rpcError = (code, message, data) =>
+  Object.assign(new Error(message), { rpcCode: code, rpcData: data });
+
+const sameAddress = (a, b) =>
+  Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const toQuantity = (value) => ethers.toQuantity(value);
+
+const toTokens = (value) =>
+  typeof value === "bigint" ? value : ethers.parseEther(String(value));
+
+// Deterministic user addresses so tests can refer to users by index
+export const simulatedUserAddress = (index) =>
+  ethers.getAddress(ethers.toBeHex(0x1000 + index, 20));
+
+// In-process stand-in for the SafeMint contract and the chain it lives on,
+// answering JSON-RPC requests through `transport` so the real provider,
+// wallet and transaction manager run unchanged on top of it.
+//
+// `claimable` is the token amount owed to each user, or a function of the
+// user index. Stakes of `expiredIndices` have already paid out their maximum
+// ROI: calculateClaimAbles still reports their claimable, but distributions
+// pay them nothing. Distributions over a range containing one of
+// `revertingIndices` revert, the first `droppedTransactions` broadcasts are
+// accepted but never mined, and transactions are mined
+// `confirmationDelayMs` after they are sent. Paid stakes get their
+// lasClaimTime set to the time of the distribution.
+export const createSimulatedSafeMint = ({
+  abi,
+  contractAddress,
+  owner,
+  chainId = 1337,
+  userCount = 100,
+  claimable = "1",
+  contractBalance = null,
+  revertingIndices = [],
+  expiredIndices = [],
+  confirmationDelayMs = 1000,
+  droppedTransactions = 0,
+  gasPriceGwei = "1",
+  walletBalance = "10",
+  multicallAddress = MULTICALL3_ADDRESS,
+}) => {
+  const contractInterface = new ethers.Interface(abi);
+  const settings = {
+    revertingIndices: new Set(revertingIndices),
+    uncreditedIndices: new Set(),
+    confirmationDelayMs,
+    droppedTransactions,
+    gasPrice: ethers.parseUnits(String(gasPriceGwei), "gwei"),
+  };
+
+  const contract = {
+    owner: ethers.getAddress(owner),
+    distributor: ethers.getAddress(owner),
+    balance: 0n,
+    directIncome: 500n,
+    roiPercent: [50n, 75n, 100n],
+  };
+  const users = [];
+  const usersByAddress = new Map();
+
+  const balances = new Map([[owner.toLowerCase(), ethers.parseEther(String(walletBalance))]]);
+  const minedNonces = new Map();
+  // Sent but not yet mined, keyed by "<from>:<nonce>"
+  const pending = new Map();
+  const transactions = new Map();
+  const blocks = [];
+
+  const claimableFor =
+    typeof claimable === "function" ? claimable : () => claimable;
+
+  const newBlock = (transactionHashes = [], logs = [], gasUsed = 0n) => {
+    const number = blocks.length;
+    const block = {
+      number,
+      hash: ethers.id(`simulated-block:${number}`),
+      parentHash: number > 0 ? blocks[number - 1].hash : ethers.ZeroHash,
+      timestamp: Math.floor(Date.now() / 1000),
+      transactions: transactionHashes,
+      gasUsed,
+      logs: logs.map((log, logIndex) => ({
+        ...log,
+        blockNumber: number,
+        logIndex,
+      })),
+    };
+    blocks.push(block);
+    return block;
+  };
+
+  const eventLog = (name, args) => {
+    const { data, topics } = contractInterface.encodeEventLog(name, args);
+    return { address: contractAddress, data, topics };
+  };
+
+  // Register users as if they had each bought one package; the logs land
+  // in block 1 so the event indexer has something to read
+  const addUsers = (count) => {
+    const logs = [];
+    for (let n = 0; n < count; n++) {
+      const index = users.length;
+      const packageIndex = index % PACKAGE_PRICES.length;
+      const price = PACKAGE_PRICES[packageIndex];
+      const user = {
+        address: simulatedUserAddress(index),
+        referrer:
+          index === 0 ? ethers.ZeroAddress : users[Math.floor((index - 1) / 2)].address,
+        totalInvestment: price,
+        directBusiness: 0n,
+        totalWithdrawn: 0n,
+        stakes: [
+          {
+            packageIndex: BigInt(packageIndex),
+            lasClaimTime: BigInt(Math.floor(Date.now() / 1000)),
+            rewardClaimed: 0n,
+            claimable: toTokens(claimableFor(index)),
+            maxRoi: (price * MAX_ROI) / 100n,
+          },
+        ],
+      };
+      users.push(user);
+      usersByAddress.set(user.address.toLowerCase(), user);
+      logs.push(eventLog("Registration", [user.address]));
+      logs.push(eventLog("LevelPurchased", [user.address, price]));
+    }
+    return logs;
+  };
+
+  newBlock();
+  newBlock([], addUsers(userCount));
+
+  const isExpired = (stake) => stake.rewardClaimed >= stake.maxRoi;
+
+  const expireStakes = (index) => {
+    const user = users[index];
+    for (const stake of user.stakes) {
+      user.totalWithdrawn += stake.maxRoi - stake.rewardClaimed;
+      stake.rewardClaimed = stake.maxRoi;
+    }
+  };
+  expiredIndices.forEach(expireStakes);
+
+  // What a distribution would pay the user at `index`
+  const payableAmount = (index) =>
+    users[index].stakes
+      .filter((stake) => !isExpired(stake))
+      .reduce((sum, stake) => sum + stake.claimable, 0n);
+
+  const totalClaimable = (from = 0, to = users.length - 1) => {
+    let total = 0n;
+    for (let index = from; index <= to; index++) total += payableAmount(index);
+    return total;
+  };
+
+  // Twice what is owed unless configured, so solvency checks pass
+  contract.balance =
+    contractBalance === null ? totalClaimable() * 2n : toTokens(contractBalance);
+
+  const emptyStake = {
+    packageIndex: 0n,
+    lasClaimTime: 0n,
+    rewardClaimed: 0n,
+    claimable: 0n,
+    maxRoi: 0n,
+  };
+
+  const stakeOf = (account, index) => {
+    const user = usersByAddress.get(account.toLowerCase());
+    return (user && user.stakes[Number(index)]) || emptyStake;
+  };
+
+  const requireOwner = (from) => {
+    if (!sameAddress(from, contract.owner)) {
+      throw new Revert(
+        "OwnableUnauthorizedAccount",
+        contractInterface.encodeErrorResult("OwnableUnauthorizedAccount", [
+          from || ethers.ZeroAddress,
+        ])
+      );
+    }
+  };
+
+  // Contract functions. Views return their output values; writes only
+  // change state when `commit` is set (mined transactions, not calls or
+  // gas estimates) and return the gas they use.
+  const functions = {
+    owner: () => ({ values: [contract.owner] }),
+    distributor: () => ({ values: [contract.distributor] }),
+    getUSersLengh: () => ({ values: [BigInt(users.length)] }),
+    uniqueUsers: ([index]) => {
+      if (index >= BigInt(users.length)) throw new Revert("Index out of range");
+      return { values: [users[Number(index)].address] };
+    },
+    userRecord: ([account]) => {
+      const user = usersByAddress.get(account.toLowerCase());
+      return {
+        values: user
+          ? [
+              user.totalInvestment,
+              user.directBusiness,
+              user.referrer,
+              0n,
+              user.totalWithdrawn,
+              true,
+              BigInt(user.stakes.length),
+            ]
+          : [0n, 0n, ethers.ZeroAddress, 0n, 0n, false, 0n],
+      };
+    },
+    stakeRecord: ([account, index]) => {
+      const stake = stakeOf(account, index);
+      return {
+        values: [
+          stake.packageIndex,
+          stake.lasClaimTime,
+          stake.rewardClaimed,
+          stake.claimable,
+          stake.maxRoi,
+        ],
+      };
+    },
+    calculateClaimAbles: ([account, index]) => ({
+      values: [stakeOf(account, index).claimable],
+    }),
+    getUserReferrers: ([account]) => {
+      const referrers = [];
+      let user = usersByAddress.get(account.toLowerCase());
+      while (user && user.referrer !== ethers.ZeroAddress && referrers.length < 10) {
+        referrers.push(user.referrer);
+        user = usersByAddress.get(user.referrer.toLowerCase());
+      }
+      return { values: [referrers, BigInt(referrers.length)] };
+    },
+    getContractBalance: () => ({ values: [contract.balance] }),
+    getallstakereward: () => ({
+      values: [
+        users.reduce(
+          (sum, user) =>
+            sum + user.stakes.reduce((s, stake) => s + stake.rewardClaimed, 0n),
+          0n
+        ),
+      ],
+    }),
+    packagePrice: ([index]) => ({
+      values: [PACKAGE_PRICES[Number(index)] ?? 0n],
+    }),
+    roiPercent: ([index]) => ({
+      values: [contract.roiPercent[Number(index)] ?? 0n],
+    }),
+    percentDivider: () => ({ values: [PERCENT_DIVIDER] }),
+    directIncome: () => ({ values: [contract.directIncome] }),
+    contractPercent: () => ({ values: [0n] }),
+    MAX_ROI: () => ({ values: [MAX_ROI] }),
+
+    distributeRewardsToAll: ([startIndex, endIndex], { from, commit }) => {
+      if (!sameAddress(from, contract.owner) && !sameAddress(from, contract.distributor)) {
+        throw new Revert("Only the distributor can distribute");
+      }
+      if (startIndex > endIndex || endIndex >= BigInt(users.length)) {
+        throw new Revert("Invalid index range");
+      }
+      const [start, end] = [Number(startIndex), Number(endIndex)];
+      for (let index = start; index <= end; index++) {
+        if (settings.revertingIndices.has(index)) {
+          throw new Revert(`Distribution failed for user ${index}`);
+        }
+      }
+      const total = totalClaimable(start, end);
+      if (total > contract.balance) {
+        throw new Revert("Insufficient contract balance");
+      }
+      let gasUsed = DISTRIBUTE_GAS;
+      let paidTotal = 0n;
+      for (let index = start; index <= end; index++) {
+        const user = users[index];
+        const paid =
+          payableAmount(index) > 0n && !settings.uncreditedIndices.has(index);
+        gasUsed += paid ? DISTRIBUTE_GAS_PER_USER : DISTRIBUTE_GAS_PER_EMPTY_USER;
+        if (!commit || !paid) continue;
+        for (const stake of user.stakes) {
+          if (isExpired(stake)) continue;
+          stake.lasClaimTime = BigInt(Math.floor(Date.now() / 1000));
+          stake.rewardClaimed += stake.claimable;
+          user.totalWithdrawn += stake.claimable;
+          paidTotal += stake.claimable;
+          stake.claimable = 0n;
+        }
+      }
+      contract.balance -= paidTotal;
+      return { gasUsed };
+    },
+    updateRoiPercent: ([index, newPercent], { from, commit }) => {
+      requireOwner(from);
+      if (index >= BigInt(contract.roiPercent.length)) {
+        throw new Revert("Invalid package index");
+      }
+      if (commit) contract.roiPercent[Number(index)] = newPercent;
+      return { gasUsed: ADMIN_GAS };
+    },
+    changeDirectPercentage: ([value], { from, commit }) => {
+      requireOwner(from);
+      if (commit) contract.directIncome = value;
+      return { gasUsed: ADMIN_GAS };
+    },
+    updateDistributor: ([distributor], { from, commit }) => {
+      requireOwner(from);
+      if (commit) contract.distributor = distributor;
+      return { gasUsed: ADMIN_GAS };
+    },
+    // Owner withdrawal of surplus tokens
+    liquidity: ([amount], { from, commit }) => {
+      requireOwner(from);
+      if (amount > contract.balance) throw new Revert("Insufficient balance");
+      if (commit) contract.balance -= amount;
+      return { gasUsed: ADMIN_GAS };
+    },
+    transferOwnership: ([newOwner], { from, commit }) => {
+      requireOwner(from);
+      if (newOwner === ethers.ZeroAddress) {
+        throw new Revert(
+          "OwnableInvalidOwner",
+          contractInterface.encodeErrorResult("OwnableInvalidOwner", [newOwner])
+        );
+      }
+      const logs = [eventLog("OwnershipTransferred", [contract.owner, newOwner])];
+      if (commit) contract.owner = newOwner;
+      return { gasUsed: ADMIN_GAS, logs };
+    },
+  };
+
+  // Run a call against the simulated chain. Returns the encoded result,
+  // the gas used and any logs; throws Revert.
+  const execute = ({ from, to, data = "0x" }, { commit = false } = {}) => {
+    if (sameAddress(to, multicallAddress)) {
+      const [calls] = MULTICALL3_INTERFACE.decodeFunctionData("aggregate3", data);
+      const results = calls.map(([target, allowFailure, callData]) => {
+        try {
+          return [true, execute({ from: multicallAddress, to: target, data: callData }).result];
+        } catch (error) {
+          if (!(error instanceof Revert) || !allowFailure) throw error;
+          return [false, error.data];
+        }
+      });
+      return {
+        result: MULTICALL3_INTERFACE.encodeFunctionResult("aggregate3", [results]),
+        gasUsed: BASE_GAS,
+        logs: [],
+      };
+    }
+    if (!sameAddress(to, contractAddress)) {
+      return { result: "0x", gasUsed: BASE_GAS, logs: [] };
+    }
+
+    const parsed = contractInterface.parseTransaction({ data });
+    if (!parsed || !functions[parsed.name]) {
+      throw new Revert(`${parsed ? parsed.name : data.slice(0, 10)} is not simulated`);
+    }
+    const { values = [], gasUsed = BASE_GAS, logs = [] } = functions[parsed.name](
+      parsed.args,
+      { from, commit }
+    );
+    return {
+      result: contractInterface.encodeFunctionResult(parsed.fragment, values),
+      gasUsed: BASE_GAS + gasUsed,
+      logs,
+    };
+  };
+
+  const nonceOf = (account) => minedNonces.get(account.toLowerCase()) || 0;
+  const balanceOf = (account) => balances.get(account.toLowerCase()) || 0n;
+
+  const pendingNonceOf = (account) => {
+    let nonce = nonceOf(account);
+    while (pending.has(`${account.toLowerCase()}:${nonce}`)) nonce++;
+    return nonce;
+  };
+
+  const mineTransaction = (hash) => {
+    const record = transactions.get(hash);
+    const { tx } = record;
+    const call = { from: tx.from, to: tx.to, data: tx.data };
+    let status = 1;
+    let gasUsed;
+    let logs = [];
+    try {
+      // Check the gas first so an out-of-gas transaction changes nothing
+      ({ gasUsed } = execute(call));
+      if (gasUsed > tx.gasLimit) {
+        status = 0;
+        gasUsed = tx.gasLimit;
+      } else {
+        ({ gasUsed, logs } = execute(call, { commit: true }));
+      }
+    } catch (error) {
+      if (!(error instanceof Revert)) throw error;
+      status = 0;
+      gasUsed = REVERTED_GAS < tx.gasLimit ? REVERTED_GAS : tx.gasLimit;
+    }
+
+    const from = tx.from.toLowerCase();
+    balances.set(from, balanceOf(from) - gasUsed * tx.gasPrice - tx.value);
+    minedNonces.set(from, tx.nonce + 1);
+
+    const block = newBlock(
+      [hash],
+      logs.map((log) => ({ ...log, transactionHash: hash })),
+      gasUsed
+    );
+    record.blockNumber = block.number;
+    record.receipt = { status, gasUsed, logs: block.logs };
+  };
+
+  // Mine the sender's transactions in nonce order, stopping at the first
+  // one whose confirmation delay has not passed yet
+  const mineReady = (from) => {
+    for (;;) {
+      const key = `${from}:${nonceOf(from)}`;
+      const entry = pending.get(key);
+      if (!entry || !entry.ready) return;
+      pending.delete(key);
+      mineTransaction(entry.hash);
+    }
+  };
+
+  const sendRawTransaction = (raw) => {
+    const tx = ethers.Transaction.from(raw);
+    if (tx.chainId !== BigInt(chainId)) {
+      throw rpcError(-32000, "invalid chain id for signer");
+    }
+    const from = tx.from.toLowerCase();
+    if (tx.nonce < nonceOf(from)) throw rpcError(-32000, "nonce too low");
+    const gasPrice = tx.gasPrice ?? tx.maxFeePerGas;
+    if (balanceOf(from) < tx.gasLimit * gasPrice + tx.value) {
+      throw rpcError(-32000, "insufficient funds for gas * price + value");
+    }
+
+    const key = `${from}:${tx.nonce}`;
+    const existing = pending.get(key);
+    if (existing) {
+      if (existing.hash === tx.hash) return tx.hash;
+      if (gasPrice * 100n < existing.gasPrice * REPLACEMENT_BUMP_PERCENT) {
+        throw rpcError(-32000, "replacement transaction underpriced");
+      }
+      clearTimeout(existing.timer);
+      pending.delete(key);
+    }
+
+    if (settings.droppedTransactions > 0) {
+      settings.droppedTransactions--;
+      return tx.hash;
+    }
+
+    transactions.set(tx.hash, { tx, blockNumber: null, receipt: null });
+    const entry = { hash: tx.hash, gasPrice, ready: false, timer: null };
+    entry.timer = setTimeout(() => {
+      entry.ready = true;
+      mineReady(from);
+    }, settings.confirmationDelayMs);
+    // Never keep the process alive for a transaction nobody waits on
+    entry.timer.unref();
+    pending.set(key, entry);
+    return tx.hash;
+  };
+
+  const resolveBlock = (tag) => {
+    if (tag === "latest" || tag === "pending" || tag === "safe" || tag === "finalized" || tag === undefined) {
+      return blocks[blocks.length - 1];
+    }
+    if (tag === "earliest") return blocks[0];
+    return blocks[Number(tag)] || null;
+  };
+
+  const formatBlock = (block) =>
+    block && {
+      hash: block.hash,
+      parentHash: block.parentHash,
+      number: toQuantity(block.number),
+      timestamp: toQuantity(block.timestamp),
+      nonce: "0x0000000000000000",
+      difficulty: "0x0",
+      gasLimit: toQuantity(BLOCK_GAS_LIMIT),
+      gasUsed: toQuantity(block.gasUsed),
+      miner: ethers.ZeroAddress,
+      extraData: "0x",
+      transactions: block.transactions,
+    };
+
+  const formatLog = (log) => ({
+    address: log.address,
+    topics: log.topics,
+    data: log.data,
+    blockNumber: toQuantity(log.blockNumber),
+    blockHash: blocks[log.blockNumber].hash,
+    transactionHash: log.transactionHash || ethers.ZeroHash,
+    transactionIndex: "0x0",
+    logIndex: toQuantity(log.logIndex),
+    removed: false,
+  });
+
+  const formatTransaction = (record) => {
+    const { tx, blockNumber } = record;
+    return {
+      hash: tx.hash,
+      type: toQuantity(tx.type),
+      from: tx.from,
+      to: tx.to,
+      nonce: toQuantity(tx.nonce),
+      gas: toQuantity(tx.gasLimit),
+      gasPrice: toQuantity(tx.gasPrice ?? tx.maxFeePerGas),
+      input: tx.data,
+      value: toQuantity(tx.value),
+      chainId: toQuantity(tx.chainId),
+      blockNumber: blockNumber === null ? null : toQuantity(blockNumber),
+      blockHash: blockNumber === null ? null : blocks[blockNumber].hash,
+      transactionIndex: blockNumber === null ? null : "0x0",
+      r: tx.signature.r,
+      s: tx.signature.s,
+      v: toQuantity(tx.signature.v),
+    };
+  };
+
+  const formatReceipt = (record) => {
+    const { tx, blockNumber, receipt } = record;
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: "0x0",
+      blockHash: blocks[blockNumber].hash,
+      blockNumber: toQuantity(blockNumber),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      cumulativeGasUsed: toQuantity(receipt.gasUsed),
+      gasUsed: toQuantity(receipt.gasUsed),
+      effectiveGasPrice: toQuantity(tx.gasPrice ?? tx.maxFeePerGas),
+      logs: receipt.logs.map(formatLog),
+      logsBloom: `0x${"00".repeat(256)}`,
+      status: toQuantity(receipt.status),
+      type: toQuantity(tx.type),
+    };
+  };
+
+  const topicMatches = (filter, topic) =>
+    filter === null ||
+    filter === undefined ||
+    (Array.isArray(filter)
+      ? filter.some((f) => f.toLowerCase() === topic.toLowerCase())
+      : filter.toLowerCase() === topic.toLowerCase());
+
+  const getLogs = ({ address, topics = [], fromBlock, toBlock }) => {
+    const from = fromBlock === undefined ? 0 : resolveBlock(fromBlock).number;
+    const to = (resolveBlock(toBlock) || blocks[blocks.length - 1]).number;
+    const addresses = address ? [].concat(address) : null;
+    return blocks
+      .slice(from, to + 1)
+      .flatMap((block) => block.logs)
+      .filter(
+        (log) =>
+          (!addresses || addresses.some((a) => sameAddress(a, log.address))) &&
+          topics.every((filter, i) => log.topics[i] && topicMatches(filter, log.topics[i]))
+      )
+      .map(formatLog);
+  };
+
+  const methods = {
+    eth_chainId: () => toQuantity(chainId),
+    net_version: () => String(chainId),
+    eth_blockNumber: () => toQuantity(blocks.length - 1),
+    eth_gasPrice: () => toQuantity(settings.gasPrice),
+    eth_getBalance: ([account]) => toQuantity(balanceOf(account)),
+    eth_getCode: ([account]) =>
+      sameAddress(account, contractAddress) || sameAddress(account, multicallAddress)
+        ? "0x600160005260206000f3"
+        : "0x",
+    eth_getTransactionCount: ([account, tag]) =>
+      toQuantity(tag === "pending" ? pendingNonceOf(account) : nonceOf(account)),
+    eth_getBlockByNumber: ([tag]) => formatBlock(resolveBlock(tag)),
+    eth_getBlockByHash: ([hash]) =>
+      formatBlock(blocks.find((block) => block.hash === hash) || null),
+    eth_call: ([call]) => execute(call).result,
+    eth_estimateGas: ([call]) => toQuantity(execute(call).gasUsed),
+    eth_sendRawTransaction: ([raw]) => sendRawTransaction(raw),
+    eth_getTransactionByHash: ([hash]) => {
+      const record = transactions.get(hash);
+      return record ? formatTransaction(record) : null;
+    },
+    eth_getTransactionReceipt: ([hash]) => {
+      const record = transactions.get(hash);
+      return record && record.receipt ? formatReceipt(record) : null;
+    },
+    eth_getLogs: ([filter]) => getLogs(filter),
+  };
+
+  const handle = (call) => {
+    const method = methods[call.method];
+    try {
+      if (!method) {
+        throw rpcError(-32601, `the method ${call.method} does not exist/is not available`);
+      }
+      return { jsonrpc: "2.0", id: call.id, result: method(call.params || []) };
+    } catch (error) {
+      if (error instanceof Revert) {
+        return {
+          jsonrpc: "2.0",
+          id: call.id,
+          error: { code: 3, message: `execution reverted: ${error.message}`, data: error.data },
+        };
+      }
+      return {
+        jsonrpc: "2.0",
+        id: call.id,
+        error: {
+          code: error.rpcCode ?? -32603,
+          message: error.message,
+          ...(error.rpcData && { data: error.rpcData }),
+        },
+      };
+    }
+  };
+
+  // JSON-RPC transport for createRpcPool: takes one request or a batch and
+  // resolves to the list of responses
+  const transport = async (payload) =>
+    (Array.isArray(payload) ? payload : [payload]).map(handle);
+
+  return {
+    transport,
+    chainId,
+    contractAddress,
+    // Test controls
+    setRevertingIndices: (indices) => {
+      settings.revertingIndices = new Set(indices);
+    },
+    // Users a distribution skips without reverting
+    setUncreditedIndices: (indices) => {
+      settings.uncreditedIndices = new Set(indices);
+    },
+    dropNextTransactions: (count) => {
+      settings.droppedTransactions = count;
+    },
+    setConfirmationDelay: (ms) => {
+      settings.confirmationDelayMs = ms;
+    },
+    setGasPrice: (gwei) => {
+      settings.gasPrice = ethers.parseUnits(String(gwei), "gwei");
+    },
+    setContractBalance: (tokens) => {
+      contract.balance = toTokens(tokens);
+    },
+    setWalletBalance: (account, bnb) => {
+      balances.set(account.toLowerCase(), ethers.parseEther(String(bnb)));
+    },
+    setClaimable: (index, tokens) => {
+      users[index].stakes[0].claimable = toTokens(tokens);
+    },
+    expireStakes,
+    addUsers: (count) => newBlock([], addUsers(count)),
+    // Inspection
+    getUser: (index) => users[index],
+    getTotalClaimable: () => totalClaimable(),
+    getContractBalance: () => contract.balance,
+    getOwner: () => contract.owner,
+    getBlockNumber: () => blocks.length - 1,
+    getPendingCount: () => pending.size,
+    getMinedTransactions: () =>
+      [...transactions.values()]
+        .filter((record) => record.receipt)
+        .map((record) => ({
+          hash: record.tx.hash,
+          nonce: record.tx.nonce,
+          data: record.tx.data,
+          status: record.receipt.status,
+          blockNumber: record.blockNumber,
+        })),
+  };
+};
@@ -0,0 +1,215 @@
+import { ethers } from "ethers";
+import { logger } from "./logger.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ethers answers repeated identical requests from a cache for 250ms
+const PROVIDER_CACHE_MS = 300;
+
+// Sends transactions from the distributor wallet with nonces it tracks
+// itself, and replaces transactions that sit unmined past a threshold with a
+// higher gas price on the same nonce. Signed transactions go out through
+// `broadcast` when given (e.g. the healthiest RPC endpoint), otherwise
+// through the provider; `getPendingNonce` should ask that same node.
+export const createTransactionManager = ({
+  wallet,
+  provider,
+  broadcast: broadcastSigned = (signed) => provider.broadcastTransaction(signed),
+  getPendingNonce = () =>
+    provider.getTransactionCount(wallet.address, "pending"),
+  stuckAfterMs = 90000,
+  confirmationTimeoutMs = 900000,
+  pollIntervalMs = 4000,
+  bumpPercent = 15,
+  maxGasPrice,
+  maxReplacements = 5,
+}) => {
+  let nextNonce = null;
+
+  // Hand out nonces locally so back-to-back sends never collide. The counter
+  // is synced from the node on first use and after a failed send.
+  const reserveNonce = async () => {
+    if (nextNonce === null) {
+      nextNonce = await getPendingNonce();
+    }
+    return nextNonce++;
+  };
+
+  const resyncNonce = () => {
+    nextNonce = null;
+  };
+
+  const currentGasPrice = async () => {
+    const feeData = await provider.getFeeData();
+    let gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+    if (maxGasPrice && gasPrice > maxGasPrice) {
+      logger.warn("Network gas price is above the configured cap", {
+        gasPrice,
+        maxGasPrice,
+      });
+      gasPrice = maxGasPrice;
+    }
+    return gasPrice;
+  };
+
+  // `onSigned` sees the attempt and nonce before anything is broadcast
+  const broadcast = async (tracked, gasPrice, onSigned) => {
+    const populated = await wallet.populateTransaction({
+      ...tracked.request,
+      nonce: tracked.nonce,
+      gasPrice,
+    });
+    const signed = await wallet.signTransaction(populated);
+    const attempt = {
+      hash: ethers.keccak256(signed),
+      gasPrice: gasPrice.toString(),
+      sentAt: Date.now(),
+    };
+    if (onSigned) onSigned(attempt, tracked.nonce);
+    const tx = await broadcastSigned(signed);
+    tracked.attempts.push(attempt);
+    return tx;
+  };
+
+  // Send a populated transaction request. Pass `nonce` to reuse a nonce
+  // whose earlier transaction was dropped. `onSigned(attempt, nonce)` is
+  // called once the transaction is signed and before it is broadcast, so
+  // the caller can record the hash and nonce of a transaction that may go
+  // out even if this process stops or the broadcast reports an error.
+  const send = async (request, { nonce = null, onSigned } = {}) => {
+    const explicitNonce = nonce !== null;
+    const tracked = {
+      request,
+      nonce: explicitNonce ? nonce : await reserveNonce(),
+      attempts: [],
+    };
+
+    try {
+      await broadcast(tracked, await currentGasPrice(), onSigned);
+    } catch (error) {
+      if (!explicitNonce) resyncNonce();
+      throw error;
+    }
+    return tracked;
+  };
+
+  // Pick up a transaction sent by an earlier process so it can be waited on
+  // and replaced like one sent by this one
+  const track = ({ request, nonce, hashes, gasPrice }) => ({
+    request,
+    nonce,
+    attempts: hashes.map((hash) => ({
+      hash,
+      gasPrice: gasPrice || "0",
+      sentAt: 0,
+    })),
+  });
+
+  const latestHash = (tracked) =>
+    tracked.attempts[tracked.attempts.length - 1].hash;
+
+  const findReceipt = async (tracked) => {
+    for (const attempt of tracked.attempts) {
+      const receipt = await provider.getTransactionReceipt(attempt.hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  };
+
+  // Next gas price for a replacement, or null once the cap is reached.
+  // Nodes only accept a replacement priced at least 10% above the original.
+  const nextGasPrice = async (tracked) => {
+    const last = BigInt(tracked.attempts[tracked.attempts.length - 1].gasPrice);
+    const bumped = (last * BigInt(100 + Math.max(bumpPercent, 10))) / 100n;
+    const network = (await provider.getFeeData()).gasPrice ?? 0n;
+    const price = bumped > network ? bumped : network;
+    if (maxGasPrice && price > maxGasPrice) return null;
+    return price;
+  };
+
+  // Poll every hash sent for this nonce until one is mined. Stuck
+  // transactions are resubmitted with a higher gas price; `onReplacement`
+  // is called with each new hash. Reverted receipts are returned as well.
+  const waitForConfirmation = async (tracked, { onReplacement } = {}) => {
+    const startedAt = Date.now();
+    let lastSentAt = Math.max(
+      startedAt,
+      ...tracked.attempts.map((a) => a.sentAt)
+    );
+    let capReached = false;
+
+    while (Date.now() - startedAt < confirmationTimeoutMs) {
+      let receipt, minedNonce;
+      try {
+        receipt = await findReceipt(tracked);
+        minedNonce = await provider.getTransactionCount(
+          wallet.address,
+          "latest"
+        );
+      } catch (error) {
+        // A flaky read must not abandon a transaction that may be mined
+        logger.warn("Confirmation check failed, retrying", { error });
+        await sleep(pollIntervalMs);
+        continue;
+      }
+      if (receipt) return receipt;
+
+      // The nonce was used by a transaction we did not send. Ours may also
+      // have been mined between the two reads above, with the receipt read
+      // still cached as missing, so look again once the cache has expired.
+      if (minedNonce > tracked.nonce) {
+        await sleep(PROVIDER_CACHE_MS);
+        const lateReceipt = await findReceipt(tracked);
+        if (lateReceipt) return lateReceipt;
+        const error = new Error(
+          `Nonce ${tracked.nonce} was consumed by another transaction`
+        );
+        error.code = "NONCE_CONSUMED";
+        throw error;
+      }
+
+      const stuck = Date.now() - lastSentAt >= stuckAfterMs;
+      const replacements = tracked.attempts.length - 1;
+      if (stuck && !capReached && replacements < maxReplacements) {
+        const gasPrice = await nextGasPrice(tracked);
+        if (gasPrice === null) {
+          capReached = true;
+          logger.warn(
+            "Transaction is stuck but the gas price cap has been reached",
+            { txHash: latestHash(tracked) }
+          );
+        } else {
+          logger.warn("Transaction is stuck, replacing it", {
+            txHash: latestHash(tracked),
+            stuckSeconds: Math.round((Date.now() - lastSentAt) / 1000),
+            gasPrice,
+            nonce: tracked.nonce,
+          });
+          try {
+            const tx = await broadcast(tracked, gasPrice);
+            lastSentAt = Date.now();
+            if (onReplacement) onReplacement(tx.hash, gasPrice);
+          } catch (error) {
+            // Usually the original got mined in the meantime; the next
+            // poll will find its receipt
+            logger.warn("Replacement transaction rejected", { error });
+            lastSentAt = Date.now();
+          }
+        }
+      }
+
+      await sleep(pollIntervalMs);
+    }
+
+    const error = new Error("Transaction confirmation timeout");
+    error.code = "CONFIRMATION_TIMEOUT";
+    throw error;
+  };
+
+  return {
+    send,
+    track,
+    waitForConfirmation,
+    resyncNonce,
+  };
+};
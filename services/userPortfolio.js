@@ -0,0 +1,85 @@
+import { ethers } from "ethers";
+
+const amount = (value) => ({
+  value: value.toString(),
+  formatted: ethers.formatEther(value),
+});
+
+// Everything the contract knows about one user, read in parallel: the user
+// record, each stake with its package details and live claimable amount,
+// and the referral upline. Returns null for unregistered addresses.
+export const readUserPortfolio = async (contract, address) => {
+  const [record, [referrers, referrerCount], percentDivider] =
+    await Promise.all([
+      contract.userRecord(address),
+      contract.getUserReferrers(address),
+      contract.percentDivider(),
+    ]);
+  if (!record.isRegistered) return null;
+
+  const stakeCount = Number(record.stakeCount);
+  const stakes = await Promise.all(
+    Array.from({ length: stakeCount }, async (_, stakeIndex) => {
+      const [stake, claimable] = await Promise.all([
+        contract.stakeRecord(address, stakeIndex),
+        contract.calculateClaimAbles(address, stakeIndex),
+      ]);
+      return { stakeIndex, stake, claimable };
+    })
+  );
+
+  // Several stakes usually share a package, so read each package once
+  const packageIndices = [
+    ...new Set(stakes.map(({ stake }) => stake.packageIndex)),
+  ];
+  const packages = new Map(
+    await Promise.all(
+      packageIndices.map(async (packageIndex) => {
+        const [price, roiPercent] = await Promise.all([
+          contract.packagePrice(packageIndex),
+          contract.roiPercent(packageIndex),
+        ]);
+        return [packageIndex, { price, roiPercent }];
+      })
+    )
+  );
+
+  return {
+    address,
+    referrer: record.referrer === ethers.ZeroAddress ? null : record.referrer,
+    totalInvestment: amount(record.totalInvestment),
+    totalWithdrawn: amount(record.totalWithdrawn),
+    directBusiness: amount(record.directBusiness),
+    referrerBonus: amount(record.referrerBonus),
+    stakeCount,
+    totalClaimable: amount(
+      stakes.reduce((sum, { claimable }) => sum + claimable, 0n)
+    ),
+    stakes: stakes.map(({ stakeIndex, stake, claimable }) => {
+      const pkg = packages.get(stake.packageIndex);
+      return {
+        stakeIndex,
+        packageIndex: Number(stake.packageIndex),
+        packagePrice: amount(pkg.price),
+        roiPercent: pkg.roiPercent.toString(),
+        lastClaimTime: Number(stake.lasClaimTime),
+        lastClaimAt:
+          stake.lasClaimTime > 0n
+            ? new Date(Number(stake.lasClaimTime) * 1000).toISOString()
+            : null,
+        rewardClaimed: amount(stake.rewardClaimed),
+        storedClaimable: amount(stake.claimable),
+        claimable: amount(claimable),
+        maxRoi: amount(stake.maxRoi),
+        // Share of the stake's maximum return already paid out
+        maxRoiProgressPercent:
+          stake.maxRoi > 0n
+            ? Number((stake.rewardClaimed * 10000n) / stake.maxRoi) / 100
+            : 0,
+      };
+    }),
+    upline: referrers.filter((referrer) => referrer !== ethers.ZeroAddress),
+    uplineDepth: Number(referrerCount),
+    percentDivider: percentDivider.toString(),
+  };
+};
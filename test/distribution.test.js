@@ -0,0 +1,427 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { startTestServer, waitFor } from "./helpers.js";
+
+const server = await startTestServer();
+const { target, distributeRewardsInBatches, request } = server;
+const { simulator, runJournal } = target;
+const USERS = 40;
+const ONE = ethers.parseEther("1");
+
+after(server.close);
+
+const claimableOf = (index) => simulator.getUser(index).stakes[0].claimable;
+
+const startRun = () => {
+  const run = runJournal.createRun({ trigger: "test" });
+  return { run, completion: distributeRewardsInBatches(target, run.id) };
+};
+
+const distribute = async () => {
+  const { run, completion } = startRun();
+  const summary = await completion;
+  return { run: runJournal.getRun(run.id), summary };
+};
+
+const ranges = (run) => run.batches.map((b) => [b.startIndex, b.endIndex]);
+
+const resetSimulator = () => {
+  simulator.setRevertingIndices([]);
+  simulator.setUncreditedIndices([]);
+  simulator.dropNextTransactions(0);
+  simulator.setConfirmationDelay(20);
+  simulator.setContractBalance("100");
+  simulator.setWalletBalance(target.wallet.address, "10");
+  for (let index = 0; index < USERS; index++) simulator.setClaimable(index, "1");
+};
+
+// Fixed BATCH_SIZE windows keep the batch loop's behaviour easy to follow
+describe("distributeRewardsInBatches", () => {
+  beforeEach(() => {
+    target.config.BATCH_PLANNING = "fixed";
+    resetSimulator();
+  });
+
+  test("pays every user in planned batches", async () => {
+    const { run, summary } = await distribute();
+
+    assert.equal(run.status, "completed");
+    assert.equal(summary.successCount, 4);
+    assert.deepEqual(
+      run.batches.map((b) => [b.startIndex, b.endIndex, b.status]),
+      [
+        [0, 9, "confirmed"],
+        [10, 19, "confirmed"],
+        [20, 29, "confirmed"],
+        [30, 39, "confirmed"],
+      ]
+    );
+    for (const batch of run.batches) {
+      assert.ok(batch.txHash);
+      assert.ok(BigInt(batch.gasUsed) > 0n);
+      assert.ok(BigInt(batch.effectiveGasPrice) > 0n);
+    }
+    for (let index = 0; index < USERS; index++) {
+      assert.equal(claimableOf(index), 0n);
+    }
+    assert.equal(simulator.getContractBalance(), ethers.parseEther("60"));
+    assert.ok(run.preflight.solvency.passed);
+    assert.ok(run.preflight.funding.passed);
+  });
+
+  test("isolates a reverting user by splitting its batch", async () => {
+    simulator.setRevertingIndices([13]);
+    const { run, summary } = await distribute();
+
+    assert.equal(run.status, "partial");
+    assert.deepEqual(
+      summary.isolatedIndices.map((i) => i.index),
+      [13]
+    );
+    assert.equal(run.batches.find((b) => b.label === "2").status, "split");
+    assert.equal(claimableOf(13), ONE);
+    for (const index of [10, 12, 14, 19]) {
+      assert.equal(claimableOf(index), 0n);
+    }
+  });
+
+  test("splits a batch whose transaction reverts when mined", async () => {
+    simulator.setConfirmationDelay(300);
+    const { run, completion } = startRun();
+    // The range estimates fine, then starts reverting before it is mined
+    await waitFor(() => runJournal.getRun(run.id).batches[0]?.status === "submitted");
+    simulator.setRevertingIndices([3]);
+    simulator.setConfirmationDelay(20);
+    const summary = await completion;
+
+    const [first] = runJournal.getRun(run.id).batches;
+    assert.equal(first.status, "split");
+    assert.equal(first.error, "Transaction reverted");
+    assert.ok(first.gasUsed, "the reverted transaction still paid gas");
+    assert.deepEqual(
+      summary.isolatedIndices.map((i) => i.index),
+      [3]
+    );
+    assert.equal(claimableOf(3), ONE);
+    assert.equal(claimableOf(4), 0n);
+  });
+
+  test("replaces a transaction the network dropped", async () => {
+    simulator.dropNextTransactions(1);
+    const { run } = await distribute();
+
+    assert.equal(run.status, "completed");
+    const [first] = run.batches;
+    assert.equal(first.replacedTxHashes.length, 1);
+    assert.notEqual(first.replacedTxHashes[0], first.txHash);
+    assert.ok(BigInt(first.gasPrice) > ethers.parseUnits("1", "gwei"));
+    assert.equal(claimableOf(0), 0n);
+  });
+
+  test("stops at an unconfirmed batch and finishes it on resume", async () => {
+    simulator.setConfirmationDelay(60000);
+    const { run: stopped } = await distribute();
+
+    assert.equal(stopped.batches[0].status, "submitted");
+    assert.ok(stopped.batches.slice(1).every((b) => b.status === "pending"));
+    assert.ok(runJournal.isResumable(stopped));
+    assert.equal(claimableOf(0), ONE);
+
+    simulator.setConfirmationDelay(20);
+    await distributeRewardsInBatches(target, stopped.id);
+    const resumed = runJournal.getRun(stopped.id);
+
+    assert.equal(resumed.status, "completed");
+    assert.equal(resumed.resumeCount, 1);
+    // Batch 1 was mined once, through a replacement of the stuck transaction
+    const distributions = simulator
+      .getMinedTransactions()
+      .filter((tx) => tx.nonce === resumed.batches[0].nonce);
+    assert.equal(distributions.length, 1);
+    for (let index = 0; index < USERS; index++) {
+      assert.equal(claimableOf(index), 0n);
+    }
+  });
+
+  test("journals a batch before broadcasting it, so a lost answer is not paid twice", async () => {
+    const { rpcPool } = target;
+    const { broadcastTransaction } = rpcPool;
+    // The node takes the first transaction but its answer never arrives
+    rpcPool.broadcastTransaction = async (signed) => {
+      rpcPool.broadcastTransaction = broadcastTransaction;
+      await broadcastTransaction.call(rpcPool, signed);
+      throw new Error("socket hang up");
+    };
+    const { run: stopped } = await distribute();
+
+    const [first] = stopped.batches;
+    assert.equal(first.status, "submitted");
+    assert.equal(first.error, "socket hang up");
+    assert.ok(first.txHash);
+    assert.ok(runJournal.isResumable(stopped));
+
+    await distributeRewardsInBatches(target, stopped.id);
+    const resumed = runJournal.getRun(stopped.id);
+    assert.equal(resumed.status, "completed");
+    assert.equal(resumed.batches[0].txHash, first.txHash);
+    const distributions = simulator
+      .getMinedTransactions()
+      .filter((tx) => tx.nonce === first.nonce);
+    assert.equal(distributions.length, 1);
+    assert.equal(simulator.getContractBalance(), ethers.parseEther("60"));
+  });
+
+  test("finishes a run whose end can not be recorded", async () => {
+    const { updateRun } = runJournal;
+    runJournal.updateRun = (id, patch) => {
+      if ("bnbUsdRate" in patch) throw new Error("disk full");
+      return updateRun.call(runJournal, id, patch);
+    };
+    try {
+      const { completion } = server.startDistributionRun(target, { trigger: "test" });
+      const summary = await completion;
+      assert.equal(summary.success, true);
+      assert.equal(target.activeRunId, null);
+    } finally {
+      runJournal.updateRun = updateRun;
+    }
+  });
+
+  test("blocks the run when the contract can not cover the claimables", async () => {
+    simulator.setContractBalance("10");
+    const { run, summary } = await distribute();
+
+    assert.equal(run.status, "blocked");
+    assert.equal(summary.blocked, true);
+    assert.equal(run.preflight.solvency.passed, false);
+    assert.ok(run.batches.every((b) => b.status === "pending"));
+    assert.equal(claimableOf(0), ONE);
+  });
+
+  test("blocks the run when the wallet can not pay for gas", async () => {
+    simulator.setWalletBalance(target.wallet.address, "0.0001");
+    const { run } = await distribute();
+
+    assert.equal(run.status, "blocked");
+    assert.equal(run.preflight.funding.passed, false);
+    assert.match(run.preflight.reasons[0], /Wallet holds/);
+  });
+});
+
+// A distribution over n users of which p have something to claim costs
+// 61000 + 25000 * p + 5000 * (n - p) gas in the simulator
+describe("smart batch planning", () => {
+  beforeEach(() => {
+    target.config.BATCH_PLANNING = "smart";
+    target.config.BATCH_GAS_TARGET = 400000;
+    resetSimulator();
+  });
+
+  test("skips long stretches of users with nothing to claim", async () => {
+    for (let index = 10; index < 30; index++) simulator.setClaimable(index, "0");
+    // Short enough to span
+    simulator.setClaimable(33, "0");
+    simulator.setClaimable(34, "0");
+    const { run, summary } = await distribute();
+
+    assert.equal(run.status, "completed");
+    assert.deepEqual(ranges(run), [
+      [0, 9],
+      [30, 39],
+    ]);
+    assert.equal(run.planning.payableUsers, 18);
+    assert.equal(run.planning.skippedUsers, 20);
+    assert.equal(run.planning.naive.batches, 4);
+    assert.equal(run.planning.transactionsSaved, 2);
+    // Naive: 311000 + 111000 + 111000 + 271000, planned: 311000 + 271000
+    assert.equal(run.planning.gasSaved, "222000");
+    assert.equal(summary.gasSavings.estimatedGasSaved, "222000");
+    assert.equal(claimableOf(9), 0n);
+    assert.equal(claimableOf(39), 0n);
+  });
+
+  test("sizes batches by the gas target", async () => {
+    target.config.BATCH_GAS_TARGET = 300000;
+    const { run } = await distribute();
+
+    assert.equal(run.status, "completed");
+    assert.deepEqual(ranges(run), [
+      [0, 8],
+      [9, 17],
+      [18, 26],
+      [27, 35],
+      [36, 39],
+    ]);
+    for (let index = 0; index < USERS; index++) {
+      assert.equal(claimableOf(index), 0n);
+    }
+  });
+
+  test("gives a reverting user a batch of its own", async () => {
+    simulator.setRevertingIndices([13]);
+    const { run, summary } = await distribute();
+
+    assert.equal(run.status, "partial");
+    assert.deepEqual(ranges(run), [
+      [0, 12],
+      [13, 13],
+      [14, 26],
+      [27, 39],
+    ]);
+    assert.equal(summary.splitCount, 0);
+    assert.deepEqual(
+      summary.isolatedIndices.map((i) => i.index),
+      [13]
+    );
+    assert.equal(claimableOf(13), ONE);
+    assert.equal(claimableOf(14), 0n);
+  });
+
+  test("reports the estimated saving apart from the gas a split batch used", async () => {
+    simulator.setConfirmationDelay(300);
+    const { run, completion } = startRun();
+    await waitFor(() => runJournal.getRun(run.id).batches[0]?.status === "submitted");
+    simulator.setRevertingIndices([3]);
+    simulator.setConfirmationDelay(20);
+    const summary = await completion;
+    const finished = runJournal.getRun(run.id);
+    assert.equal(finished.batches[0].status, "split");
+
+    const { gasSavings } = summary;
+    assert.equal(gasSavings.naiveEstimatedGas, finished.planning.naive.estimatedGas);
+    assert.equal(gasSavings.plannedEstimatedGas, finished.planning.estimatedGas);
+    assert.equal(gasSavings.estimatedGasSaved, finished.planning.gasSaved);
+    // The reverted transaction and the halves sent after it all count as used
+    const used = finished.batches
+      .filter((batch) => batch.gasUsed !== null)
+      .reduce((sum, batch) => sum + BigInt(batch.gasUsed), 0n);
+    assert.ok(used > BigInt(finished.planning.estimatedGas));
+    assert.equal(gasSavings.actualGasUsed, used.toString());
+  });
+
+  test("sends nothing when no user has anything to claim", async () => {
+    for (let index = 0; index < USERS; index++) simulator.setClaimable(index, "0");
+    const mined = simulator.getMinedTransactions().length;
+    const { run, summary } = await distribute();
+
+    assert.equal(run.status, "completed");
+    assert.equal(run.batches.length, 0);
+    assert.equal(summary.success, true);
+    assert.equal(run.planning.skippedUsers, USERS);
+    assert.equal(simulator.getMinedTransactions().length, mined);
+  });
+
+  // Late: expired stakes stay expired for the rest of the file
+  test("leaves out stakes that reached their maximum ROI", async () => {
+    for (let index = 0; index < 20; index++) simulator.expireStakes(index);
+    const { run } = await distribute();
+
+    assert.equal(run.planning.expiredStakes, 20);
+    assert.deepEqual(ranges(run), [
+      [20, 32],
+      [33, 39],
+    ]);
+    // The view still reports a claimable the contract would not pay
+    assert.equal(claimableOf(0), ONE);
+    assert.equal(claimableOf(20), 0n);
+  });
+});
+
+describe("reconciliation", () => {
+  beforeEach(() => {
+    target.config.BATCH_PLANNING = "fixed";
+    target.config.RECONCILIATION = true;
+    resetSimulator();
+  });
+
+  // Users 0 to 19 have reached their maximum ROI since smart batch planning
+  test("reports users left uncredited and stakes that reached their maximum ROI", async () => {
+    // User 25 is owed the rest of its maximum ROI
+    const stake = simulator.getUser(25).stakes[0];
+    const rest = stake.maxRoi - stake.rewardClaimed;
+    simulator.setClaimable(25, rest);
+    simulator.setContractBalance(rest + 100n * ONE);
+    // Distributions skip users 32 and 33 without reverting
+    simulator.setUncreditedIndices([32, 33]);
+    const { run } = await distribute();
+    assert.equal(run.status, "completed");
+
+    const { status, body } = await request("GET", `/runs/${run.id}/reconciliation`, {
+      role: "read",
+    });
+    assert.equal(status, 200);
+    assert.equal(body.summary.batches, 4);
+    assert.equal(body.summary.users, USERS);
+    assert.equal(body.summary.credited, 18);
+    assert.equal(body.summary.notAdvanced, 2);
+    assert.equal(body.summary.nothingDue, 20);
+    assert.equal(body.summary.distributed, (rest + 17n * ONE).toString());
+    assert.equal(body.summary.distributedFormatted, ethers.formatEther(rest + 17n * ONE));
+    assert.deepEqual(
+      body.notAdvanced.map((user) => [user.index, user.batch, user.due]),
+      [
+        [32, "4", ONE.toString()],
+        [33, "4", ONE.toString()],
+      ]
+    );
+    assert.deepEqual(
+      body.stakesReachedMaxRoi.map((entry) => [entry.index, entry.stakeIndex]),
+      [[25, 0]]
+    );
+    assert.deepEqual(body.unreconciledBatches, []);
+    assert.equal(body.batches[0].txHash, run.batches[0].txHash);
+    assert.equal(body.batches[0].users, undefined);
+
+    const { body: detail } = await request(
+      "GET",
+      `/runs/${run.id}/reconciliation?detail=users`,
+      { role: "read" }
+    );
+    const [expired] = detail.batches[0].users;
+    assert.equal(expired.status, "nothing_due");
+    const [user] = detail.batches[2].users;
+    assert.equal(user.status, "credited");
+    assert.equal(user.credited, ONE.toString());
+    const { before, after: next } = user.stakes[0];
+    assert.ok(BigInt(next.lasClaimTime) >= BigInt(before.lasClaimTime));
+  });
+
+  test("reads credits at the block that mined the batch", async () => {
+    const { multicall } = target;
+    const blockTags = [];
+    target.multicall = {
+      ...multicall,
+      call: (calls, options = {}) => {
+        blockTags.push(options.blockTag);
+        return multicall.call(calls, options);
+      },
+    };
+    try {
+      const { run } = await distribute();
+      assert.equal(run.status, "completed");
+      for (const batch of run.batches) {
+        assert.ok(blockTags.includes(batch.blockNumber), `batch ${batch.label}`);
+      }
+    } finally {
+      target.multicall = multicall;
+    }
+  });
+
+  test("has no report for runs sent with reconciliation off", async () => {
+    target.config.RECONCILIATION = false;
+    const { run } = await distribute();
+    assert.equal(run.status, "completed");
+
+    const missing = await request("GET", `/runs/${run.id}/reconciliation`, {
+      role: "read",
+    });
+    assert.equal(missing.status, 404);
+    assert.match(missing.body.error, /no reconciliation report/);
+    const unknown = await request("GET", "/runs/unknown/reconciliation", {
+      role: "read",
+    });
+    assert.equal(unknown.status, 404);
+    target.config.RECONCILIATION = true;
+  });
+});
@@ -0,0 +1,160 @@
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { ethers } from "ethers";
+
+// Well-known development key; the simulated contract is owned by it
+export const TEST_PRIVATE_KEY =
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+export const API_SECRETS = {
+  read: "test-read-secret",
+  operator: "test-operator-secret",
+  admin: "test-admin-secret",
+  admin2: "test-admin2-secret",
+};
+
+// Fast timings so retry and timeout paths finish in a second or two
+const TEST_SETTINGS = {
+  CHAIN_ADAPTER: "simulated",
+  SIGNER: "private-key",
+  PRIVATE_KEY: TEST_PRIVATE_KEY,
+  API_KEYS: Object.entries(API_SECRETS)
+    .map(([id, secret]) => `${id}:${id.replace(/\d+$/, "")}:${secret}`)
+    .join(","),
+  RATE_LIMIT_PER_MINUTE: 100000,
+  LOG_LEVEL: "error",
+  BATCH_SIZE: 10,
+  BATCH_DELAY_MS: 0,
+  TX_POLL_INTERVAL_MS: 20,
+  TX_STUCK_TIMEOUT_MS: 300,
+  TX_CONFIRMATION_TIMEOUT_MS: 1500,
+  RPC_HEALTH_INTERVAL_MS: 0,
+  SIMULATOR_USERS: 40,
+  SIMULATOR_CONFIRMATION_DELAY_MS: 20,
+};
+
+// Write a config file for one simulated target, load the server against
+// it, connect the target and listen on a free port. Each test file runs in
+// its own process, so it gets its own server.
+export const startTestServer = async (settings = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "felix9-test-"));
+  const configPath = path.join(dataDir, "config.env");
+  const config = { ...TEST_SETTINGS, DATA_DIR: dataDir, ...settings };
+  fs.writeFileSync(
+    configPath,
+    Object.entries(config)
+      .map(([key, value]) => `${key}=${value}`)
+      .join("\n")
+  );
+  process.env.CONFIG_FILE = configPath;
+
+  const server = await import("../server.js");
+  await server.leader.start();
+  for (const target of server.targets.values()) {
+    await server.startTarget(target);
+  }
+  const listener = server.app.listen(0, "127.0.0.1");
+  await once(listener, "listening");
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  // `role` picks the API key sent with the request
+  const request = async (method, route, { role, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...(role && { "X-API-Key": API_SECRETS[role] }),
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // CSV and Prometheus responses
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  const close = async () => {
+    server.stopTargets();
+    await server.leader.stop();
+    listener.close();
+    await once(listener, "close");
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { ...server, target: server.targets.get("default"), request, close };
+};
+
+// Poll until `check` returns something truthy
+export const waitFor = async (check, { timeoutMs = 10000, intervalMs = 20 } = {}) => {
+  const startedAt = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+};
+
+// Stand-in for a remote signer such as Clef: answers eth_accounts and
+// eth_signTransaction over HTTP with `privateKey`. Set `tamper` to a
+// function to alter transactions before they are signed.
+export const startStandInSigner = async (privateKey = TEST_PRIVATE_KEY) => {
+  const wallet = new ethers.Wallet(privateKey);
+  const signer = { address: wallet.address, requests: [], tamper: null };
+
+  const answer = async ({ method, params }) => {
+    if (method === "eth_accounts") return [wallet.address];
+    if (method !== "eth_signTransaction") throw new Error(`${method} is not supported`);
+    const [tx] = params;
+    const request = {
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: Number(tx.nonce),
+      gasLimit: tx.gas,
+      gasPrice: tx.gasPrice,
+      chainId: tx.chainId,
+      type: tx.type === undefined ? undefined : Number(tx.type),
+    };
+    const raw = await wallet.signTransaction(
+      signer.tamper ? signer.tamper(request) : request
+    );
+    return { raw, tx };
+  };
+
+  const listener = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const call = JSON.parse(body);
+    signer.requests.push(call.method);
+    let response;
+    try {
+      response = { jsonrpc: "2.0", id: call.id, result: await answer(call) };
+    } catch (error) {
+      response = { jsonrpc: "2.0", id: call.id, error: { code: -32000, message: error.message } };
+    }
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(response));
+  });
+  listener.listen(0, "127.0.0.1");
+  await once(listener, "listening");
+
+  signer.url = `http://127.0.0.1:${listener.address().port}`;
+  signer.close = async () => {
+    listener.close();
+    // Keep-alive connections would otherwise hold the listener open
+    listener.closeAllConnections();
+    await once(listener, "close");
+  };
+  return signer;
+};
@@ -0,0 +1,208 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig } from "../services/config.js";
+import {
+  createFileLeaseStore,
+  nodeHasSqlite,
+} from "../services/leaderElection.js";
+import { createProposalStore } from "../services/adminProposals.js";
+import { createRunJournal } from "../services/runJournal.js";
+import { startTestServer, waitFor } from "./helpers.js";
+
+const leaseDir = fs.mkdtempSync(path.join(os.tmpdir(), "felix9-lease-"));
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "felix9-shared-"));
+// Another replica already leads when the server starts, with a run in
+// progress in the data directory they share
+const ghost = createFileLeaseStore({ dir: leaseDir });
+await ghost.tryAcquire("distributor", "ghost", 60000);
+const ghostJournal = createRunJournal({ dataDir });
+const ghostRun = ghostJournal.createRun({ trigger: "cron" });
+ghostJournal.updateRun(ghostRun.id, { status: "running" });
+// and admin transactions it was sending
+const ghostProposals = createProposalStore({ dataDir });
+const proposalIn = (status, txHash = null) =>
+  ghostProposals.create({ action: "liquidity", params: { amount: "1" }, status, txHash }).id;
+const stuckProposals = {
+  confirming: proposalIn("confirming"),
+  confirmed: proposalIn("confirmed"),
+  submitted: proposalIn("submitted", `0x${"ab".repeat(32)}`),
+};
+
+const server = await startTestServer({
+  LEADER_ELECTION: "file",
+  LEADER_LEASE_PATH: leaseDir,
+  DATA_DIR: dataDir,
+  LEADER_LEASE_MS: 2000,
+  LEADER_RENEW_INTERVAL_MS: 50,
+  INSTANCE_ID: "replica-1",
+  BATCH_PLANNING: "fixed",
+  SIMULATOR_CONFIRMATION_DELAY_MS: 150,
+});
+const { request, target, leader } = server;
+
+after(async () => {
+  await server.close();
+  fs.rmSync(leaseDir, { recursive: true, force: true });
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const waitForRun = (runId) =>
+  waitFor(async () => {
+    const { body } = await request("GET", `/runs/${runId}`, { role: "read" });
+    return body.active ? null : body;
+  });
+
+describe("file lease store", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "felix9-lease-"));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createFileLeaseStore({ dir });
+
+  test("keeps the lease with its holder until it is released", async () => {
+    const first = await store.tryAcquire("test", "a", 60000);
+    assert.equal(first.acquired, true);
+    assert.equal(first.lease.term, 1);
+
+    const other = await store.tryAcquire("test", "b", 60000);
+    assert.equal(other.acquired, false);
+    assert.equal(other.lease.holder, "a");
+    assert.equal((await store.tryAcquire("test", "a", 60000)).lease.term, 1);
+
+    assert.equal(await store.release("test", "b"), false);
+    assert.equal(await store.release("test", "a"), true);
+    const next = await store.tryAcquire("test", "b", 60000);
+    assert.equal(next.acquired, true);
+    assert.equal(next.lease.holder, "b");
+    assert.equal(next.lease.term, 2);
+  });
+
+  test("hands an expired lease to the next instance", async () => {
+    await store.tryAcquire("expiring", "a", 30);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    const { acquired, lease } = await store.tryAcquire("expiring", "b", 60000);
+    assert.equal(acquired, true);
+    assert.equal(lease.holder, "b");
+    assert.equal(lease.term, 2);
+  });
+});
+
+describe("leader election", () => {
+  test("a follower reports the leader and refuses triggers", async () => {
+    const { body: health } = await request("GET", "/health");
+    assert.equal(health.leadership.election, "file");
+    assert.equal(health.leadership.instanceId, "replica-1");
+    assert.equal(health.leadership.isLeader, false);
+    assert.equal(health.leadership.leader, "ghost");
+
+    const trigger = await request("POST", "/distribute-now", { role: "operator" });
+    assert.equal(trigger.status, 503);
+    assert.equal(trigger.body.leader, "ghost");
+    assert.equal(target.activeRunId, null);
+    // Admin transactions share the leader's wallet and nonces
+    const confirm = await request("POST", "/admin/proposals/any/confirm", {
+      role: "admin",
+    });
+    assert.equal(confirm.status, 503);
+
+    // The leader's run is left alone
+    assert.equal(target.runJournal.getRun(ghostRun.id).status, "running");
+
+    // Occurrences are left for the leader to run and record
+    await target.cronTask.execute();
+    assert.equal(target.activeRunId, null);
+    assert.equal(target.scheduleState.get().coveredUntil, null);
+
+    // Dry runs send nothing and stay available
+    const dryRun = await request("POST", "/distribute?dryRun=true", {
+      role: "operator",
+    });
+    assert.equal(dryRun.status, 200);
+  });
+
+  test("takes over once the leader releases the lease", async () => {
+    await ghost.release("distributor", "ghost");
+    const trigger = await request("POST", "/distribute-now", { role: "operator" });
+    assert.equal(trigger.status, 202);
+    assert.equal((await waitForRun(trigger.body.runId)).status, "completed");
+
+    const { body: health } = await request("GET", "/health");
+    assert.equal(health.leadership.isLeader, true);
+    assert.equal(health.leadership.leader, "replica-1");
+    assert.equal(health.leadership.term, 2);
+    // The previous leader's run can now be resumed here
+    const { body: previous } = await request("GET", `/runs/${ghostRun.id}`, {
+      role: "read",
+    });
+    assert.equal(previous.status, "interrupted");
+
+    // So are its admin transactions: one never sent has failed, and one
+    // that may have been sent, with no receipt to tell, is unknown
+    const statusOf = (id) => target.proposals.get(id)?.status;
+    await waitFor(() => statusOf(stuckProposals.confirming) === "failed");
+    assert.equal(statusOf(stuckProposals.confirmed), "unknown");
+    assert.equal(statusOf(stuckProposals.submitted), "unknown");
+  });
+
+  test("stops a run when leadership is lost, leaving it resumable", async () => {
+    for (let index = 0; index < 40; index++) target.simulator.setClaimable(index, "1");
+    const trigger = await request("POST", "/distribute-now", { role: "operator" });
+    const { runId } = trigger.body;
+    await waitFor(() =>
+      target.runJournal
+        .getRun(runId)
+        .batches.some((batch) => batch.status === "confirmed")
+    );
+
+    // Another replica takes the lease over, as after a network partition.
+    // Written past the lock, so repeat until no renewal overwrites it.
+    const leaseFile = path.join(leaseDir, "distributor.lease.json");
+    await waitFor(() => {
+      const lease = JSON.parse(fs.readFileSync(leaseFile, "utf8"));
+      if (lease.holder !== "ghost") {
+        fs.writeFileSync(
+          leaseFile,
+          JSON.stringify({
+            ...lease,
+            holder: "ghost",
+            term: lease.term + 1,
+            expiresAt: Date.now() + 60000,
+          })
+        );
+      }
+      return !leader.isLeader();
+    });
+
+    const run = await waitForRun(runId);
+    assert.ok(run.batches.some((batch) => batch.status === "pending"));
+    assert.equal(run.resumable, true);
+  });
+});
+
+describe("sqlite lease backend", () => {
+  test("needs Node.js 22.13 or later", () => {
+    assert.equal(nodeHasSqlite("20.19.5"), false);
+    assert.equal(nodeHasSqlite("22.12.0"), false);
+    assert.equal(nodeHasSqlite("22.13.0"), true);
+    assert.equal(nodeHasSqlite("24.1.0"), true);
+  });
+
+  test(
+    "is refused when the configuration is loaded on an older Node.js",
+    { skip: nodeHasSqlite() && "this Node.js has node:sqlite" },
+    () => {
+      assert.throws(
+        () =>
+          loadConfig({
+            configPath: path.join(leaseDir, "missing.env"),
+            baseDir: leaseDir,
+            env: { LEADER_ELECTION: "sqlite" },
+          }),
+        (error) =>
+          error.code === "INVALID_CONFIG" &&
+          /LEADER_ELECTION "sqlite" needs Node\.js 22\.13\.0/.test(error.message)
+      );
+    }
+  );
+});
@@ -0,0 +1,534 @@
+import { after, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import { createAuth, parseApiKeys } from "../services/auth.js";
+import { createEventIndexer } from "../services/eventIndexer.js";
+import { simulatedUserAddress } from "../services/simulatedChain.js";
+import { startTestServer, waitFor } from "./helpers.js";
+
+const server = await startTestServer({
+  SIMULATOR_USERS: 20,
+  INDEXER_START_BLOCK: 0,
+  INDEXER_CONFIRMATIONS: 0,
+  INDEXER_POLL_INTERVAL_MS: 1000,
+  BNB_USD_RATE: "600",
+});
+const { request, target } = server;
+const { simulator } = target;
+const user = simulatedUserAddress(3);
+const unregistered = simulatedUserAddress(999);
+
+after(server.close);
+
+const waitForRun = (runId) =>
+  waitFor(async () => {
+    const { body } = await request("GET", `/runs/${runId}`, { role: "read" });
+    return body.active ? null : body;
+  });
+
+describe("status routes", () => {
+  test("GET /health reports the simulated chain", async () => {
+    const { status, body, headers } = await request("GET", "/health");
+    assert.equal(status, 200);
+    assert.equal(body.status, "healthy");
+    assert.equal(body.target, "default");
+    assert.equal(body.totalUsers, "20");
+    assert.equal(body.wallet, target.wallet.address);
+    assert.deepEqual(body.network, ["simulated://safemint/"]);
+    assert.ok(headers.get("x-request-id"));
+  });
+
+  test("X-Request-Id is echoed back", async () => {
+    const { headers } = await request("GET", "/health", {
+      headers: { "X-Request-Id": "test-123" },
+    });
+    assert.equal(headers.get("x-request-id"), "test-123");
+  });
+
+  test("GET /targets and /targets/:id prefix", async () => {
+    const { body } = await request("GET", "/targets");
+    assert.equal(body.defaultTarget, "default");
+    assert.deepEqual(body.targets.map((t) => t.id), ["default"]);
+
+    const prefixed = await request("GET", "/targets/default/health");
+    assert.equal(prefixed.status, 200);
+    const unknown = await request("GET", "/targets/nope/health");
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(unknown.body.targets, ["default"]);
+  });
+
+  test("GET /contract-info", async () => {
+    const { status, body } = await request("GET", "/contract-info");
+    assert.equal(status, 200);
+    assert.equal(body.owner, target.wallet.address);
+    assert.equal(body.totalUsers, "20");
+    assert.equal(body.batchSize, 10);
+  });
+
+  test("GET /metrics needs a read key", async () => {
+    assert.equal((await request("GET", "/metrics")).status, 401);
+    const { status, text } = await request("GET", "/metrics", { role: "read" });
+    assert.equal(status, 200);
+    assert.match(text, /safemint_contract_users\{target="default"\} 20/);
+  });
+
+  test("GET /config masks secrets and needs an operator key", async () => {
+    assert.equal((await request("GET", "/config")).status, 401);
+    assert.equal((await request("GET", "/config", { role: "read" })).status, 403);
+    const { status, body, text } = await request("GET", "/config", {
+      role: "operator",
+    });
+    assert.equal(status, 200);
+    assert.equal(body.settings.CHAIN_ADAPTER.value, "simulated");
+    assert.equal(body.targets[0].settings.PRIVATE_KEY.value, "***");
+    assert.doesNotMatch(text, /test-admin-secret/);
+  });
+
+  test("unknown routes return 404", async () => {
+    const { status, body } = await request("GET", "/nope");
+    assert.equal(status, 404);
+    assert.equal(body.error, "Endpoint not found");
+  });
+});
+
+describe("authentication", () => {
+  test("refuses a client that keeps presenting invalid keys", () => {
+    const auth = createAuth({
+      apiKeys: parseApiKeys("ops:operator:right-secret"),
+      failureLimitPerMinute: 3,
+      auditLog: { append: () => {} },
+    });
+    const requireRead = auth.requireRole("read");
+    const attempt = (secret, ip = "203.0.113.7") => {
+      const req = {
+        ip,
+        method: "GET",
+        originalUrl: "/runs",
+        get: (name) => (name === "x-api-key" ? secret : undefined),
+      };
+      const res = {
+        locals: {},
+        headers: {},
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json() {
+          return this;
+        },
+        set(name, value) {
+          this.headers[name] = value;
+          return this;
+        },
+      };
+      requireRead(req, res, () => {});
+      return res;
+    };
+
+    for (let i = 0; i < 3; i++) assert.equal(attempt("guess").statusCode, 401);
+    const blocked = attempt("right-secret");
+    assert.equal(blocked.statusCode, 429);
+    assert.ok(Number(blocked.headers["Retry-After"]) > 0);
+    // Other clients are not affected
+    assert.equal(attempt("right-secret", "198.51.100.2").statusCode, 200);
+  });
+});
+
+describe("user routes", () => {
+  test("GET /users/:address returns the portfolio", async () => {
+    const { status, body } = await request("GET", `/users/${user}`);
+    assert.equal(status, 200);
+    assert.equal(body.stakeCount, 1);
+    assert.equal(body.totalClaimable.formatted, "1.0");
+    assert.deepEqual(body.upline, [simulatedUserAddress(1), simulatedUserAddress(0)]);
+    assert.equal((await request("GET", "/users/0x123")).status, 400);
+    assert.equal((await request("GET", `/users/${unregistered}`)).status, 404);
+  });
+
+  test("GET /user-rewards/:address", async () => {
+    const { status, body } = await request("GET", `/user-rewards/${user}`);
+    assert.equal(status, 200);
+    assert.equal(body.stakes[0].claimableFormatted, "1.0");
+    assert.equal((await request("GET", `/user-rewards/${unregistered}`)).status, 404);
+  });
+
+  test("POST /user-rewards/bulk as JSON and CSV", async () => {
+    const addresses = [user, unregistered];
+    const unauthenticated = await request("POST", "/user-rewards/bulk", {
+      body: { addresses },
+    });
+    assert.equal(unauthenticated.status, 401);
+
+    const { status, body } = await request("POST", "/user-rewards/bulk", {
+      role: "read",
+      body: { addresses },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.count, 2);
+    assert.equal(body.registered, 1);
+    assert.equal(body.totalClaimable, ethers.parseEther("1").toString());
+
+    const csv = await request("POST", "/user-rewards/bulk?format=csv", {
+      role: "read",
+      body: { addresses },
+    });
+    assert.equal(csv.status, 200);
+    assert.equal(csv.text.trim().split("\n").length, 3);
+
+    const empty = await request("POST", "/user-rewards/bulk", {
+      role: "read",
+      body: { addresses: [] },
+    });
+    assert.equal(empty.status, 400);
+  });
+});
+
+describe("event routes", () => {
+  test("indexed registrations, purchases and status", async () => {
+    await waitFor(async () => {
+      const { body } = await request("GET", "/events/status");
+      return body.enabled && body.eventCount === 40;
+    });
+    const registrations = await request("GET", `/events/registrations?user=${user}`);
+    assert.equal(registrations.status, 200);
+    assert.equal(registrations.body.total, 1);
+    assert.equal(registrations.body.events[0].user, user);
+
+    const purchases = await request("GET", "/events/purchases?limit=5");
+    assert.equal(purchases.body.total, 20);
+    assert.equal(purchases.body.count, 5);
+
+    const transfers = await request("GET", "/events/ownership-transfers");
+    assert.equal(transfers.body.total, 0);
+
+    assert.equal((await request("GET", "/events/registrations?user=0x1")).status, 400);
+    assert.equal((await request("GET", "/events/purchases?from=nope")).status, 400);
+  });
+
+  test("a backfill writes the index once per pass", async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "felix9-indexer-"));
+    const indexPath = path.join(dataDir, "events.json");
+    const renames = mock.method(fs, "renameSync");
+    const indexer = createEventIndexer({
+      contract: target.contract,
+      provider: target.provider,
+      dataDir,
+      startBlock: 0,
+      confirmations: 0,
+      chunkSize: 1,
+    });
+    try {
+      indexer.start();
+      await waitFor(() => indexer.getStatus().lastSyncAt);
+      indexer.stop();
+
+      const writes = renames.mock.calls.filter((call) => call.arguments[1] === indexPath);
+      assert.equal(writes.length, 1);
+      assert.equal(JSON.parse(fs.readFileSync(indexPath, "utf8")).events.length, 40);
+    } finally {
+      indexer.stop();
+      renames.mock.restore();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  test("indexed ownership transfers", async () => {
+    const { wallet } = target;
+    const newOwner = ethers.Wallet.createRandom().connect(target.provider);
+    simulator.setWalletBalance(newOwner.address, "1");
+
+    // Hand ownership over through the admin flow, then have the new owner
+    // give it back so the rest of the suite keeps an owner wallet
+    const created = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "transferOwnership", params: { newOwner: newOwner.address } },
+    });
+    const { id } = created.body.proposal;
+    await request("POST", `/admin/proposals/${id}/confirm`, { role: "admin2" });
+    await waitFor(() => simulator.getOwner() === newOwner.address);
+    const giveBack = await target.contract
+      .connect(newOwner)
+      .transferOwnership(wallet.address);
+    await giveBack.wait();
+
+    const transfers = await waitFor(async () => {
+      const { body } = await request("GET", "/events/ownership-transfers");
+      return body.total === 2 && body;
+    });
+    assert.deepEqual(
+      transfers.events.map((e) => [e.previousOwner, e.newOwner]),
+      [
+        [newOwner.address, wallet.address],
+        [wallet.address, newOwner.address],
+      ]
+    );
+    assert.ok(transfers.events.every((e) => e.transactionHash && e.timestamp));
+
+    const filtered = await request(
+      "GET",
+      `/events/ownership-transfers?user=${newOwner.address}&limit=1`
+    );
+    assert.equal(filtered.body.total, 2);
+    assert.equal(filtered.body.count, 1);
+    assert.equal(filtered.body.events[0].newOwner, wallet.address);
+    const unrelated = await request("GET", `/events/ownership-transfers?user=${user}`);
+    assert.equal(unrelated.body.total, 0);
+  });
+});
+
+describe("distribution routes", () => {
+  let runId;
+
+  test("POST /distribute?dryRun=true sends nothing", async () => {
+    const mined = simulator.getMinedTransactions().length;
+    const { status, body } = await request("POST", "/distribute?dryRun=true", {
+      role: "operator",
+    });
+    assert.equal(status, 200);
+    assert.equal(body.details.dryRun, true);
+    // One planned batch instead of two BATCH_SIZE windows saves a base cost
+    assert.equal(body.details.totalBatches, 1);
+    assert.equal(body.details.planning.naive.batches, 2);
+    assert.equal(body.details.planning.gasSaved, "61000");
+    assert.equal(body.details.claimables.totalClaimableFormatted, "20.0");
+    assert.equal(simulator.getMinedTransactions().length, mined);
+  });
+
+  test("triggers need an operator key", async () => {
+    assert.equal((await request("POST", "/distribute-now")).status, 401);
+    assert.equal(
+      (await request("POST", "/distribute-now", { role: "read" })).status,
+      403
+    );
+    const wrongKey = await request("POST", "/distribute-now", {
+      headers: { "X-API-Key": "wrong" },
+    });
+    assert.equal(wrongKey.status, 401);
+  });
+
+  test("POST /distribute-now runs a distribution", async () => {
+    simulator.setRevertingIndices([15]);
+    const { status, body } = await request("POST", "/distribute-now", {
+      role: "operator",
+    });
+    assert.equal(status, 202);
+    runId = body.runId;
+
+    const inProgress = await request("POST", "/trigger-distribution", {
+      role: "operator",
+    });
+    assert.equal(inProgress.status, 409);
+
+    const run = await waitForRun(runId);
+    assert.equal(run.status, "partial");
+    assert.equal(run.trigger, "api");
+    assert.equal(run.triggeredBy, "operator");
+    assert.equal(run.summary.isolatedIndices[0].index, 15);
+    assert.equal(run.cost.bnbUsdRate, "600");
+    assert.ok(Number(run.cost.feeBNB) > 0);
+    assert.ok(run.batches.every((b) => b.status !== "confirmed" || b.feeBNB));
+  });
+
+  test("GET /runs and /runs/:id", async () => {
+    const { body } = await request("GET", "/runs", { role: "read" });
+    assert.deepEqual(body.runs.map((r) => r.id), [runId]);
+    assert.equal(body.activeRunId, null);
+    assert.equal(body.runs[0].resumable, false);
+
+    const missing = await request("GET", "/runs/nope", { role: "read" });
+    assert.equal(missing.status, 404);
+  });
+
+  test("POST /runs/:id/resume refuses a finished run", async () => {
+    const { status } = await request("POST", `/runs/${runId}/resume`, {
+      role: "operator",
+    });
+    assert.equal(status, 409);
+    const missing = await request("POST", "/runs/nope/resume", { role: "operator" });
+    assert.equal(missing.status, 404);
+  });
+
+  test("POST /runs/:id/resume picks up an unconfirmed batch", async () => {
+    simulator.setRevertingIndices([]);
+    simulator.setConfirmationDelay(60000);
+    const started = await request("POST", "/trigger-distribution", {
+      role: "operator",
+    });
+    const stopped = await waitForRun(started.body.runId);
+    assert.equal(stopped.resumable, true);
+    assert.equal(stopped.batches[0].status, "submitted");
+
+    simulator.setConfirmationDelay(20);
+    const { status } = await request("POST", `/runs/${stopped.id}/resume`, {
+      role: "operator",
+    });
+    assert.equal(status, 202);
+    const resumed = await waitForRun(stopped.id);
+    assert.equal(resumed.status, "completed");
+    assert.equal(resumed.resumeCount, 1);
+  });
+
+  test("GET /runs/export as JSON and CSV", async () => {
+    const json = await request("GET", "/runs/export", { role: "read" });
+    assert.equal(json.status, 200);
+    assert.equal(json.body.runs.length, 2);
+
+    const csv = await request("GET", "/runs/export?format=csv&level=batches", {
+      role: "read",
+    });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get("content-disposition"), /default-batches\.csv/);
+
+    const invalid = await request("GET", "/runs/export?format=xml", { role: "read" });
+    assert.equal(invalid.status, 400);
+  });
+
+  test("POST /trigger-distribution runs a distribution", async () => {
+    // Few enough that the contract can still pay the admin tests below
+    for (let index = 0; index < 5; index++) simulator.setClaimable(index, "1");
+    const { status, body } = await request("POST", "/trigger-distribution", {
+      role: "operator",
+    });
+    assert.equal(status, 202);
+    assert.equal(body.success, true);
+    assert.equal(body.message, "Reward distribution started");
+    assert.equal(body.statusUrl, `/runs/${body.runId}`);
+
+    const run = await waitForRun(body.runId);
+    assert.equal(run.status, "completed");
+    assert.equal(run.trigger, "api");
+    assert.equal(run.triggeredBy, "operator");
+    assert.ok(run.batches.every((b) => b.status === "confirmed"));
+    assert.equal(run.summary.totalBatches, 1);
+    for (let index = 0; index < 5; index++) {
+      assert.equal(simulator.getUser(index).stakes[0].claimable, 0n);
+    }
+  });
+
+  test("GET /audit lists privileged calls", async () => {
+    const { status, body } = await request("GET", "/audit", { role: "operator" });
+    assert.equal(status, 200);
+    assert.ok(body.entries.some((entry) => entry.keyId === "operator"));
+  });
+});
+
+describe("admin routes", () => {
+  test("propose, confirm and execute an owner change", async () => {
+    assert.equal(
+      (await request("POST", "/admin/proposals", { role: "operator" })).status,
+      403
+    );
+    const unknown = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "selfDestruct" },
+    });
+    assert.equal(unknown.status, 400);
+
+    const created = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "updateRoiPercent", params: { index: 1, percent: 90 } },
+    });
+    assert.equal(created.status, 201);
+    const { proposal } = created.body;
+    assert.deepEqual(
+      [proposal.diff.field, proposal.diff.current, proposal.diff.proposed],
+      ["roiPercent(1)", "75", "90"]
+    );
+
+    const listed = await request("GET", "/admin/proposals", { role: "admin" });
+    assert.equal(listed.body.proposals[0].id, proposal.id);
+
+    const confirmed = await request(
+      "POST",
+      `/admin/proposals/${proposal.id}/confirm`,
+      { role: "admin2" }
+    );
+    assert.equal(confirmed.status, 202);
+    const executed = await waitFor(async () => {
+      const { body } = await request("GET", `/admin/proposals/${proposal.id}`, {
+        role: "admin",
+      });
+      return body.proposal.status === "executed" && body.proposal;
+    });
+    assert.ok(executed.txHash);
+    const portfolio = await request("GET", `/users/${simulatedUserAddress(1)}`);
+    assert.equal(portfolio.body.stakes[0].roiPercent, "90");
+  });
+
+  test("two confirms sent at once execute the proposal once", async () => {
+    const created = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "liquidity", params: { amount: "1" } },
+    });
+    const { id } = created.body.proposal;
+    const balance = simulator.getContractBalance();
+    const mined = simulator.getMinedTransactions().length;
+
+    const confirms = await Promise.all(
+      [1, 2].map(() =>
+        request("POST", `/admin/proposals/${id}/confirm`, { role: "admin2" })
+      )
+    );
+    assert.deepEqual(confirms.map((r) => r.status).sort(), [202, 409]);
+    await waitFor(async () => {
+      const { body } = await request("GET", `/admin/proposals/${id}`, {
+        role: "admin",
+      });
+      return body.proposal.status === "executed";
+    });
+    assert.equal(simulator.getContractBalance(), balance - ethers.parseEther("1"));
+    assert.equal(simulator.getMinedTransactions().length, mined + 1);
+  });
+
+  test("runs wait for a pending admin transaction", async () => {
+    const created = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "liquidity", params: { amount: "1" } },
+    });
+    const { id } = created.body.proposal;
+    simulator.setConfirmationDelay(300);
+    const confirmed = await request("POST", `/admin/proposals/${id}/confirm`, {
+      role: "admin2",
+    });
+    assert.equal(confirmed.status, 202);
+
+    const trigger = await request("POST", "/distribute-now", { role: "operator" });
+    assert.equal(trigger.status, 409);
+    assert.equal(trigger.body.proposalId, id);
+    assert.equal(target.activeRunId, null);
+
+    await waitFor(() => target.activeProposalId === null);
+    simulator.setConfirmationDelay(20);
+    assert.equal(target.proposals.get(id).status, "executed");
+  });
+
+  test("a proposal whose call would revert is rejected", async () => {
+    const { status, body } = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "liquidity", params: { amount: "1000000" } },
+    });
+    assert.equal(status, 422);
+    assert.equal(body.proposal.status, "rejected");
+  });
+
+  test("a pending proposal can be cancelled once", async () => {
+    const created = await request("POST", "/admin/proposals", {
+      role: "admin",
+      body: { action: "changeDirectPercentage", params: { percent: 600 } },
+    });
+    const { id } = created.body.proposal;
+    const cancelled = await request("POST", `/admin/proposals/${id}/cancel`, {
+      role: "admin",
+    });
+    assert.equal(cancelled.body.proposal.status, "cancelled");
+    const again = await request("POST", `/admin/proposals/${id}/cancel`, {
+      role: "admin",
+    });
+    assert.equal(again.status, 409);
+    assert.equal((await request("GET", "/admin/proposals/nope", { role: "admin" })).status, 404);
+  });
+});
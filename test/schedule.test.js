@@ -0,0 +1,290 @@
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import cron from "node-cron";
+import { createScheduleMatcher } from "../services/schedule.js";
+import { startTestServer, waitFor } from "./helpers.js";
+
+const server = await startTestServer({ CRON_TIMEZONE: "Asia/Kolkata" });
+const { request, target, catchUpMissedRuns } = server;
+const { scheduleState } = target;
+
+after(server.close);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoTimes = (times) => times.map((time) => time.toISOString());
+
+describe("schedule matcher", () => {
+  test("reads the expression in its time zone", () => {
+    const matcher = createScheduleMatcher("0 0 * * *", "Asia/Kolkata");
+    assert.deepEqual(
+      isoTimes(matcher.nextFireTimes(new Date("2026-01-01T00:00:00Z"), 2)),
+      ["2026-01-01T18:30:00.000Z", "2026-01-02T18:30:00.000Z"]
+    );
+  });
+
+  test("requires both the day of month and the weekday, like node-cron", () => {
+    // 13 February 2026 is the first Friday the 13th of the year
+    const matcher = createScheduleMatcher("0 12 13 * fri");
+    assert.deepEqual(
+      isoTimes(matcher.nextFireTimes(new Date("2026-01-01T00:00:00Z"))),
+      ["2026-02-13T12:00:00.000Z"]
+    );
+  });
+
+  test("lists the fire times after one time up to another", () => {
+    const matcher = createScheduleMatcher("30 */6 * * *");
+    assert.deepEqual(
+      isoTimes(
+        matcher.fireTimesBetween(
+          new Date("2026-01-01T06:30:00Z"),
+          new Date("2026-01-01T18:30:00Z")
+        )
+      ),
+      ["2026-01-01T12:30:00.000Z", "2026-01-01T18:30:00.000Z"]
+    );
+  });
+});
+
+describe("GET /schedule", () => {
+  test("shows the next fire times in the configured time zone", async () => {
+    const { status, body } = await request("GET", "/schedule?count=3", {
+      role: "read",
+    });
+    assert.equal(status, 200);
+    assert.equal(body.schedule, "0 0 * * *");
+    assert.equal(body.timezone, "Asia/Kolkata");
+    assert.equal(body.active, true);
+    assert.equal(body.catchUpPolicy, "once");
+    assert.equal(body.nextRuns.length, 3);
+    for (const time of body.nextRuns) {
+      assert.match(time, /T18:30:00\.000Z$/);
+      assert.ok(Date.parse(time) > Date.now());
+    }
+
+    const anonymous = await request("GET", "/schedule");
+    assert.equal(anonymous.status, 401);
+  });
+});
+
+describe("missed-run catch-up", () => {
+  beforeEach(() => {
+    // Down for the last three midnights in Kolkata
+    scheduleState.update({
+      coveredUntil: new Date(Date.now() - 3 * DAY_MS + 60000).toISOString(),
+    });
+    target.config.CATCH_UP_MAX_RUNS = 7;
+  });
+
+  const latestMidnight = () =>
+    createScheduleMatcher("0 0 * * *", "Asia/Kolkata").fireTimesBetween(
+      new Date(Date.now() - DAY_MS),
+      new Date()
+    )[0];
+
+  test("once runs a single distribution for the latest missed occurrence", async () => {
+    target.config.CATCH_UP_POLICY = "once";
+    const runs = await catchUpMissedRuns(target);
+
+    assert.equal(runs.length, 1);
+    const run = target.runJournal.getRun(runs[0].id);
+    assert.equal(run.trigger, "catch-up");
+    assert.equal(run.status, "completed");
+    assert.equal(run.scheduledFor, latestMidnight().toISOString());
+
+    const state = scheduleState.get();
+    assert.equal(state.lastCompletedRun.runId, run.id);
+    assert.ok(Date.now() - Date.parse(state.coveredUntil) < 5000);
+    // Nothing is missed twice
+    assert.deepEqual(await catchUpMissedRuns(target), []);
+  });
+
+  test("each runs one distribution per missed occurrence, up to the limit", async () => {
+    target.config.CATCH_UP_POLICY = "each";
+    target.config.CATCH_UP_MAX_RUNS = 2;
+    const runs = await catchUpMissedRuns(target);
+
+    assert.equal(runs.length, 2);
+    const scheduled = runs.map((run) => target.runJournal.getRun(run.id).scheduledFor);
+    assert.equal(scheduled[1], latestMidnight().toISOString());
+    assert.equal(Date.parse(scheduled[1]) - Date.parse(scheduled[0]), DAY_MS);
+  });
+
+  test("skip leaves missed occurrences alone", async () => {
+    target.config.CATCH_UP_POLICY = "skip";
+    const before = target.runJournal.listRuns({ limit: Infinity }).length;
+    assert.deepEqual(await catchUpMissedRuns(target), []);
+    assert.equal(target.runJournal.listRuns({ limit: Infinity }).length, before);
+    assert.ok(Date.now() - Date.parse(scheduleState.get().coveredUntil) < 5000);
+  });
+});
+
+describe("schedule control", () => {
+  const auditEvents = async () => {
+    const { body } = await request("GET", "/audit", { role: "operator" });
+    return body.entries.filter((entry) => entry.event?.startsWith("schedule."));
+  };
+
+  test("pauses and resumes the cron job, persisting who did it", async () => {
+    const denied = await request("POST", "/schedule/pause", { role: "read" });
+    assert.equal(denied.status, 403);
+
+    const paused = await request("POST", "/schedule/pause", {
+      role: "operator",
+      body: { reason: "contract incident" },
+    });
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.active, false);
+    assert.deepEqual(paused.body.nextRuns, []);
+    assert.equal(paused.body.paused.by, "operator");
+    const saved = JSON.parse(fs.readFileSync(scheduleState.path, "utf8"));
+    assert.equal(saved.paused.reason, "contract incident");
+
+    const again = await request("POST", "/schedule/pause", { role: "operator" });
+    assert.equal(again.status, 409);
+
+    const resumed = await request("POST", "/schedule/resume", { role: "operator" });
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.active, true);
+    assert.equal(resumed.body.paused, null);
+    assert.equal(resumed.body.nextRuns.length, 5);
+
+    const [resumeEntry, pauseEntry] = await auditEvents();
+    assert.equal(resumeEntry.event, "schedule.resumed");
+    assert.equal(pauseEntry.event, "schedule.paused");
+    assert.equal(pauseEntry.keyId, "operator");
+    assert.equal(pauseEntry.reason, "contract incident");
+  });
+
+  test("reschedules with validation and goes back to the configured schedule", async () => {
+    const scheduledTasks = cron.getTasks().size;
+    for (const body of [
+      { schedule: "every day" },
+      { schedule: "0 6 * * *", timezone: "Mars/Olympus" },
+      { schedule: "0 0 30 2 *" },
+    ]) {
+      const rejected = await request("POST", "/schedule/reschedule", {
+        role: "operator",
+        body,
+      });
+      assert.equal(rejected.status, 400, JSON.stringify(body));
+    }
+
+    const changed = await request("POST", "/schedule/reschedule", {
+      role: "operator",
+      body: { schedule: "0 6 * * *", timezone: "UTC" },
+    });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.source, "api");
+    assert.equal(changed.body.override.by, "operator");
+    for (const time of changed.body.nextRuns) assert.match(time, /T06:00:00\.000Z$/);
+    const { body: targets } = await request("GET", "/targets");
+    assert.equal(targets.targets[0].cronSchedule, "0 6 * * *");
+
+    const [entry] = await auditEvents();
+    assert.equal(entry.event, "schedule.rescheduled");
+    assert.deepEqual(entry.previous, { schedule: "0 0 * * *", timezone: "Asia/Kolkata" });
+
+    const reset = await request("POST", "/schedule/reschedule", {
+      role: "operator",
+      body: { schedule: null },
+    });
+    assert.equal(reset.body.source, "config");
+    assert.equal(reset.body.schedule, "0 0 * * *");
+    assert.equal(reset.body.timezone, "Asia/Kolkata");
+    // Replaced jobs are destroyed, not left stopped
+    assert.equal(cron.getTasks().size, scheduledTasks);
+  });
+
+  test("skips only the next occurrence", async () => {
+    const { body: before } = await request("GET", "/schedule", { role: "read" });
+    const skipped = await request("POST", "/schedule/skip-next", { role: "operator" });
+    assert.equal(skipped.status, 200);
+    assert.equal(skipped.body.skipNext.occurrence, before.nextRuns[0]);
+    assert.equal(skipped.body.nextRuns[0], before.nextRuns[1]);
+
+    const cancelled = await request("DELETE", "/schedule/skip-next", {
+      role: "operator",
+    });
+    assert.equal(cancelled.body.skipNext, null);
+    assert.equal(cancelled.body.nextRuns[0], before.nextRuns[0]);
+    const none = await request("DELETE", "/schedule/skip-next", { role: "operator" });
+    assert.equal(none.status, 409);
+  });
+
+  test("the cron job leaves out the skipped occurrence", async () => {
+    await request("POST", "/schedule/reschedule", {
+      role: "operator",
+      body: { schedule: "* * * * * *" },
+    });
+    const { body } = await request("POST", "/schedule/skip-next", {
+      role: "operator",
+    });
+    const { occurrence } = body.skipNext;
+
+    const cronRun = await waitFor(() =>
+      target.runJournal
+        .listRuns({ limit: Infinity })
+        .find((run) => run.trigger === "cron" && run.scheduledFor > occurrence)
+    );
+    await request("POST", "/schedule/pause", { role: "operator" });
+    await waitFor(() => target.activeRunId === null);
+    await request("POST", "/schedule/reschedule", {
+      role: "operator",
+      body: { schedule: null },
+    });
+    await request("POST", "/schedule/resume", { role: "operator" });
+
+    assert.ok(cronRun);
+    assert.equal(scheduleState.get().skipNext, null);
+    assert.ok(
+      !target.runJournal
+        .listRuns({ limit: Infinity })
+        .some((run) => run.scheduledFor === occurrence)
+    );
+    const skippedEntry = (await auditEvents()).find(
+      (entry) => entry.event === "schedule.skipped"
+    );
+    assert.equal(skippedEntry.occurrence, occurrence);
+    assert.equal(skippedEntry.keyId, "operator");
+  });
+
+  test("the cron job follows changes another instance saved", async () => {
+    const cronRuns = () =>
+      target.runJournal
+        .listRuns({ limit: Infinity })
+        .filter((run) => run.trigger === "cron");
+    await request("POST", "/schedule/reschedule", {
+      role: "operator",
+      body: { schedule: "* * * * * *" },
+    });
+    const task = target.cronTask;
+    // Another instance sharing DATA_DIR pauses and changes the schedule
+    const saved = JSON.parse(fs.readFileSync(scheduleState.path, "utf8"));
+    fs.writeFileSync(
+      scheduleState.path,
+      JSON.stringify({
+        ...saved,
+        paused: { by: "elsewhere", at: new Date().toISOString(), reason: null },
+        override: { schedule: "*/2 * * * * *", timezone: "UTC", by: "elsewhere" },
+      })
+    );
+    assert.equal(scheduleState.get().paused.by, "elsewhere");
+
+    await waitFor(() => target.cronTask !== task);
+    await waitFor(() => target.activeRunId === null);
+    const before = cronRuns().length;
+    await new Promise((resolve) => setTimeout(resolve, 2500));
+    assert.equal(cronRuns().length, before);
+
+    await request("POST", "/schedule/resume", { role: "operator" });
+    await waitFor(() => cronRuns().length > before);
+    await request("POST", "/schedule/pause", { role: "operator" });
+    await waitFor(() => target.activeRunId === null);
+    await request("POST", "/schedule/reschedule", {
+      role: "operator",
+      body: { schedule: null },
+    });
+    await request("POST", "/schedule/resume", { role: "operator" });
+  });
+});
@@ -0,0 +1,137 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import { loadConfig } from "../services/config.js";
+import { createSigner, describeMissingSigner } from "../services/signer.js";
+import {
+  startStandInSigner,
+  startTestServer,
+  TEST_PRIVATE_KEY,
+} from "./helpers.js";
+
+const standIn = await startStandInSigner();
+const server = await startTestServer({
+  SIGNER: "remote",
+  PRIVATE_KEY: "",
+  REMOTE_SIGNER_URL: standIn.url,
+});
+const { target, distributeRewardsInBatches } = server;
+const { simulator, runJournal } = target;
+
+after(async () => {
+  await server.close();
+  await standIn.close();
+});
+
+const distribute = async () => {
+  const run = runJournal.createRun({ trigger: "test" });
+  await distributeRewardsInBatches(target, run.id);
+  return runJournal.getRun(run.id);
+};
+
+describe("remote signer", () => {
+  test("signs every batch through the remote signer", async () => {
+    assert.equal(target.wallet.address, standIn.address);
+    assert.equal(simulator.getOwner(), standIn.address);
+
+    const run = await distribute();
+    assert.equal(run.status, "completed");
+    assert.equal(
+      standIn.requests.filter((method) => method === "eth_signTransaction").length,
+      run.batches.length
+    );
+    assert.equal(simulator.getTotalClaimable(), 0n);
+  });
+
+  test("refuses a signed transaction that differs from the request", async () => {
+    for (let index = 0; index < 40; index++) simulator.setClaimable(index, "1");
+    const mined = simulator.getMinedTransactions().length;
+    standIn.tamper = (tx) => ({ ...tx, to: ethers.ZeroAddress });
+    const run = await distribute();
+    standIn.tamper = null;
+
+    assert.equal(run.status, "failed");
+    assert.match(run.batches[0].error, /different to than requested/);
+    assert.equal(simulator.getMinedTransactions().length, mined);
+  });
+});
+
+describe("createSigner", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "felix9-signer-"));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const wallet = new ethers.Wallet(TEST_PRIVATE_KEY);
+  const keystoreFile = path.join(dir, "keystore.json");
+  const passwordFile = path.join(dir, "passphrase");
+  // A low scrypt cost keeps unlocking fast
+  fs.writeFileSync(
+    keystoreFile,
+    ethers.encryptKeystoreJsonSync(wallet, "correct horse", {
+      scrypt: { N: 1 << 4 },
+    }),
+    { mode: 0o600 }
+  );
+  fs.writeFileSync(passwordFile, "correct horse\n", { mode: 0o600 });
+
+  test("unlocks a keystore with a passphrase file or variable", async () => {
+    const fromFile = await createSigner({
+      SIGNER: "keystore",
+      KEYSTORE_FILE: keystoreFile,
+      KEYSTORE_PASSWORD_FILE: passwordFile,
+    });
+    assert.equal(fromFile.address, wallet.address);
+
+    const fromVariable = await createSigner({
+      SIGNER: "keystore",
+      KEYSTORE_FILE: keystoreFile,
+      KEYSTORE_PASSWORD: "correct horse",
+    });
+    assert.equal(fromVariable.address, wallet.address);
+  });
+
+  test("rejects a wrong passphrase as a configuration error", async () => {
+    await assert.rejects(
+      createSigner({
+        SIGNER: "keystore",
+        KEYSTORE_FILE: keystoreFile,
+        KEYSTORE_PASSWORD: "wrong",
+      }),
+      { code: "SIGNER_CONFIG" }
+    );
+  });
+
+  test("only signs with a plaintext key when asked to", async () => {
+    const settings = { SIGNER: "keystore", PRIVATE_KEY: TEST_PRIVATE_KEY };
+    assert.match(describeMissingSigner(settings), /SIGNER=private-key/);
+    await assert.rejects(createSigner(settings), { code: "SIGNER_CONFIG" });
+
+    const signer = await createSigner({ ...settings, SIGNER: "private-key" });
+    assert.equal(signer.address, wallet.address);
+  });
+
+  test("refuses a PRIVATE_KEY without an explicit SIGNER at startup", () => {
+    const load = (env) =>
+      loadConfig({ configPath: path.join(dir, "missing.env"), baseDir: dir, env });
+
+    assert.throws(() => load({ PRIVATE_KEY: TEST_PRIVATE_KEY }), {
+      code: "INVALID_CONFIG",
+      message: /PRIVATE_KEY is set but SIGNER is not/,
+    });
+    const { values } = load({ PRIVATE_KEY: TEST_PRIVATE_KEY, SIGNER: "private-key" });
+    assert.equal(values.targets[0].SIGNER, "private-key");
+  });
+
+  test("checks the account a remote signer signs for", async () => {
+    await assert.rejects(
+      createSigner({
+        SIGNER: "remote",
+        REMOTE_SIGNER_URL: standIn.url,
+        REMOTE_SIGNER_ADDRESS: ethers.getAddress(`0x${"11".repeat(20)}`),
+      }),
+      { code: "SIGNER_CONFIG", message: /does not hold/ }
+    );
+  });
+});